@@ -375,3 +375,63 @@ export async function fetchClientBookings(idToken: string, limit?: number): Prom
     if (!data?.ok || !Array.isArray(data?.bookings)) return [];
     return data.bookings as ClientBookingSummary[];
 }
+
+export type BookingTimelineEntry = {
+    id: string;
+    at: string | null;
+    from: string | null;
+    to: string | null;
+    actor: string | null;
+    actorType: "user" | "system";
+    reason: string | null;
+};
+
+export async function fetchBookingTimeline(bookingId: string, limit?: number): Promise<BookingTimelineEntry[]> {
+    const functions = getFirebaseFunctions();
+    if (!functions) throw new Error("Booking service is temporarily unavailable. Please try again.");
+    const callable = httpsCallable(functions, "getBookingTimelineV1");
+    const response = await callable({ bookingId, limit });
+    const data = response.data as { ok?: boolean; timeline?: BookingTimelineEntry[] };
+    return Array.isArray(data?.timeline) ? data.timeline : [];
+}
+
+export type CancellationQuote = {
+    policyVersion: string;
+    rule: string;
+    refundRate: number;
+    hoursBeforeEvent: number | null;
+    amountPaid: number;
+    refundAmount: number;
+    holdAmount: number;
+    gst: {
+        treatment: "proportional";
+        collected: number | null;
+        refunded: number | null;
+        held: number | null;
+    };
+    holdAllocation: "advance_first" | "pro_rata";
+    legs: Array<{
+        paymentId: string | null;
+        stage: string | null;
+        gatewayPaymentId: string | null;
+        amountPaid: number;
+        refundAmount: number;
+        holdAmount: number;
+    }>;
+};
+
+export type CancellationQuoteResponse = {
+    bookingId: string;
+    status: string;
+    cancellable: boolean;
+    quote: CancellationQuote | null;
+    note?: string;
+};
+
+export async function fetchCancellationQuote(bookingId: string): Promise<CancellationQuoteResponse> {
+    const functions = getFirebaseFunctions();
+    if (!functions) throw new Error("Booking service is temporarily unavailable. Please try again.");
+    const callable = httpsCallable(functions, "getCancellationQuoteV1");
+    const response = await callable({ bookingId });
+    return response.data as CancellationQuoteResponse;
+}
@@ -4,8 +4,13 @@
 const functions = require('firebase-functions/v1');
 const admin = require('firebase-admin');
 const { checkUserRole } = require('./auth');
+const buildBookingTransitions = require('../booking/transitionService');
+const { toTransitionHttpsError } = require('../booking/transitionService');
+const buildPaymentLegs = require('../payments/paymentLegs');
 
 const db = admin.firestore();
+const { transitionBooking } = buildBookingTransitions({ admin, db });
+const { loadBookingPayments } = buildPaymentLegs({ admin, db });
 
 /**
  * Admin-only. Marks a booking as completed to trigger payout flow.
@@ -50,12 +55,17 @@ exports.adminMarkBookingCompleted = functions.region('asia-south1').https.onCall
     }
 
     // Update booking status
-    await bookingRef.update({
-      status: 'completed',
-      completedAt: admin.firestore.FieldValue.serverTimestamp(),
-      completedBy: context.auth.uid,
-      completionNote: note || null,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    await transitionBooking({
+      bookingId,
+      from: bookingData.status,
+      to: 'completed',
+      actor: context.auth.uid,
+      reason: note || null,
+      update: {
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        completedBy: context.auth.uid,
+        completionNote: note || null,
+      },
     });
 
     // Create audit log
@@ -87,8 +97,9 @@ exports.adminMarkBookingCompleted = functions.region('asia-south1').https.onCall
     };
   } catch (error) {
     console.error('Error marking booking completed:', error);
-    if (error instanceof functions.https.HttpsError) {
-      throw error;
+    const mapped = toTransitionHttpsError(error);
+    if (mapped instanceof functions.https.HttpsError) {
+      throw mapped;
     }
     throw new functions.https.HttpsError('internal', 'Failed to mark booking completed');
   }
@@ -135,21 +146,26 @@ exports.adminResolveDispute = functions.region('asia-south1').https.onCall(async
     const unblockPayout = resolution === 'pay_artist' || resolution === 'split';
 
     // Keep booking lifecycle stable: return to completed, and drive payout behavior via payoutHold.
-    await bookingRef.update({
-      status: 'completed',
-      payoutHold: !unblockPayout,
-      disputeResolution: resolution,
-      disputeReason: reason || null,
-      resolvedBy: context.auth.uid,
-      resolvedAt: now,
-      dispute: {
-        status: 'resolved',
-        resolution,
-        note: reason || null,
+    await transitionBooking({
+      bookingId,
+      from: bookingData.status,
+      to: 'completed',
+      actor: context.auth.uid,
+      reason: `dispute_resolved:${resolution}`,
+      update: {
+        payoutHold: !unblockPayout,
+        disputeResolution: resolution,
+        disputeReason: reason || null,
         resolvedBy: context.auth.uid,
         resolvedAt: now,
+        dispute: {
+          status: 'resolved',
+          resolution,
+          note: reason || null,
+          resolvedBy: context.auth.uid,
+          resolvedAt: now,
+        },
       },
-      updatedAt: now
     });
 
     // Create audit log
@@ -189,14 +205,14 @@ exports.adminResolveDispute = functions.region('asia-south1').https.onCall(async
 
     // If payout should continue, unblock staged payout plan.
     if (unblockPayout) {
-      const paymentsSnap = await db.collection('payments').where('bookingId', '==', bookingId).limit(1).get();
-      if (!paymentsSnap.empty) {
-        await paymentsSnap.docs[0].ref.set({
+      const { settlement } = await loadBookingPayments(bookingId);
+      if (settlement?.data.releasePlan) {
+        await settlement.ref.update({
           'releasePlan.stage2.status': 'scheduled',
           'releasePlan.stage2.error': admin.firestore.FieldValue.delete(),
           'releasePlan.stage2.updatedAt': now,
           updatedAt: now,
-        }, { merge: true });
+        });
       }
     }
 
@@ -209,8 +225,9 @@ exports.adminResolveDispute = functions.region('asia-south1').https.onCall(async
     };
   } catch (error) {
     console.error('Error resolving dispute:', error);
-    if (error instanceof functions.https.HttpsError) {
-      throw error;
+    const mapped = toTransitionHttpsError(error);
+    if (mapped instanceof functions.https.HttpsError) {
+      throw mapped;
     }
     throw new functions.https.HttpsError('internal', 'Failed to resolve dispute');
   }
@@ -0,0 +1,383 @@
+// services/functions/src/booking/sideEffects.js
+'use strict';
+
+const { sideEffectsFor } = require('./stateMachine');
+const {
+  PAYOUT_STAGE1_DELAY_HOURS,
+  PAYOUT_STAGE2_DELAY_HOURS,
+  DISPUTE_WINDOW_HOURS,
+} = require('../config/settlementPolicy');
+const buildPaymentLegs = require('../payments/paymentLegs');
+
+const BOOKINGS_COLLECTION = 'bookings';
+const CALENDAR_BLOCKS = 'calendar_blocks';
+const ADMIN_TASKS_COLLECTION = 'adminTasks';
+const TRANSITIONS_SUBCOLLECTION = 'transitions';
+
+// A claimed effect that has not finished within this window is considered abandoned and may be retried.
+const EFFECT_CLAIM_TTL_MS = 5 * 60 * 1000;
+// Runs of a failing effect (trigger + sweeps) before it is left to an admin task.
+const EFFECT_MAX_ATTEMPTS = 5;
+// Transition docs whose effects are not all finished; see sweepTransitionEffects.
+const OPEN_EFFECT_STATUSES = ['pending', 'running', 'failed'];
+
+function asDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') {
+    try { return value.toDate(); } catch (_) { return null; }
+  }
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function parseYmd(ymd) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(ymd || '').trim());
+  if (!m) return null;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 0, 0, 0));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Runner for the side effects declared in stateMachine.TRANSITION_EFFECTS.
+ * Each effect is claimed on the transition doc (`effects.<index>_<type>`) before it runs,
+ * so redelivered triggers and retries never repeat a finished effect.
+ */
+module.exports = function buildTransitionEffects({ admin, db, sendNotification }) {
+  const FieldValue = admin.firestore.FieldValue;
+  const { loadBookingPayments } = buildPaymentLegs({ admin, db });
+
+  async function blockCalendar(bookingId, booking) {
+    if (booking?.advancePaid !== true || booking?.calendarLocked === true) return;
+    const startDate = String(booking?.eventDate || '').trim();
+    const endDate = String(booking?.eventEndDate || booking?.eventDate || '').trim();
+
+    const primaryUids = [booking?.artistId, booking?.vendorId].map((x) => String(x || '').trim()).filter(Boolean);
+    const fallbackUids = [
+      ...(Array.isArray(booking?.assignedArtistIds) ? booking.assignedArtistIds : []),
+      ...(Array.isArray(booking?.assignedVendorIds) ? booking.assignedVendorIds : []),
+    ].map((x) => String(x || '').trim()).filter(Boolean);
+    const uids = Array.from(new Set((primaryUids.length ? primaryUids : fallbackUids).slice(0, 10)));
+
+    const s = parseYmd(startDate);
+    const e = parseYmd(endDate);
+    if (!s || !e || !uids.length) return;
+
+    const from = s.getTime() <= e.getTime() ? s : e;
+    const to = s.getTime() <= e.getTime() ? e : s;
+    const batch = db.batch();
+    const ts = FieldValue.serverTimestamp();
+    const blockIds = [];
+
+    for (let cur = new Date(from.getTime()); cur.getTime() <= to.getTime(); cur = new Date(cur.getTime() + 24 * 60 * 60 * 1000)) {
+      const day = cur.toISOString().slice(0, 10);
+      uids.forEach((uid) => {
+        const blockId = `${uid}_${day}`;
+        blockIds.push(blockId);
+        batch.set(db.collection(CALENDAR_BLOCKS).doc(blockId), {
+          schemaVersion: 1,
+          blockId,
+          bookingId,
+          uid,
+          date: day,
+          status: 'blocked',
+          createdAt: ts,
+          updatedAt: ts,
+        }, { merge: true });
+      });
+    }
+
+    await batch.commit();
+    await db.collection(BOOKINGS_COLLECTION).doc(bookingId).set({
+      calendarLocked: true,
+      calendarBlockIds: blockIds,
+      calendarBlockStartDate: startDate || null,
+      calendarBlockEndDate: endDate || null,
+      updatedAt: ts,
+    }, { merge: true });
+  }
+
+  // `effectContext.calendarBlockIds` (set when a provider drops out) wins over the booking's current
+  // ids, which may already belong to the substitute by the time this effect runs.
+  async function releaseCalendar(booking, effectContext = null) {
+    const contextIds = Array.isArray(effectContext?.calendarBlockIds) ? effectContext.calendarBlockIds : null;
+    const explicitIds = contextIds || (Array.isArray(booking?.calendarBlockIds) ? booking.calendarBlockIds : null);
+    if (contextIds || (explicitIds && explicitIds.length)) {
+      const ids = explicitIds.map((x) => String(x || '').trim()).filter(Boolean).slice(0, 500);
+      if (!ids.length) return;
+      const batch = db.batch();
+      for (const id of ids) batch.delete(db.collection(CALENDAR_BLOCKS).doc(id));
+      await batch.commit();
+      return;
+    }
+
+    // Fallback (legacy): single-day blocks computed from eventDate + assigned artists/vendors.
+    const eventDate = String(booking?.eventDate || '').trim();
+    if (!eventDate) return;
+    const assignedArtists = Array.isArray(booking?.assignedArtistIds) ? booking.assignedArtistIds : (booking?.artistId ? [booking.artistId] : []);
+    const assignedVendors = Array.isArray(booking?.assignedVendorIds) ? booking.assignedVendorIds : (booking?.vendorId ? [booking.vendorId] : []);
+    const uids = [...assignedArtists, ...assignedVendors].map((x) => String(x || '').trim()).filter(Boolean).slice(0, 20);
+    if (!uids.length) return;
+
+    const batch = db.batch();
+    for (const uid of uids) {
+      batch.delete(db.collection(CALENDAR_BLOCKS).doc(`${uid}_${eventDate}`));
+    }
+    await batch.commit();
+  }
+
+  /**
+   * V1 (locked): 2-stage payout plan on the booking's payment doc.
+   * - Stage 1: 50% at completion (+PAYOUT_STAGE1_DELAY_HOURS)
+   * - Stage 2: remaining 50% at completion + PAYOUT_STAGE2_DELAY_HOURS (if no dispute)
+   * Admin/EA can hold payouts by setting booking.payoutHold=true (manual override).
+   * Idempotent: an existing plan is never rescheduled.
+   */
+  async function schedulePayoutPlan(bookingId, booking) {
+    // One plan per booking, on the settlement leg; it pays out the service amount of every leg.
+    const { settlement, totals } = await loadBookingPayments(bookingId);
+    if (!settlement) {
+      console.error('No captured payment found for booking', bookingId);
+      return { status: 'skipped', reason: 'payment_missing' };
+    }
+    const paymentRef = settlement.ref;
+
+    const completedAt = asDate(booking?.completedAt) || new Date();
+    const stage1At = new Date(completedAt.getTime() + PAYOUT_STAGE1_DELAY_HOURS * 60 * 60 * 1000);
+    const stage2At = new Date(completedAt.getTime() + PAYOUT_STAGE2_DELAY_HOURS * 60 * 60 * 1000);
+    const Ts = admin && admin.firestore && admin.firestore.Timestamp;
+    const stage1EligibleAt = (Ts && typeof Ts.fromDate === 'function') ? Ts.fromDate(stage1At) : stage1At;
+    const stage2EligibleAt = (Ts && typeof Ts.fromDate === 'function') ? Ts.fromDate(stage2At) : stage2At;
+
+    let scheduled = false;
+    let skipReason = null;
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(paymentRef);
+      const paymentData = snap.data() || {};
+      if (!paymentData.escrowHeld || totals.held <= 0) {
+        skipReason = 'escrow_not_held';
+        return;
+      }
+      if (paymentData.releasePlanVersion === 2 || paymentData.releasePlan?.stage1?.eligibleAt) {
+        skipReason = 'already_scheduled';
+        return;
+      }
+      tx.update(paymentRef, {
+        releasePlanVersion: 2,
+        releasePlan: {
+          stage1: { key: 'stage1', fraction: 0.5, eligibleAt: stage1EligibleAt, status: 'scheduled' },
+          stage2: { key: 'stage2', fraction: 0.5, eligibleAt: stage2EligibleAt, status: 'scheduled' },
+        },
+        releaseStatus: 'scheduled',
+        releaseScheduledAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      scheduled = true;
+    });
+
+    if (!scheduled) {
+      if (skipReason === 'escrow_not_held') console.warn('Escrow not held for booking', bookingId);
+      return { status: 'skipped', reason: skipReason };
+    }
+
+    await db.collection(BOOKINGS_COLLECTION).doc(bookingId).update({
+      payoutHold: (booking?.payoutHold === true),
+      payoutPlan: {
+        version: 2,
+        stage1EligibleAt,
+        stage2EligibleAt,
+        disputeWindowHours: DISPUTE_WINDOW_HOURS,
+      },
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { status: 'scheduled' };
+  }
+
+  async function notifyParties(effect, bookingId, booking, effectContext) {
+    const recipients = Array.from(new Set([booking?.clientId, booking?.artistId, booking?.vendorId]
+      .map((x) => String(x || '').trim())
+      .filter(Boolean)));
+    const payload = { bookingId, ...(effectContext || {}) };
+    for (const recipientId of recipients) {
+      try {
+        await sendNotification(recipientId, effect.template, payload);
+      } catch (error) {
+        console.warn('Transition notification failed', bookingId, effect.template, recipientId, error?.message || error);
+      }
+    }
+  }
+
+  async function createAdminTask(effect, bookingId, transitionId, booking) {
+    const bookingType = String(booking?.type || booking?.bookingType || 'gig').toLowerCase();
+    if (Array.isArray(effect.bookingTypes) && !effect.bookingTypes.includes(bookingType)) return;
+    // Deterministic id: one task per transition, even if the effect is retried.
+    await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId}_${effect.taskType}_${transitionId}`).set({
+      type: effect.taskType,
+      bookingId,
+      clientId: booking?.clientId || null,
+      artistId: booking?.artistId || null,
+      priority: effect.priority || 'normal',
+      status: 'pending',
+      createdAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+
+  /**
+   * Claims one effect of a transition for this run. Returns 'claimed', or why it must not run:
+   * 'done', 'busy' (another run holds a live claim) or 'exhausted' (failed EFFECT_MAX_ATTEMPTS times).
+   */
+  async function claimEffect(transitionRef, key) {
+    let outcome = 'claimed';
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(transitionRef);
+      const state = snap.data()?.effects?.[key] || {};
+      if (state.status === 'done') {
+        outcome = 'done';
+        return;
+      }
+      if (state.status === 'running' && Date.now() - Number(state.claimedAtMs || 0) < EFFECT_CLAIM_TTL_MS) {
+        outcome = 'busy';
+        return;
+      }
+      if (Number(state.attempts || 0) >= EFFECT_MAX_ATTEMPTS) {
+        outcome = 'exhausted';
+        return;
+      }
+      tx.update(transitionRef, {
+        [`effects.${key}.status`]: 'running',
+        [`effects.${key}.claimedAtMs`]: Date.now(),
+        [`effects.${key}.attempts`]: FieldValue.increment(1),
+      });
+    });
+    return outcome;
+  }
+
+  // One task per transition whose effects were given up on; the effect errors stay on the transition doc.
+  async function raiseEffectsAbandoned(bookingId, transitionId, transition) {
+    await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId}_transition_effect_failed_${transitionId}`).set({
+      type: 'transition_effect_failed',
+      bookingId,
+      transitionId,
+      from: transition?.from || null,
+      to: transition?.to || null,
+      priority: 'high',
+      status: 'pending',
+      createdAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+
+  function appliesToPaymentStage(effect, effectContext) {
+    if (!Array.isArray(effect.paymentStages)) return true;
+    return effect.paymentStages.includes(effectContext?.stage || 'advance');
+  }
+
+  async function runEffect(effect, { bookingId, transitionId, booking, effectContext }) {
+    switch (effect.type) {
+      case 'block_calendar':
+        return blockCalendar(bookingId, booking);
+      case 'release_calendar':
+        return releaseCalendar(booking, effectContext);
+      case 'schedule_payouts':
+        return schedulePayoutPlan(bookingId, booking);
+      case 'notify_parties':
+        return notifyParties(effect, bookingId, booking, effectContext);
+      case 'create_admin_task':
+        return createAdminTask(effect, bookingId, transitionId, booking);
+      default:
+        throw new Error(`Unknown transition effect: ${effect.type}`);
+    }
+  }
+
+  /**
+   * Executes the effects declared for a logged transition (bookings/{id}/transitions/{transitionId}).
+   * A failed effect is recorded and left for sweepTransitionEffects; the roll-up is written to
+   * `effectsStatus` ('done', 'failed', 'running' or, once an effect is out of attempts, 'abandoned').
+   */
+  async function runTransitionEffects({ bookingId, transitionId, transition }) {
+    const effects = sideEffectsFor(transition?.from, transition?.to);
+    if (!effects.length) return { ran: 0 };
+
+    const transitionRef = db.collection(BOOKINGS_COLLECTION).doc(bookingId)
+      .collection(TRANSITIONS_SUBCOLLECTION).doc(transitionId);
+    const bookingSnap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+    if (!bookingSnap.exists) {
+      // Nothing to act on; close the transition so the sweeper does not pick it up again.
+      await transitionRef.update({ effectsStatus: 'skipped', effectsCheckedAtMs: Date.now() }).catch(() => {});
+      return { ran: 0, effectsStatus: 'skipped' };
+    }
+    const booking = bookingSnap.data() || {};
+
+    const effectContext = transition?.effectContext || null;
+    let ran = 0;
+    const open = new Set();
+    for (let i = 0; i < effects.length; i += 1) {
+      const effect = effects[i];
+      const key = `${i}_${effect.type}`;
+      if (!appliesToPaymentStage(effect, effectContext)) continue;
+      const claim = await claimEffect(transitionRef, key);
+      if (claim !== 'claimed') {
+        if (claim !== 'done') open.add(claim);
+        continue;
+      }
+      try {
+        await runEffect(effect, { bookingId, transitionId, booking, effectContext });
+        await transitionRef.update({
+          [`effects.${key}.status`]: 'done',
+          [`effects.${key}.doneAt`]: FieldValue.serverTimestamp(),
+        });
+        ran += 1;
+      } catch (error) {
+        console.warn('Transition effect failed', bookingId, transitionId, effect.type, error?.message || error);
+        open.add('failed');
+        await transitionRef.update({
+          [`effects.${key}.status`]: 'failed',
+          [`effects.${key}.error`]: String(error?.message || error),
+        }).catch(() => {});
+      }
+    }
+
+    let effectsStatus = 'done';
+    if (open.has('failed')) effectsStatus = 'failed';
+    else if (open.has('busy')) effectsStatus = 'running';
+    else if (open.has('exhausted')) effectsStatus = 'abandoned';
+    if (effectsStatus === 'abandoned') await raiseEffectsAbandoned(bookingId, transitionId, transition);
+    await transitionRef.update({ effectsStatus, effectsCheckedAtMs: Date.now() })
+      .catch((error) => console.warn('Transition effects status not saved', bookingId, transitionId, error?.message || error));
+    return { ran, effectsStatus };
+  }
+
+  /**
+   * Re-runs transitions whose effects failed, or that the trigger left unfinished, once they have
+   * been idle for EFFECT_CLAIM_TTL_MS. Called by the scheduled sweeper in bookingPolicy.js.
+   * @param {{ limit?: number }} [options]
+   */
+  async function sweepTransitionEffects({ limit = 100 } = {}) {
+    const snap = await db.collectionGroup(TRANSITIONS_SUBCOLLECTION)
+      .where('effectsStatus', 'in', OPEN_EFFECT_STATUSES)
+      .where('effectsCheckedAtMs', '<=', Date.now() - EFFECT_CLAIM_TTL_MS)
+      .limit(limit)
+      .get();
+
+    const summary = { swept: 0, done: 0, failed: 0, abandoned: 0 };
+    for (const doc of snap.docs) {
+      const transition = doc.data() || {};
+      const bookingId = transition.bookingId || doc.ref.parent.parent?.id;
+      if (!bookingId) continue;
+      try {
+        const { effectsStatus } = await runTransitionEffects({ bookingId, transitionId: doc.id, transition });
+        summary.swept += 1;
+        if (summary[effectsStatus] !== undefined) summary[effectsStatus] += 1;
+      } catch (error) {
+        console.warn('Transition effects sweep failed', bookingId, doc.id, error?.message || error);
+      }
+    }
+    return summary;
+  }
+
+  return {
+    runTransitionEffects,
+    sweepTransitionEffects,
+    schedulePayoutPlan,
+    releaseCalendar,
+  };
+};
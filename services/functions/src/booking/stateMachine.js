@@ -1,32 +1,212 @@
 'use strict';
 
-const ALLOWED_TRANSITIONS = {
-  pending_payment: new Set(['accepted', 'paid', 'cancelled']),
-  accepted: new Set(['paid', 'confirmed', 'in_progress', 'completed', 'cancelled']),
-  paid: new Set(['pending_payment', 'accepted', 'confirmed', 'in_progress', 'completed', 'cancelled']),
-  confirmed: new Set(['in_progress', 'completed', 'cancelled']),
-  in_progress: new Set(['completed', 'cancelled']),
+const { DISPUTE_WINDOW_HOURS } = require('../config/settlementPolicy');
+
+// Every status that can hold captured money (including pending_payment/payment_failed while the
+// balance is due) can be cancelled with a refund, so cancelAfterAdvance has a target from each.
+const GIG_TRANSITIONS = {
+  pending_payment: new Set(['accepted', 'paid', 'payment_failed', 'cancelled', 'partially_refunded', 'refunded', 'needs_replacement']),
+  // Client can retry (createOrder moves it back to pending_payment) or abandon. A capture can still
+  // land after the failure webhook (another attempt on the same order, or out-of-order delivery).
+  payment_failed: new Set(['pending_payment', 'paid', 'cancelled', 'partially_refunded', 'refunded']),
+  accepted: new Set(['paid', 'confirmed', 'in_progress', 'completed', 'cancelled', 'partially_refunded', 'refunded', 'needs_replacement']),
+  paid: new Set(['pending_payment', 'accepted', 'confirmed', 'in_progress', 'completed', 'cancelled', 'partially_refunded', 'refunded', 'needs_replacement']),
+  confirmed: new Set(['in_progress', 'completed', 'cancelled', 'partially_refunded', 'refunded', 'needs_replacement']),
+  // Provider pulled out: client accepts a substitute (back to the pre-cancellation status) or takes a full refund.
+  needs_replacement: new Set(['pending_payment', 'accepted', 'paid', 'confirmed', 'cancelled', 'partially_refunded', 'refunded']),
+  in_progress: new Set(['completed', 'cancelled', 'partially_refunded', 'refunded']),
   completed: new Set(['disputed']),
-  disputed: new Set(['completed', 'cancelled']),
-  cancelled: new Set(),
+  disputed: new Set(['completed', 'cancelled', 'partially_refunded', 'refunded']),
+  // Refund issued after cancellation (ops decision or policy).
+  cancelled: new Set(['partially_refunded', 'refunded']),
+  // Cancelled with part of the payment held; the held part may be refunded later.
+  partially_refunded: new Set(['refunded']),
   refunded: new Set(),
 };
 
+// Projects are created in pending_payment like gigs; the proposal/call phase is gated by booking
+// flags in createOrder (proposal.accepted, callCompleted), not by status. Project-only statuses
+// belong here once a caller moves bookings into them through transitionBooking.
+const PROJECT_TRANSITIONS = {
+  ...GIG_TRANSITIONS,
+};
+
+const TRANSITIONS_BY_BOOKING_TYPE = {
+  gig: GIG_TRANSITIONS,
+  project: PROJECT_TRANSITIONS,
+};
+
+const INITIAL_STATUS_BY_BOOKING_TYPE = {
+  gig: 'pending_payment',
+  project: 'pending_payment',
+};
+
+// Legacy name: gig table.
+const ALLOWED_TRANSITIONS = GIG_TRANSITIONS;
+
+// Side effects per transition, executed once per logged transition by booking/sideEffects.js.
+// Keys are `from->to`; `*` matches any status. Effect types:
+// - block_calendar / release_calendar: calendar_blocks for assigned artists/vendors
+// - schedule_payouts: staged payout plan on the booking's payment doc
+// - notify_parties: sendNotification(template) to client + providers
+// - create_admin_task: adminTasks entry (optionally limited to bookingTypes)
+// Any effect may set paymentStages to run only for captures of those legs (effectContext.stage;
+// transitions logged without a stage count as the advance).
+const TRANSITION_EFFECTS = {
+  'pending_payment->paid': [
+    { type: 'block_calendar' },
+    { type: 'notify_parties', template: 'payment_success', paymentStages: ['advance'] },
+    { type: 'create_admin_task', taskType: 'gig_followup_call', priority: 'low', bookingTypes: ['gig'], paymentStages: ['advance'] },
+  ],
+  'payment_failed->paid': [
+    { type: 'block_calendar' },
+    { type: 'notify_parties', template: 'payment_success', paymentStages: ['advance'] },
+    { type: 'create_admin_task', taskType: 'gig_followup_call', priority: 'low', bookingTypes: ['gig'], paymentStages: ['advance'] },
+  ],
+  '*->completed': [
+    { type: 'schedule_payouts' },
+  ],
+  'completed->disputed': [
+    { type: 'create_admin_task', taskType: 'dispute_review', priority: 'high' },
+  ],
+  '*->cancelled': [
+    { type: 'release_calendar' },
+  ],
+  '*->partially_refunded': [
+    { type: 'release_calendar' },
+  ],
+  '*->refunded': [
+    { type: 'release_calendar' },
+  ],
+  '*->needs_replacement': [
+    { type: 'release_calendar' },
+    { type: 'create_admin_task', taskType: 'provider_replacement', priority: 'high' },
+  ],
+  'needs_replacement->paid': [
+    { type: 'block_calendar' },
+  ],
+  'needs_replacement->accepted': [
+    { type: 'block_calendar' },
+  ],
+  'needs_replacement->confirmed': [
+    { type: 'block_calendar' },
+  ],
+};
+
+// Guard conditions enforced by the callers that perform each transition (documentation only;
+// canTransition checks the graph). Keys follow TRANSITION_EFFECTS. Fields:
+// - roles: who may trigger it ('client' | 'provider' | 'admin' | 'system')
+// - payment: payment precondition on the booking
+// - window: time window relative to a booking timestamp
+const TRANSITION_GUARDS = {
+  'pending_payment->paid': { roles: ['system'], payment: 'gateway_capture_success' },
+  'pending_payment->payment_failed': { roles: ['system'], payment: 'gateway_capture_failed' },
+  'payment_failed->pending_payment': { roles: ['client'], payment: 'retry_via_createOrder' },
+  'payment_failed->paid': { roles: ['system'], payment: 'gateway_capture_success' },
+  'paid->pending_payment': { roles: ['system'], payment: 'balance_due_at_reached' },
+  'paid->partially_refunded': { roles: ['admin'], payment: 'advance_paid_not_paid_full' },
+  'pending_payment->partially_refunded': { roles: ['client', 'admin'], payment: 'advance_paid_balance_due' },
+  'pending_payment->refunded': { roles: ['client', 'admin'], payment: 'advance_paid_balance_due' },
+  'confirmed->refunded': { roles: ['admin'], payment: 'gateway_payment_captured' },
+  'confirmed->completed': { roles: ['admin'], payment: 'paid_full' },
+  'completed->disputed': { roles: ['client'], window: { field: 'completedAt', hours: DISPUTE_WINDOW_HOURS } },
+  'disputed->completed': { roles: ['admin'] },
+  '*->cancelled': { roles: ['client', 'admin', 'system'], payment: 'advance_unpaid_unless_admin' },
+  '*->needs_replacement': { roles: ['provider', 'admin'] },
+  'needs_replacement->refunded': { roles: ['client', 'admin'], payment: 'gateway_payment_captured' },
+};
+
 function normalizeStatus(value) {
   return String(value || '').trim().toLowerCase();
 }
 
-function canTransition(fromStatus, toStatus) {
+function normalizeBookingType(value) {
+  return String(value || '').trim().toLowerCase() === 'project' ? 'project' : 'gig';
+}
+
+/** Booking type as stored on a booking doc (`type`, or `bookingType` set by createOrder). */
+function bookingTypeOf(booking) {
+  return normalizeBookingType(booking?.type || booking?.bookingType);
+}
+
+function transitionsFor(bookingType) {
+  return TRANSITIONS_BY_BOOKING_TYPE[normalizeBookingType(bookingType)];
+}
+
+function canTransition(fromStatus, toStatus, bookingType = 'gig') {
   const from = normalizeStatus(fromStatus);
   const to = normalizeStatus(toStatus);
   if (!from || !to) return false;
   if (from === to) return true;
-  const next = ALLOWED_TRANSITIONS[from];
+  const next = transitionsFor(bookingType)[from];
   return !!next && next.has(to);
 }
 
+function sideEffectsFor(fromStatus, toStatus) {
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+  if (!to || from === to) return [];
+  return [
+    ...(TRANSITION_EFFECTS[`${from}->${to}`] || []),
+    ...(TRANSITION_EFFECTS[`*->${to}`] || []),
+  ];
+}
+
+function guardsFor(fromStatus, toStatus) {
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+  return TRANSITION_GUARDS[`${from}->${to}`] || TRANSITION_GUARDS[`*->${to}`] || null;
+}
+
+class InvalidTransitionError extends Error {
+  constructor(fromStatus, toStatus, bookingType = 'gig') {
+    const from = normalizeStatus(fromStatus);
+    const to = normalizeStatus(toStatus);
+    const type = normalizeBookingType(bookingType);
+    super(`Illegal ${type} booking status transition: ${from || '(none)'} -> ${to || '(none)'}`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'invalid-transition';
+    this.from = from || null;
+    this.to = to || null;
+    this.bookingType = type;
+  }
+}
+
+// The booking's stored status no longer matches the status the caller decided on.
+class ConcurrentTransitionError extends Error {
+  constructor(bookingId, expectedStatus, actualStatus) {
+    const expected = normalizeStatus(expectedStatus);
+    const actual = normalizeStatus(actualStatus);
+    super(`Booking ${bookingId} changed concurrently: expected ${expected || '(none)'}, found ${actual || '(missing)'}`);
+    this.name = 'ConcurrentTransitionError';
+    this.code = 'concurrent-transition';
+    this.bookingId = bookingId;
+    this.expected = expected || null;
+    this.actual = actual || null;
+  }
+}
+
+function assertTransition(fromStatus, toStatus, bookingType = 'gig') {
+  if (!canTransition(fromStatus, toStatus, bookingType)) {
+    throw new InvalidTransitionError(fromStatus, toStatus, bookingType);
+  }
+}
+
 module.exports = {
   ALLOWED_TRANSITIONS,
+  GIG_TRANSITIONS,
+  PROJECT_TRANSITIONS,
+  INITIAL_STATUS_BY_BOOKING_TYPE,
+  TRANSITION_EFFECTS,
+  TRANSITION_GUARDS,
   normalizeStatus,
+  normalizeBookingType,
+  bookingTypeOf,
+  transitionsFor,
   canTransition,
+  sideEffectsFor,
+  guardsFor,
+  InvalidTransitionError,
+  ConcurrentTransitionError,
+  assertTransition,
 };
@@ -0,0 +1,69 @@
+// services/functions/src/booking/stateMachineGraph.js
+'use strict';
+
+const {
+  INITIAL_STATUS_BY_BOOKING_TYPE,
+  normalizeBookingType,
+  transitionsFor,
+  sideEffectsFor,
+  guardsFor,
+} = require('./stateMachine');
+
+/**
+ * Structured view of the booking state machine (states, edges, guards, effects),
+ * built from stateMachine.js so rendered docs can't drift from the code.
+ */
+function describeStateMachine(bookingType = 'gig') {
+  const type = normalizeBookingType(bookingType);
+  const table = transitionsFor(type);
+  const states = Object.keys(table);
+  const transitions = [];
+  for (const from of states) {
+    for (const to of table[from]) {
+      transitions.push({
+        from,
+        to,
+        guards: guardsFor(from, to),
+        effects: sideEffectsFor(from, to).map((e) => e.type),
+      });
+    }
+  }
+  const terminal = states.filter((s) => table[s].size === 0);
+  return { bookingType: type, initial: INITIAL_STATUS_BY_BOOKING_TYPE[type], states, terminal, transitions };
+}
+
+function guardLabel(guards) {
+  if (!guards) return '';
+  const parts = [];
+  if (Array.isArray(guards.roles) && guards.roles.length) parts.push(guards.roles.join('/'));
+  if (guards.payment) parts.push(guards.payment);
+  if (guards.window) parts.push(`${guards.window.field}+${guards.window.hours}h`);
+  return parts.join(', ');
+}
+
+function toMermaid(graph = describeStateMachine()) {
+  const lines = ['stateDiagram-v2', `  [*] --> ${graph.initial}`];
+  for (const t of graph.transitions) {
+    const label = guardLabel(t.guards);
+    lines.push(label ? `  ${t.from} --> ${t.to} : ${label}` : `  ${t.from} --> ${t.to}`);
+  }
+  for (const s of graph.terminal) lines.push(`  ${s} --> [*]`);
+  return lines.join('\n');
+}
+
+function toDot(graph = describeStateMachine()) {
+  const lines = ['digraph booking {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+  for (const s of graph.terminal) lines.push(`  "${s}" [peripheries=2];`);
+  for (const t of graph.transitions) {
+    const label = guardLabel(t.guards);
+    lines.push(label ? `  "${t.from}" -> "${t.to}" [label="${label}"];` : `  "${t.from}" -> "${t.to}";`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+module.exports = {
+  describeStateMachine,
+  toMermaid,
+  toDot,
+};
@@ -0,0 +1,153 @@
+// services/functions/src/booking/transitionService.js
+'use strict';
+
+const {
+  normalizeStatus,
+  bookingTypeOf,
+  assertTransition,
+  sideEffectsFor,
+  InvalidTransitionError,
+  ConcurrentTransitionError,
+} = require('./stateMachine');
+
+const BOOKINGS_COLLECTION = 'bookings';
+const TRANSITIONS_SUBCOLLECTION = 'transitions';
+const SYSTEM_ACTOR_PREFIX = 'system_';
+// Statuses a booking waits for payment in; a retry moves between them without reopening the window.
+const AWAITING_PAYMENT_STATUSES = new Set(['pending_payment', 'payment_failed']);
+
+function actorTypeOf(actor) {
+  return String(actor || '').startsWith(SYSTEM_ACTOR_PREFIX) ? 'system' : 'user';
+}
+
+/**
+ * Maps the errors transitionBooking throws to the HttpsError callables return: an illegal move is
+ * failed-precondition, a concurrent change is aborted. Any other error is returned unchanged.
+ */
+function toTransitionHttpsError(error) {
+  if (!(error instanceof InvalidTransitionError) && !(error instanceof ConcurrentTransitionError)) {
+    return error;
+  }
+  const functions = require('firebase-functions/v1');
+  if (error instanceof InvalidTransitionError) {
+    return new functions.https.HttpsError('failed-precondition', error.message, { from: error.from, to: error.to });
+  }
+  return new functions.https.HttpsError('aborted', 'Booking was updated by another request; reload and try again', {
+    expected: error.expected,
+    actual: error.actual,
+  });
+}
+
+/**
+ * Single write path for booking status changes.
+ * Every write is a read-check-write transaction: the stored status must still equal the
+ * caller's `from`, the move must be allowed by the booking type's table (gig/project),
+ * and an entry is appended to `bookings/{id}/transitions` atomically with the status write.
+ */
+module.exports = function buildBookingTransitions({ admin, db }) {
+  const FieldValue = admin.firestore.FieldValue;
+
+  /**
+   * Moves a booking from `from` to `to`, merging `update` into the booking doc.
+   * Throws InvalidTransitionError when the move is not allowed, and ConcurrentTransitionError
+   * when the booking's status is no longer `from` (both in stateMachine.js).
+   * @param {object} params
+   * @param {string} params.bookingId
+   * @param {string} params.from Status the caller read before deciding to write.
+   * @param {string} params.to Target status.
+   * @param {string} params.actor Caller uid, or a `system_`-prefixed job name (e.g. 'system_balance_overdue').
+   * @param {string|null} [params.reason]
+   * @param {object|function(object): object} [params.update] Extra booking fields written alongside the
+   *   status, or a function of the booking as read inside the transaction that returns them.
+   * @param {object|null} [params.effectContext] Data the side-effect runner needs (e.g. captured amount).
+   * @param {function(object, object): Promise<void>} [params.precondition] Runs inside the transaction after
+   *   the status checks with (tx, booking); may read through tx and throws to abort the move.
+   */
+  async function transitionBooking({ bookingId, from, to, actor, reason = null, update = {}, effectContext = null, precondition = null }) {
+    const fromStatus = normalizeStatus(from);
+    const toStatus = normalizeStatus(to);
+
+    const bookingRef = db.collection(BOOKINGS_COLLECTION).doc(bookingId);
+    const historyRef = bookingRef.collection(TRANSITIONS_SUBCOLLECTION).doc();
+    const now = FieldValue.serverTimestamp();
+
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(bookingRef);
+      const currentStatus = snap.exists ? normalizeStatus(snap.data()?.status) : null;
+      if (currentStatus !== fromStatus) {
+        throw new ConcurrentTransitionError(bookingId, fromStatus, currentStatus);
+      }
+      const bookingType = bookingTypeOf(snap.data());
+      assertTransition(fromStatus, toStatus, bookingType);
+      if (precondition) await precondition(tx, snap.data() || {});
+      const fields = typeof update === 'function' ? update(snap.data() || {}) : update;
+
+      // pendingPaymentSince starts the payment timeout (pendingPaymentExpiryScheduler); unlike
+      // updatedAt it is not moved by unrelated writes or by a retry after a failed attempt.
+      const opensPaymentWindow = toStatus === 'pending_payment' && !AWAITING_PAYMENT_STATUSES.has(fromStatus);
+      tx.set(bookingRef, {
+        ...fields,
+        ...(opensPaymentWindow ? { pendingPaymentSince: now } : {}),
+        status: toStatus,
+        updatedAt: now,
+      }, { merge: true });
+
+      if (fromStatus === toStatus) return;
+      tx.set(historyRef, {
+        schemaVersion: 1,
+        bookingId,
+        bookingType,
+        from: fromStatus,
+        to: toStatus,
+        actor: actor ? String(actor) : null,
+        actorType: actorTypeOf(actor),
+        reason: reason || null,
+        effectContext: effectContext || null,
+        // Read by sideEffects.sweepTransitionEffects to find effects the trigger never finished.
+        ...(sideEffectsFor(fromStatus, toStatus).length
+          ? { effectsStatus: 'pending', effectsCheckedAtMs: Date.now() }
+          : {}),
+        at: now,
+      });
+    });
+
+    return { bookingId, from: fromStatus, to: toStatus };
+  }
+
+  /**
+   * Runs transitionBooking's checks without writing, for callers that must know a move is allowed
+   * before an irreversible step (e.g. a gateway refund). Throws the same errors.
+   * @param {{ bookingId: string, from: string, to: string }} params
+   */
+  async function assertCanTransition({ bookingId, from, to }) {
+    const fromStatus = normalizeStatus(from);
+    const snap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+    const currentStatus = snap.exists ? normalizeStatus(snap.data()?.status) : null;
+    if (currentStatus !== fromStatus) {
+      throw new ConcurrentTransitionError(bookingId, fromStatus, currentStatus);
+    }
+    assertTransition(fromStatus, to, bookingTypeOf(snap.data()));
+  }
+
+  /**
+   * Returns the transition log for a booking, oldest first.
+   * @param {string} bookingId
+   * @param {{ limit?: number }} [options]
+   */
+  async function listTransitions(bookingId, { limit = 100 } = {}) {
+    const snap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId)
+      .collection(TRANSITIONS_SUBCOLLECTION)
+      .orderBy('at', 'asc')
+      .limit(limit)
+      .get();
+    return snap.docs.map((doc) => ({ id: doc.id, ...(doc.data() || {}) }));
+  }
+
+  return {
+    transitionBooking,
+    assertCanTransition,
+    listTransitions,
+  };
+};
+
+module.exports.toTransitionHttpsError = toTransitionHttpsError;
@@ -6,25 +6,39 @@ const { regional } = require('./region');
 const { hasPermission } = require('./permissions/permissionMaps');
 const communicationService = require('./communicationService');
 const { DISPUTE_WINDOW_HOURS } = require('./config/settlementPolicy');
+const { quoteCancellation, quoteCoversPayments } = require('./config/cancellationPolicy');
+const buildBookingTransitions = require('./booking/transitionService');
+const { toTransitionHttpsError } = require('./booking/transitionService');
+const buildTransitionEffects = require('./booking/sideEffects');
+const { describeStateMachine, toMermaid, toDot } = require('./booking/stateMachineGraph');
+const buildRefundLedger = require('./payments/refundLedger');
+const { isRefundRetryable, RefundInProgressError } = require('./payments/refundLedger');
+const buildPaymentLegs = require('./payments/paymentLegs');
+const { capturedLegs } = require('./payments/paymentLegs');
+const { buildPaymentGateways } = require('./payments/gateways');
+const { toHttpsError } = require('./payments/gateways/http');
 
 try { admin.app(); } catch (_) { admin.initializeApp(); }
 const db = admin.firestore();
+const { transitionBooking, assertCanTransition, listTransitions } = buildBookingTransitions({ admin, db });
+const { runTransitionEffects, sweepTransitionEffects } = buildTransitionEffects({
+  admin,
+  db,
+  sendNotification: (...args) => communicationService.sendNotification(...args),
+});
+const { runRefundLeg } = buildRefundLedger({ admin, db });
+const { loadPaymentLegs, loadBookingPayments, syncBookingPaymentTotals } = buildPaymentLegs({ admin, db });
+const paymentGateways = buildPaymentGateways();
 
 const BOOKINGS_COLLECTION = 'bookings';
-const PAYMENTS_COLLECTION = 'payments';
-const CALENDAR_BLOCKS = 'calendar_blocks';
 const DISPUTES_COLLECTION = 'disputes';
-const CASHFREE_REFUNDS_PATH = '/api/v2/payments';
-
-const nodeFetch = (() => {
-  try { return require('node-fetch'); } catch (_) { return null; }
-})();
-
-function getFetch() {
-  // eslint-disable-next-line no-undef
-  if (typeof fetch === 'function') return fetch;
-  return (nodeFetch && (nodeFetch.default || nodeFetch)) || null;
-}
+const CALENDAR_BLOCKS = 'calendar_blocks';
+const PROVIDER_COLLECTIONS = { artist: 'artists', vendor: 'vendors' };
+const RELIABILITY_STRIKES_SUBCOLLECTION = 'reliabilityStrikes';
+const REPLACEMENT_SCAN_LIMIT = 50;
+const REPLACEMENT_SHORTLIST_SIZE = 5;
+// Statuses a cancellation has already settled; completed bookings go through disputes instead.
+const CANCELLED_STATUSES = new Set(['cancelled', 'partially_refunded', 'refunded']);
 
 function assertAuthed(context) {
   if (!context?.auth?.uid) {
@@ -42,85 +56,222 @@ async function assertAdmin(context) {
   }
 }
 
-async function deleteCalendarBlocksForBooking(booking) {
-  const explicitIds = Array.isArray(booking?.calendarBlockIds) ? booking.calendarBlockIds : null;
-  if (explicitIds && explicitIds.length) {
-    const ids = explicitIds.map((x) => String(x || '').trim()).filter(Boolean).slice(0, 500);
-    if (!ids.length) return;
-    const batch = db.batch();
-    for (const id of ids) batch.delete(db.collection(CALENDAR_BLOCKS).doc(id));
-    await batch.commit();
-    return;
-  }
+function isCancellable(status) {
+  return status !== 'completed' && !CANCELLED_STATUSES.has(status);
+}
 
-  // Fallback (legacy): single-day blocks computed from eventDate + assigned artists/vendors.
-  const eventDate = String(booking?.eventDate || '').trim();
-  if (!eventDate) return;
-  const assignedArtists = Array.isArray(booking?.assignedArtistIds) ? booking.assignedArtistIds : (booking?.artistId ? [booking.artistId] : []);
-  const assignedVendors = Array.isArray(booking?.assignedVendorIds) ? booking.assignedVendorIds : (booking?.vendorId ? [booking.vendorId] : []);
-  const uids = [...assignedArtists, ...assignedVendors].map((x) => String(x || '').trim()).filter(Boolean).slice(0, 20);
-  if (!uids.length) return;
-
-  const batch = db.batch();
-  for (const uid of uids) {
-    const blockId = `${uid}_${eventDate}`;
-    batch.delete(db.collection(CALENDAR_BLOCKS).doc(blockId));
+// Refunds go back through the gateway that captured the payment leg.
+async function sendGatewayRefund({ payment, gatewayPaymentId, refundAmount, refundId, refundNote }) {
+  try {
+    return await paymentGateways.forPayment(payment).refund({
+      gatewayPaymentId,
+      gatewayOrderId: payment?.gatewayOrderId || null,
+      amount: refundAmount,
+      refundId,
+      note: refundNote || 'Refund initiated by Kalaqaar',
+    });
+  } catch (error) {
+    throw toHttpsError(error, 'Gateway refund failed');
   }
-  await batch.commit();
 }
 
-function cashfreePgBaseUrl() {
-  const envRaw = process.env.CASHFREE_ENVIRONMENT || process.env.CASHFREE_ENV || '';
-  const sandboxFlag = String(process.env.CASHFREE_SANDBOX || '').toLowerCase();
-  const isSandbox = sandboxFlag ? (sandboxFlag === 'true' || sandboxFlag === '1') : (!envRaw || envRaw.toUpperCase() === 'SANDBOX');
-  const env = envRaw ? envRaw.toUpperCase() : (isSandbox ? 'SANDBOX' : 'PRODUCTION');
-  return (env === 'PRODUCTION' || env === 'LIVE' || env === 'PROD') ? 'https://api.cashfree.com' : 'https://sandbox.cashfree.com';
+/**
+ * Runs the side effects declared in booking/stateMachine.js TRANSITION_EFFECTS
+ * (calendar blocks, payout plan, notifications, admin tasks) for every logged transition.
+ */
+exports.runBookingTransitionEffectsV1 = regional()
+  .runWith({ timeoutSeconds: 60, memory: '256MB' })
+  .firestore.document(`${BOOKINGS_COLLECTION}/{bookingId}/transitions/{transitionId}`)
+  .onCreate(async (snap, context) => {
+    const { bookingId, transitionId } = context.params;
+    await runTransitionEffects({ bookingId, transitionId, transition: snap.data() || {} });
+    return null;
+  });
+
+/**
+ * Retries transition effects that failed or were never finished by runBookingTransitionEffectsV1.
+ * An effect that keeps failing is given up after a few runs and raises a `transition_effect_failed` admin task.
+ */
+exports.transitionEffectsSweeperV1 = regional()
+  .runWith({ timeoutSeconds: 300, memory: '256MB' })
+  .pubsub.schedule('every 15 minutes')
+  .timeZone('Asia/Kolkata')
+  .onRun(async () => {
+    const summary = await sweepTransitionEffects({ limit: 100 });
+    if (summary.swept) console.log('Transition effects sweep', summary);
+    return null;
+  });
+
+// Captured payment legs of a booking (advance, balance, ...), each with its own gatewayPaymentId.
+async function loadCapturedPayments(bookingId) {
+  return capturedLegs(await loadPaymentLegs(bookingId)).filter((p) => p.data.gatewayPaymentId);
 }
 
-async function cashfreeRefundByGatewayPaymentId({ gatewayPaymentId, refundAmount, refundId, refundNote }) {
-  const clientId = process.env.CASHFREE_CLIENT_ID || '';
-  const clientSecret = process.env.CASHFREE_CLIENT_SECRET || '';
-  if (!clientId || !clientSecret) {
-    const functions = require('firebase-functions/v1');
-    throw new functions.https.HttpsError('failed-precondition', 'Cashfree client credentials are not configured');
-  }
-  const base = cashfreePgBaseUrl();
-  const url = `${base}${CASHFREE_REFUNDS_PATH}/${encodeURIComponent(gatewayPaymentId)}/refunds`;
-  const f = getFetch();
-  if (!f) {
-    const functions = require('firebase-functions/v1');
-    throw new functions.https.HttpsError('failed-precondition', 'Fetch is not available in this runtime');
+/**
+ * Issues one gateway refund per leg of `quote.legs` and records it on that leg's payment doc.
+ * Each leg goes through the refunds ledger (payments/refundLedger.js): the refund_id is derived
+ * from booking + leg + attempt and the leg is locked before the gateway is called. A leg whose refund
+ * is already initiated or processed is reported as it stands and never sent again, so a retry after
+ * a partial failure only sends the missing or failed legs.
+ * Throws after attempting every leg if any of them failed.
+ */
+async function refundPaymentLegs({ bookingId, quote, paymentDocs, actor, refundNote }) {
+  const functions = require('firebase-functions/v1');
+  const byId = new Map(paymentDocs.map((p) => [p.id, p]));
+  const results = [];
+  const failures = [];
+  for (const leg of quote.legs) {
+    const paymentDoc = byId.get(leg.paymentId);
+    if (!paymentDoc || leg.refundAmount <= 0) continue;
+    if (!isRefundRetryable(paymentDoc.data.refundStatus)) {
+      results.push({ paymentId: leg.paymentId, stage: leg.stage, refundId: paymentDoc.data.refundId || null, refundAmount: paymentDoc.data.refundAmount || 0, existing: true });
+      continue;
+    }
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    try {
+      const { refundId, existing, refund } = await runRefundLeg({
+        bookingId,
+        paymentId: leg.paymentId,
+        stage: leg.stage,
+        amount: leg.refundAmount,
+        holdAmount: leg.holdAmount,
+        actor,
+        note: refundNote,
+        send: (id) => sendGatewayRefund({
+          payment: paymentDoc.data,
+          gatewayPaymentId: leg.gatewayPaymentId,
+          refundAmount: leg.refundAmount,
+          refundId: id,
+          refundNote,
+        }),
+      });
+      if (paymentDoc.data.refundId !== refundId || !existing) {
+        await paymentDoc.ref.set({
+          refundStatus: existing ? refund.status : (leg.holdAmount > 0 ? 'initiated_partial' : 'initiated'),
+          refundId,
+          refundGatewayId: refund.gatewayResponse?.gatewayRefundId || null,
+          refundAmount: existing ? refund.amount : leg.refundAmount,
+          refundHoldAmount: existing ? (refund.holdAmount || 0) : leg.holdAmount,
+          refundInitiatedAt: now,
+          refundReason: refundNote,
+          refundProcessedBy: actor,
+          refundGatewayResponse: refund.gatewayResponse || null,
+          updatedAt: now,
+        }, { merge: true });
+      }
+      results.push({ paymentId: leg.paymentId, stage: leg.stage, refundId, refundAmount: existing ? refund.amount : leg.refundAmount, existing });
+    } catch (error) {
+      console.error('Refund leg failed', bookingId, leg.paymentId, error?.message || error);
+      if (!(error instanceof RefundInProgressError)) {
+        await paymentDoc.ref.set({
+          refundStatus: 'failed_to_initiate',
+          refundError: String(error?.message || error),
+          updatedAt: now,
+        }, { merge: true }).catch(() => {});
+      }
+      failures.push(leg.paymentId);
+    }
   }
-  const res = await f(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-client-id': clientId,
-      'x-client-secret': clientSecret,
-    },
-    body: JSON.stringify({
-      refund_amount: String(refundAmount),
-      refund_id: refundId,
-      refund_note: refundNote || 'Refund initiated by Kalaqaar',
-    }),
+  await syncBookingPaymentTotals(bookingId).catch((error) => {
+    console.warn('Failed to sync booking payment totals', bookingId, error?.message || error);
   });
-  const text = await res.text();
-  let data;
-  try { data = text ? JSON.parse(text) : {}; } catch { data = { raw: text }; }
-  if (!res.ok) {
-    const functions = require('firebase-functions/v1');
-    throw new functions.https.HttpsError('internal', `Cashfree refund failed (${res.status})`);
+  if (failures.length) {
+    throw new functions.https.HttpsError('internal', 'Refund could not be initiated for every payment; retry to send the rest', {
+      failedPaymentIds: failures,
+      refunded: results,
+    });
+  }
+  return results;
+}
+
+/**
+ * Cancels a booking whose advance (or full amount) is paid, applying the tiered refund schedule in
+ * config/cancellationPolicy.js: refunds the computed share via the payment gateway, one refund per leg,
+ * and moves the booking to refunded / partially_refunded / cancelled depending on how much goes back.
+ * Shared by client self-cancellation and the admin flow so both always agree.
+ */
+async function cancelAfterAdvance({ bookingId, booking, actor, reason }) {
+  const functions = require('firebase-functions/v1');
+  const paymentDocs = await loadCapturedPayments(bookingId);
+  if (!paymentDocs.length) {
+    throw new functions.https.HttpsError('not-found', 'Captured payment not found');
+  }
+
+  // A retry after a partial refund failure reuses the quote the first attempt refunded from:
+  // requoting later could fall in another tier and refund the legs again with different amounts.
+  const payments = paymentDocs.map((p) => ({ id: p.id, ...p.data }));
+  const savedQuote = booking.cancellationQuote || null;
+  if (savedQuote && !quoteCoversPayments(savedQuote, payments)) {
+    throw new functions.https.HttpsError('failed-precondition', 'A payment was captured after this cancellation started; contact Kalaqaar support to cancel');
+  }
+  const quote = savedQuote || quoteCancellation({ booking, payments });
+  if (!quote) {
+    throw new functions.https.HttpsError('failed-precondition', 'Booking has no event date; contact Kalaqaar support to cancel');
   }
-  return data;
+  const { refundAmount, holdAmount } = quote;
+  const refundNote = reason || `Cancellation (${quote.policyVersion}: ${quote.rule})`;
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  let to = 'cancelled';
+  if (refundAmount > 0) to = holdAmount > 0 ? 'partially_refunded' : 'refunded';
+  // Refunds cannot be taken back: check the move before any money leaves.
+  try {
+    await assertCanTransition({ bookingId, from: booking.status, to });
+  } catch (error) {
+    throw toTransitionHttpsError(error);
+  }
+
+  if (refundAmount > 0 && !savedQuote) {
+    await db.collection(BOOKINGS_COLLECTION).doc(bookingId).set({ cancellationQuote: quote, updatedAt: now }, { merge: true });
+  }
+  const refunds = refundAmount > 0
+    ? await refundPaymentLegs({ bookingId, quote, paymentDocs, actor, refundNote })
+    : [];
+
+  try {
+    await transitionBooking({
+      bookingId,
+      from: booking.status,
+      to,
+      actor,
+      reason: refundNote,
+      update: {
+        cancelledAt: now,
+        cancelledBy: actor,
+        cancelReason: refundNote,
+        cancellationPolicyVersion: quote.policyVersion,
+        cancellationQuote: admin.firestore.FieldValue.delete(),
+        cancellation: {
+          policy: 'tiered_days_before_event',
+          policyVersion: quote.policyVersion,
+          rule: quote.rule,
+          refundRate: quote.refundRate,
+          hoursBeforeEvent: quote.hoursBeforeEvent,
+          amountPaid: quote.amountPaid,
+          paidFull: booking.paidFull === true,
+          holdAmount,
+          refundAmount,
+          gst: quote.gst,
+          holdAllocation: quote.holdAllocation,
+          refundLegs: quote.legs,
+        },
+      },
+    });
+  } catch (error) {
+    throw toTransitionHttpsError(error);
+  }
+
+  return { status: to, refunds, refundAmount, holdAmount, policyVersion: quote.policyVersion, rule: quote.rule };
 }
 
 /**
  * Client/admin cancellation policy:
  * - If advance NOT paid: cancel allowed, ₹0 charged.
- * - If advance paid: only admin can cancel (refund/hold policy handled by admin flow).
+ * - If advance (or full amount) paid: client or admin can cancel; refund follows the tiered schedule
+ *   (config/cancellationPolicy.js) and is sent back automatically via the payment gateway, per leg.
  */
 exports.cancelBookingV1 = regional()
-  .runWith({ timeoutSeconds: 30, memory: '256MB' })
+  .runWith({ timeoutSeconds: 60, memory: '256MB' })
   .https.onCall(async (data, context) => {
     assertAuthed(context);
     const uid = context.auth.uid;
@@ -147,39 +298,47 @@ exports.cancelBookingV1 = regional()
       throw new functions.https.HttpsError('permission-denied', 'Not allowed');
     }
 
-    if (String(b.status || '').toLowerCase() === 'completed') {
+    const status = String(b.status || '').toLowerCase();
+    if (status === 'completed') {
       const functions = require('firebase-functions/v1');
       throw new functions.https.HttpsError('failed-precondition', 'Cannot cancel a completed booking');
     }
+    if (CANCELLED_STATUSES.has(status)) {
+      const functions = require('firebase-functions/v1');
+      throw new functions.https.HttpsError('failed-precondition', 'Booking is already cancelled', { status });
+    }
 
     if (b.advancePaid === true) {
-      // Advance-paid cancellation has refund rules; enforce admin-only so ops can confirm policy.
-      if (!isAdmin) {
-        const functions = require('firebase-functions/v1');
-        throw new functions.https.HttpsError('failed-precondition', 'Contact Kalaqaar support to cancel after advance payment');
-      }
+      const result = await cancelAfterAdvance({ bookingId, booking: b, actor: uid, reason });
+      return { ok: true, bookingId, ...result };
     }
 
     const now = admin.firestore.FieldValue.serverTimestamp();
-    await bookingRef.set({
-      status: 'cancelled',
-      cancelledAt: now,
-      cancelledBy: uid,
-      cancelReason: reason,
-      updatedAt: now,
-    }, { merge: true });
-
-    // Release any calendar blocks
-    try { await deleteCalendarBlocksForBooking(b); } catch (_) {}
+    try {
+      await transitionBooking({
+        bookingId,
+        from: b.status,
+        to: 'cancelled',
+        actor: uid,
+        reason,
+        update: {
+          cancelledAt: now,
+          cancelledBy: uid,
+          cancelReason: reason,
+        },
+      });
+    } catch (error) {
+      throw toTransitionHttpsError(error);
+    }
 
     return { ok: true, bookingId, status: 'cancelled' };
   });
 
 /**
- * V1 admin cancellation after advance paid (before T-2):
- * - Hold 25% of advance (includes GST proportionally).
- * - Refund remaining advance amount via Cashfree.
- * - Mark booking cancelled and release calendar blocks.
+ * V1 admin cancellation after advance paid:
+ * - Refund/hold split follows the tiered schedule in config/cancellationPolicy.js.
+ * - Refund goes out via the payment gateway; booking moves to refunded / partially_refunded / cancelled
+ *   (calendar blocks are released by the transition effect).
  */
 exports.adminCancelAfterAdvanceV1 = regional()
   .runWith({ timeoutSeconds: 60, memory: '512MB' })
@@ -204,79 +363,354 @@ exports.adminCancelAfterAdvanceV1 = regional()
       const functions = require('firebase-functions/v1');
       throw new functions.https.HttpsError('failed-precondition', 'Advance is not paid for this booking');
     }
-    if (b.paidFull === true) {
-      const functions = require('firebase-functions/v1');
-      throw new functions.https.HttpsError('failed-precondition', 'Use a separate policy for paid-full cancellations');
-    }
     if (String(b.status || '').toLowerCase() !== 'paid') {
       const functions = require('firebase-functions/v1');
       throw new functions.https.HttpsError('failed-precondition', 'Booking must be in paid status (advance paid)');
     }
 
-    const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).limit(1).get();
-    if (paymentsSnap.empty) {
-      const functions = require('firebase-functions/v1');
-      throw new functions.https.HttpsError('not-found', 'Payment not found');
+    const result = await cancelAfterAdvance({ bookingId, booking: b, actor: context.auth.uid, reason });
+    return { ok: true, bookingId, ...result };
+  });
+
+/**
+ * Dry-run of cancelBookingV1 / adminCancelAfterAdvanceV1 (mode 'policy', default) or the admin
+ * full refund (mode 'full_refund'). Same computation as the real flows; writes nothing.
+ */
+exports.getCancellationQuoteV1 = regional()
+  .runWith({ timeoutSeconds: 30, memory: '256MB' })
+  .https.onCall(async (data, context) => {
+    assertAuthed(context);
+    const uid = context.auth.uid;
+    const functions = require('firebase-functions/v1');
+
+    const bookingId = String(data?.bookingId || '').trim();
+    if (!bookingId) {
+      throw new functions.https.HttpsError('invalid-argument', 'bookingId is required');
     }
-    const paymentRef = paymentsSnap.docs[0].ref;
-    const payment = paymentsSnap.docs[0].data() || {};
-    const amountPaid = Number(payment.amountPaid || 0);
-    const gatewayPaymentId = payment.gatewayPaymentId || null;
-    if (!gatewayPaymentId) {
-      const functions = require('firebase-functions/v1');
-      throw new functions.https.HttpsError('failed-precondition', 'Payment missing gatewayPaymentId');
+    const mode = data?.mode === 'full_refund' ? 'full_refund' : 'policy';
+
+    const snap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+    if (!snap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Booking not found');
     }
-    if (!Number.isFinite(amountPaid) || amountPaid <= 0) {
-      const functions = require('firebase-functions/v1');
-      throw new functions.https.HttpsError('failed-precondition', 'Payment missing amountPaid');
+    const b = snap.data() || {};
+
+    const isAdmin = await hasPermission(uid, 'canAccessAdminPanel');
+    if (!isAdmin && b.clientId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Not allowed');
+    }
+    if (mode === 'full_refund' && !isAdmin) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin access required');
     }
 
-    const holdAmount = Math.max(0, Math.round(amountPaid * 0.25));
-    const refundAmount = Math.max(0, amountPaid - holdAmount);
-    if (refundAmount <= 0) {
-      const functions = require('firebase-functions/v1');
-      throw new functions.https.HttpsError('failed-precondition', 'Refund amount is zero; cannot proceed');
+    const status = String(b.status || '').toLowerCase();
+    if (b.advancePaid !== true && mode === 'policy') {
+      return { ok: true, bookingId, status, cancellable: isCancellable(status), quote: null, note: 'no_payment_captured' };
     }
 
-    const refundId = `refund_${bookingId}_${Date.now()}`;
-    const refundNote = reason || 'Cancellation after advance (V1 policy)';
-    const refundResult = await cashfreeRefundByGatewayPaymentId({
-      gatewayPaymentId,
-      refundAmount,
-      refundId,
-      refundNote,
-    });
+    const paymentDocs = await loadCapturedPayments(bookingId);
+    if (!paymentDocs.length) {
+      throw new functions.https.HttpsError('not-found', 'Captured payment not found');
+    }
+    const payments = paymentDocs.map((p) => ({ id: p.id, ...p.data }));
+    // A cancellation that stopped part-way is retried from its saved quote (see cancelAfterAdvance).
+    const saved = mode === 'policy' && b.cancellationQuote && quoteCoversPayments(b.cancellationQuote, payments)
+      ? b.cancellationQuote
+      : null;
+    const quote = saved || quoteCancellation({ booking: b, payments, mode });
+    if (!quote) {
+      throw new functions.https.HttpsError('failed-precondition', 'Booking has no event date; the cancellation policy cannot be applied');
+    }
 
-    const now = admin.firestore.FieldValue.serverTimestamp();
-    await paymentRef.set({
-      refundStatus: 'initiated_partial',
-      refundId,
-      refundAmount,
-      refundHoldAmount: holdAmount,
-      refundInitiatedAt: now,
-      refundReason: refundNote,
-      refundProcessedBy: context.auth.uid,
-      refundGatewayResponse: refundResult,
-      updatedAt: now,
-    }, { merge: true });
+    return {
+      ok: true,
+      bookingId,
+      status,
+      cancellable: mode === 'full_refund' ? !CANCELLED_STATUSES.has(status) : isCancellable(status),
+      quote,
+    };
+  });
 
-    await bookingRef.set({
-      status: 'cancelled',
-      cancelledAt: now,
-      cancelledBy: context.auth.uid,
-      cancelReason: refundNote,
-      cancellation: {
-        policy: 'hold_25pct_of_advance',
-        advancePaidAmount: amountPaid,
-        holdAmount,
-        refundAmount,
+function eventDaysOf(booking) {
+  const start = String(booking?.eventDate || '').trim().slice(0, 10);
+  const end = String(booking?.eventEndDate || booking?.eventDate || '').trim().slice(0, 10);
+  const s = Date.parse(`${start}T00:00:00Z`);
+  const e = Date.parse(`${end}T00:00:00Z`);
+  if (!Number.isFinite(s) || !Number.isFinite(e)) return [];
+  const days = [];
+  for (let cur = Math.min(s, e); cur <= Math.max(s, e) && days.length < 31; cur += 24 * 60 * 60 * 1000) {
+    days.push(new Date(cur).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Same-category, same-city providers with no calendar block on the event days,
+ * fewest reliability strikes first.
+ */
+async function shortlistReplacementProviders({ booking, providerRole, excludeUid }) {
+  const category = booking.category || booking.categoryKey || null;
+  const city = booking.city || booking.cityKey || null;
+  const days = eventDaysOf(booking);
+  if (!category || !city || !days.length) return [];
+
+  const snap = await db.collection(PROVIDER_COLLECTIONS[providerRole])
+    .where('category', '==', category)
+    .where('city', '==', city)
+    .limit(REPLACEMENT_SCAN_LIMIT)
+    .get();
+  const profiles = snap.docs.filter((d) => d.id !== excludeUid && d.data()?.active !== false);
+  if (!profiles.length) return [];
+
+  const blockRefs = [];
+  profiles.forEach((d) => days.forEach((day) => blockRefs.push(db.collection(CALENDAR_BLOCKS).doc(`${d.id}_${day}`))));
+  const blockSnaps = await db.getAll(...blockRefs);
+  const busy = new Set(blockSnaps.filter((b) => b.exists).map((b) => b.id.slice(0, b.id.lastIndexOf('_'))));
+
+  return profiles
+    .filter((d) => !busy.has(d.id))
+    .map((d) => {
+      const p = d.data() || {};
+      return {
+        uid: d.id,
+        displayName: p.displayName || p.name || null,
+        reliabilityStrikes: Number(p.reliability?.strikes || 0),
+      };
+    })
+    .sort((a, b) => a.reliabilityStrikes - b.reliabilityStrikes)
+    .slice(0, REPLACEMENT_SHORTLIST_SIZE);
+}
+
+// One strike per (provider, booking): the strike doc id is the booking id.
+async function recordReliabilityStrike({ providerRole, providerId, bookingId, reason }) {
+  const profileRef = db.collection(PROVIDER_COLLECTIONS[providerRole]).doc(providerId);
+  const strikeRef = profileRef.collection(RELIABILITY_STRIKES_SUBCOLLECTION).doc(bookingId);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await db.runTransaction(async (tx) => {
+    const existing = await tx.get(strikeRef);
+    if (existing.exists) return;
+    tx.set(strikeRef, { bookingId, type: 'provider_cancellation', reason: reason || null, createdAt: now });
+    tx.set(profileRef, {
+      reliability: {
+        strikes: admin.firestore.FieldValue.increment(1),
+        lastStrikeAt: now,
+        lastStrikeBookingId: bookingId,
       },
-      updatedAt: now,
     }, { merge: true });
+  });
+}
+
+/**
+ * Provider (artist/vendor) pulls out of a booking:
+ * - booking moves to needs_replacement; the provider's calendar blocks are released (transition effect)
+ * - a reliability strike is recorded on the provider profile
+ * - available same-category/same-city providers are shortlisted for the client
+ * Admins can file it on a provider's behalf with `providerId`.
+ */
+exports.providerCancelBookingV1 = regional()
+  .runWith({ timeoutSeconds: 60, memory: '256MB' })
+  .https.onCall(async (data, context) => {
+    assertAuthed(context);
+    const uid = context.auth.uid;
+    const functions = require('firebase-functions/v1');
+
+    const bookingId = String(data?.bookingId || '').trim();
+    const reason = (data?.reason ? String(data.reason).trim() : '') || null;
+    if (!bookingId) {
+      throw new functions.https.HttpsError('invalid-argument', 'bookingId is required');
+    }
+
+    const snap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+    if (!snap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Booking not found');
+    }
+    const b = snap.data() || {};
+
+    let providerId = uid;
+    if (data?.providerId && data.providerId !== uid) {
+      await assertAdmin(context);
+      providerId = String(data.providerId).trim();
+    }
+    let providerRole = null;
+    if (b.artistId && b.artistId === providerId) providerRole = 'artist';
+    else if (b.vendorId && b.vendorId === providerId) providerRole = 'vendor';
+    if (!providerRole) {
+      throw new functions.https.HttpsError('permission-denied', 'Only the assigned provider can cancel this booking');
+    }
+    const providerField = providerRole === 'vendor' ? 'vendorId' : 'artistId';
 
-    try { await deleteCalendarBlocksForBooking(b); } catch (_) {}
+    // Release only this provider's blocks; co-assigned providers keep theirs (re-blocked idempotently later).
+    const currentBlockIds = Array.isArray(b.calendarBlockIds) ? b.calendarBlockIds : [];
+    const releasedBlockIds = currentBlockIds.length
+      ? currentBlockIds.filter((id) => String(id).startsWith(`${providerId}_`))
+      : eventDaysOf(b).map((day) => `${providerId}_${day}`);
+    const keptBlockIds = currentBlockIds.filter((id) => !releasedBlockIds.includes(id));
 
-    return { ok: true, bookingId, refundId, refundAmount, holdAmount };
+    const candidates = await shortlistReplacementProviders({ booking: b, providerRole, excludeUid: providerId });
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    try {
+      await transitionBooking({
+        bookingId,
+        from: b.status,
+        to: 'needs_replacement',
+        actor: uid,
+        reason: reason || 'provider_cancelled',
+        update: {
+          [providerField]: null,
+          calendarLocked: false,
+          calendarBlockIds: keptBlockIds,
+          replacement: {
+            status: 'open',
+            providerRole,
+            cancelledProviderId: providerId,
+            previousStatus: String(b.status || '').toLowerCase(),
+            reason,
+            requestedAt: now,
+            candidates,
+          },
+        },
+        effectContext: { calendarBlockIds: releasedBlockIds, cancelledProviderId: providerId },
+      });
+    } catch (error) {
+      throw toTransitionHttpsError(error);
+    }
+
+    await recordReliabilityStrike({ providerRole, providerId, bookingId, reason });
+    try {
+      if (b.clientId) {
+        await communicationService.sendNotification(b.clientId, 'provider_cancelled', {
+          bookingId,
+          candidateCount: candidates.length,
+        });
+      }
+    } catch (_) {}
+
+    return { ok: true, bookingId, status: 'needs_replacement', candidates };
+  });
+
+/**
+ * Client decision on a needs_replacement booking:
+ * - choice 'accept' + providerId (from the shortlist): substitute is assigned in place of the provider
+ *   who dropped out and the booking returns to the status it had before the provider cancelled;
+ *   rejected if the substitute's calendar is blocked on any event day by then
+ * - choice 'refund': everything paid is refunded via the gateway (booking cancelled if nothing was paid)
+ */
+exports.respondToReplacementV1 = regional()
+  .runWith({ timeoutSeconds: 60, memory: '256MB' })
+  .https.onCall(async (data, context) => {
+    assertAuthed(context);
+    const uid = context.auth.uid;
+    const functions = require('firebase-functions/v1');
+
+    const bookingId = String(data?.bookingId || '').trim();
+    const choice = String(data?.choice || '').trim();
+    if (!bookingId) {
+      throw new functions.https.HttpsError('invalid-argument', 'bookingId is required');
+    }
+    if (choice !== 'accept' && choice !== 'refund') {
+      throw new functions.https.HttpsError('invalid-argument', "choice must be 'accept' or 'refund'");
+    }
+
+    const snap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+    if (!snap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Booking not found');
+    }
+    const b = snap.data() || {};
+    const isAdmin = await hasPermission(uid, 'canAccessAdminPanel');
+    if (!isAdmin && b.clientId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Not allowed');
+    }
+    if (String(b.status || '').toLowerCase() !== 'needs_replacement') {
+      throw new functions.https.HttpsError('failed-precondition', 'Booking is not awaiting a replacement');
+    }
+    const replacement = b.replacement || {};
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    if (choice === 'accept') {
+      const providerId = String(data?.providerId || '').trim();
+      const candidates = Array.isArray(replacement.candidates) ? replacement.candidates : [];
+      if (!providerId || (!isAdmin && !candidates.some((c) => c?.uid === providerId))) {
+        throw new functions.https.HttpsError('invalid-argument', 'providerId must be one of the shortlisted providers');
+      }
+      const providerField = replacement.providerRole === 'vendor' ? 'vendorId' : 'artistId';
+      const assignedField = replacement.providerRole === 'vendor' ? 'assignedVendorIds' : 'assignedArtistIds';
+      const outgoingId = replacement.cancelledProviderId || null;
+      const to = replacement.previousStatus || 'paid';
+      const blockRefs = eventDaysOf(b).map((day) => db.collection(CALENDAR_BLOCKS).doc(`${providerId}_${day}`));
+      try {
+        await transitionBooking({
+          bookingId,
+          from: b.status,
+          to,
+          actor: uid,
+          reason: 'replacement_accepted',
+          // The shortlist is a snapshot: the substitute may have been booked elsewhere since.
+          precondition: async (tx) => {
+            const blocks = await Promise.all(blockRefs.map((ref) => tx.get(ref)));
+            const busyDays = blocks
+              .filter((block) => block.exists && block.data()?.bookingId !== bookingId)
+              .map((block) => block.data()?.date || block.id.slice(block.id.lastIndexOf('_') + 1));
+            if (busyDays.length) {
+              throw new functions.https.HttpsError('failed-precondition', 'The selected provider is no longer available on the event days', { busyDays });
+            }
+          },
+          update: (current) => ({
+            [providerField]: providerId,
+            ...(Array.isArray(current[assignedField]) ? {
+              [assignedField]: Array.from(new Set([...current[assignedField].filter((id) => id !== outgoingId), providerId])),
+            } : {}),
+            replacement: { ...replacement, status: 'accepted', acceptedProviderId: providerId, resolvedAt: now, resolvedBy: uid },
+          }),
+        });
+      } catch (error) {
+        throw toTransitionHttpsError(error);
+      }
+      try {
+        await communicationService.sendNotification(providerId, 'replacement_assigned', { bookingId });
+      } catch (_) {}
+      return { ok: true, bookingId, status: to, providerId };
+    }
+
+    let refund = null;
+    if (b.advancePaid === true) {
+      const paymentDocs = await loadCapturedPayments(bookingId);
+      if (!paymentDocs.length) {
+        throw new functions.https.HttpsError('failed-precondition', 'Captured payment not found for this booking');
+      }
+      const quote = quoteCancellation({
+        booking: b,
+        payments: paymentDocs.map((p) => ({ id: p.id, ...p.data })),
+        mode: 'full_refund',
+      });
+      const refunds = await refundPaymentLegs({
+        bookingId,
+        quote,
+        paymentDocs,
+        actor: uid,
+        refundNote: 'Provider cancelled; client chose full refund',
+      });
+      refund = { refunds, refundAmount: quote.refundAmount };
+    }
+
+    const to = refund ? 'refunded' : 'cancelled';
+    try {
+      await transitionBooking({
+        bookingId,
+        from: b.status,
+        to,
+        actor: uid,
+        reason: 'replacement_declined',
+        update: {
+          cancelledAt: now,
+          cancelledBy: uid,
+          cancelReason: 'provider_cancelled',
+          replacement: { ...replacement, status: 'declined', resolvedAt: now, resolvedBy: uid },
+        },
+      });
+    } catch (error) {
+      throw toTransitionHttpsError(error);
+    }
+    return { ok: true, bookingId, status: to, ...(refund || {}) };
   });
 
 /**
@@ -323,17 +757,26 @@ exports.raiseDisputeV1 = regional()
     }
 
     const now = admin.firestore.FieldValue.serverTimestamp();
-    await bookingRef.set({
-      status: 'disputed',
-      payoutHold: true,
-      dispute: {
-        status: 'open',
-        openedAt: now,
-        openedBy: uid,
-        message,
-      },
-      updatedAt: now,
-    }, { merge: true });
+    try {
+      await transitionBooking({
+        bookingId,
+        from: b.status,
+        to: 'disputed',
+        actor: uid,
+        reason: message,
+        update: {
+          payoutHold: true,
+          dispute: {
+            status: 'open',
+            openedAt: now,
+            openedBy: uid,
+            message,
+          },
+        },
+      });
+    } catch (error) {
+      throw toTransitionHttpsError(error);
+    }
 
     await db.collection(DISPUTES_COLLECTION).add({
       schemaVersion: 1,
@@ -372,35 +815,46 @@ exports.resolveDisputeV1 = regional()
       const functions = require('firebase-functions/v1');
       throw new functions.https.HttpsError('not-found', 'Booking not found');
     }
+    const b = snap.data() || {};
 
     const unblockPayout = resolution === 'pay_provider' || resolution === 'pay_artist' || resolution === 'split';
     const now = admin.firestore.FieldValue.serverTimestamp();
-    await bookingRef.set({
-      status: 'completed',
-      payoutHold: !unblockPayout,
-      dispute: {
-        status: 'resolved',
-        resolvedAt: now,
-        resolvedBy: context.auth.uid,
-        resolution: resolution || 'no_action',
-        note,
-      },
-      updatedAt: now,
-    }, { merge: true });
+    try {
+      await transitionBooking({
+        bookingId,
+        from: b.status,
+        to: 'completed',
+        actor: context.auth.uid,
+        reason: `dispute_resolved:${resolution || 'no_action'}`,
+        update: {
+          payoutHold: !unblockPayout,
+          dispute: {
+            status: 'resolved',
+            resolvedAt: now,
+            resolvedBy: context.auth.uid,
+            resolution: resolution || 'no_action',
+            note,
+          },
+        },
+      });
+    } catch (error) {
+      throw toTransitionHttpsError(error);
+    }
 
     // Unblock staged payouts (Stage 2) only when resolution allows payout continuation.
     if (unblockPayout) {
       try {
-        const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).limit(1).get();
-        if (!paymentsSnap.empty) {
+        // The release plan lives on the booking's settlement leg (payments/paymentLegs.js).
+        const { settlement } = await loadBookingPayments(bookingId);
+        if (settlement?.data.releasePlan) {
           // IMPORTANT: do not overwrite `releasePlan.stage2` map, because it contains
           // `eligibleAt` and (optionally) allocation data used by the scheduler.
-          await paymentsSnap.docs[0].ref.set({
+          await settlement.ref.update({
             'releasePlan.stage2.status': 'scheduled',
             'releasePlan.stage2.error': admin.firestore.FieldValue.delete(),
             'releasePlan.stage2.updatedAt': now,
             updatedAt: now,
-          }, { merge: true });
+          });
         }
       } catch (_) {}
     }
@@ -408,6 +862,81 @@ exports.resolveDisputeV1 = regional()
     return { ok: true, bookingId };
   });
 
+function toIso(value) {
+  const d = value?.toDate ? value.toDate() : (value ? new Date(value) : null);
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+}
+
+/**
+ * Status timeline for a booking (admin panel + client app).
+ * Admins and booking parties (client, artist, vendor) may read it; other parties' uids are
+ * hidden from non-admins, system job names are always shown.
+ */
+exports.getBookingTimelineV1 = regional()
+  .runWith({ timeoutSeconds: 30, memory: '256MB' })
+  .https.onCall(async (data, context) => {
+    assertAuthed(context);
+    const uid = context.auth.uid;
+
+    const bookingId = String(data?.bookingId || '').trim();
+    const limit = Math.min(Math.max(Number(data?.limit) || 100, 1), 200);
+    if (!bookingId) {
+      const functions = require('firebase-functions/v1');
+      throw new functions.https.HttpsError('invalid-argument', 'bookingId is required');
+    }
+
+    const snap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+    if (!snap.exists) {
+      const functions = require('firebase-functions/v1');
+      throw new functions.https.HttpsError('not-found', 'Booking not found');
+    }
+    const b = snap.data() || {};
+
+    const partyIds = [
+      b.clientId,
+      b.artistId,
+      b.vendorId,
+      ...(Array.isArray(b.assignedArtistIds) ? b.assignedArtistIds : []),
+      ...(Array.isArray(b.assignedVendorIds) ? b.assignedVendorIds : []),
+    ].map((x) => String(x || '').trim()).filter(Boolean);
+    const isAdmin = await hasPermission(uid, 'canAccessAdminPanel');
+    if (!isAdmin && !partyIds.includes(uid)) {
+      const functions = require('firebase-functions/v1');
+      throw new functions.https.HttpsError('permission-denied', 'Not allowed');
+    }
+
+    const entries = await listTransitions(bookingId, { limit });
+    const timeline = entries.map((t) => ({
+      id: t.id,
+      at: toIso(t.at),
+      from: t.from || null,
+      to: t.to || null,
+      actor: (isAdmin || t.actorType === 'system' || t.actor === uid) ? (t.actor || null) : null,
+      actorType: t.actorType || 'user',
+      reason: t.reason || null,
+    }));
+
+    return { ok: true, bookingId, status: b.status || null, timeline };
+  });
+
+/**
+ * Admin-only: booking state machine (transitions, guards, side effects) as JSON plus
+ * Mermaid and DOT renderings for the admin panel / docs.
+ * Expects data: { bookingType?: 'gig' | 'project' } (default gig).
+ */
+exports.getBookingStateMachineV1 = regional()
+  .runWith({ timeoutSeconds: 30, memory: '256MB' })
+  .https.onCall(async (data, context) => {
+    await assertAdmin(context);
+    const graph = describeStateMachine(data?.bookingType || 'gig');
+    return {
+      ok: true,
+      graph,
+      mermaid: toMermaid(graph),
+      dot: toDot(graph),
+    };
+  });
+
 /**
  * Scheduled enforcement:
  * - Send up to 3 reminders starting 3 days before `balanceDueAt` (i.e., T-5, T-4, T-3 if due is T-2)
@@ -423,9 +952,9 @@ exports.balanceEnforcementSchedulerV1 = regional()
   .onRun(async () => {
     // Candidate bookings:
     // - status 'paid' before due date (for reminders + auto-trigger to balance stage at due time)
-    // - status 'pending_payment' after due date (for overdue auto-cancel checks)
+    // - status 'pending_payment' / 'payment_failed' after due date (for overdue auto-cancel checks)
     const snap = await db.collection(BOOKINGS_COLLECTION)
-      .where('status', 'in', ['paid', 'pending_payment'])
+      .where('status', 'in', ['paid', 'pending_payment', 'payment_failed'])
       .where('paidFull', '==', false)
       .limit(200)
       .get();
@@ -448,16 +977,28 @@ exports.balanceEnforcementSchedulerV1 = regional()
         const dueLater = Number(b.amountDueLater || 0);
         if (dueLater > 0) {
           const now = admin.firestore.FieldValue.serverTimestamp();
-          await db.collection(BOOKINGS_COLLECTION).doc(bookingId).set({
-            status: 'pending_payment',
-            paymentStage: 'balance',
-            amount: dueLater,
-            amountDueNow: dueLater,
-            amountDueLater: 0,
-            balanceRequestedAt: now,
-            balanceRequestedBy: 'system_due_scheduler',
-            updatedAt: now,
-          }, { merge: true });
+          try {
+            await transitionBooking({
+              bookingId,
+              from: b.status,
+              to: 'pending_payment',
+              actor: 'system_due_scheduler',
+              reason: 'balance_due',
+              update: {
+                paymentStage: 'balance',
+                amount: dueLater,
+                amountDueNow: dueLater,
+                amountDueLater: 0,
+                balanceRequestedAt: now,
+                balanceRequestedBy: 'system_due_scheduler',
+              },
+            });
+          } catch (error) {
+            console.warn('balanceEnforcementSchedulerV1: balance stage transition rejected', bookingId, error?.message || error);
+            continue;
+          }
+          // Keep the in-memory copy in sync so the overdue check below records the right `from`.
+          b.status = 'pending_payment';
           try {
             if (b.clientId) {
               await communicationService.sendNotification(b.clientId, 'balance_due_reminder', { bookingId });
@@ -469,15 +1010,24 @@ exports.balanceEnforcementSchedulerV1 = regional()
       // Auto-cancel if overdue beyond window
       if (cancelMillis <= nowMillis && b.paidFull !== true) {
         const now = admin.firestore.FieldValue.serverTimestamp();
-        await db.collection(BOOKINGS_COLLECTION).doc(bookingId).set({
-          status: 'cancelled',
-          cancelledAt: now,
-          cancelledBy: 'system_balance_overdue',
-          cancelReason: 'Balance not paid within grace window',
-          advanceForfeited: true,
-          updatedAt: now,
-        }, { merge: true });
-        try { await deleteCalendarBlocksForBooking(b); } catch (_) {}
+        try {
+          await transitionBooking({
+            bookingId,
+            from: b.status,
+            to: 'cancelled',
+            actor: 'system_balance_overdue',
+            reason: 'Balance not paid within grace window',
+            update: {
+              cancelledAt: now,
+              cancelledBy: 'system_balance_overdue',
+              cancelReason: 'Balance not paid within grace window',
+              advanceForfeited: true,
+            },
+          });
+        } catch (error) {
+          console.warn('balanceEnforcementSchedulerV1: overdue cancel transition rejected', bookingId, error?.message || error);
+          continue;
+        }
         continue;
       }
 
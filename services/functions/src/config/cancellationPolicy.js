@@ -0,0 +1,200 @@
+'use strict';
+
+const { roundInr } = require('./settlementPolicy');
+
+// Cancellation refund schedule for paid bookings, keyed on time left before the event.
+// Bump CANCELLATION_POLICY_VERSION whenever the tiers change; it is stamped on every cancelled booking.
+const CANCELLATION_POLICY_VERSION = process.env.CANCELLATION_POLICY_VERSION || 'v1';
+
+// Evaluated top-down: the first tier whose `minHoursBefore` is met applies.
+const DEFAULT_CANCELLATION_TIERS = [
+  { rule: 'more_than_14_days', minHoursBefore: 14 * 24, refundRate: 1 },
+  { rule: '7_to_14_days', minHoursBefore: 7 * 24, refundRate: 0.75 },
+  { rule: '48_hours_to_7_days', minHoursBefore: 48, refundRate: 0.5 },
+  { rule: 'under_48_hours', minHoursBefore: null, refundRate: 0 },
+];
+
+// Event days are calendar dates in IST; the event is treated as starting at local midnight.
+const EVENT_DAY_UTC_OFFSET = '+05:30';
+
+function parseTiers(raw, envName) {
+  if (!raw) return DEFAULT_CANCELLATION_TIERS;
+  try {
+    const parsed = JSON.parse(raw);
+    const valid = Array.isArray(parsed) && parsed.length > 0 && parsed.every((t) => (
+      t && typeof t.rule === 'string'
+      && (t.minHoursBefore === null || Number.isFinite(Number(t.minHoursBefore)))
+      && Number(t.refundRate) >= 0 && Number(t.refundRate) <= 1
+    ));
+    if (!valid) throw new Error('invalid tier shape');
+    return parsed.map((t) => ({
+      rule: t.rule,
+      minHoursBefore: t.minHoursBefore === null ? null : Number(t.minHoursBefore),
+      refundRate: Number(t.refundRate),
+    }));
+  } catch (err) {
+    console.warn(`${envName} ignored:`, err?.message || err);
+    return DEFAULT_CANCELLATION_TIERS;
+  }
+}
+
+// Optional override, e.g. '[{"rule":"any_time","minHoursBefore":null,"refundRate":1}]'.
+const CANCELLATION_TIERS = parseTiers(process.env.CANCELLATION_POLICY_TIERS, 'CANCELLATION_POLICY_TIERS');
+// Bookings paid in full (advance + balance) may carry a different hold schedule; same format.
+const PAID_FULL_CANCELLATION_TIERS = process.env.PAID_FULL_CANCELLATION_POLICY_TIERS
+  ? parseTiers(process.env.PAID_FULL_CANCELLATION_POLICY_TIERS, 'PAID_FULL_CANCELLATION_POLICY_TIERS')
+  : CANCELLATION_TIERS;
+
+// How the held amount is split across payment legs:
+// - 'advance_first': hold comes out of the earliest legs (advance), later legs are refunded first
+// - 'pro_rata': every leg holds the same share
+const REFUND_LEG_HOLD_ALLOCATION = process.env.REFUND_LEG_HOLD_ALLOCATION === 'pro_rata' ? 'pro_rata' : 'advance_first';
+
+const LEG_STAGE_ORDER = { advance: 0, balance: 1 };
+// Captured on a superseded order: never owed, refunded in full through the duplicate_payment ops task.
+const DUPLICATE_LEG_STATUS = 'paid_duplicate';
+// Leg refund states whose refundAmount has left (or is leaving) the leg and is not refundable again.
+const REFUNDED_LEG_STATUSES = new Set(['processed', 'initiated', 'initiated_partial']);
+
+function eventStartMillis(eventDate) {
+  const ymd = String(eventDate || '').trim().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ymd)) return null;
+  const millis = Date.parse(`${ymd}T00:00:00${EVENT_DAY_UTC_OFFSET}`);
+  return Number.isFinite(millis) ? millis : null;
+}
+
+function gstCollectedFor(booking = {}, payment = {}) {
+  const candidates = [payment?.gstCollected, booking?.gstCollectedTotal, booking?.gstOnPlatformFee];
+  for (const value of candidates) {
+    const n = Number(value);
+    if (value !== undefined && value !== null && Number.isFinite(n) && n >= 0) return roundInr(n);
+  }
+  return null;
+}
+
+// GST is only charged on the platform fee; refunds reverse it pro-rata (the held share keeps its GST).
+function splitGst(gstCollected, amountPaid, refundAmount) {
+  if (gstCollected === null || amountPaid <= 0) {
+    return { treatment: 'proportional', collected: gstCollected, refunded: null, held: null };
+  }
+  const refunded = Math.min(gstCollected, roundInr(gstCollected * (refundAmount / amountPaid)));
+  return { treatment: 'proportional', collected: gstCollected, refunded, held: gstCollected - refunded };
+}
+
+function millisOf(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const n = new Date(value).getTime();
+  return Number.isFinite(n) ? n : 0;
+}
+
+// What is still refundable on a leg: captured minus any refund already sent from it.
+function refundableAmountOf(payment) {
+  const captured = Math.max(0, roundInr(payment.amountPaid || 0));
+  const refunded = REFUNDED_LEG_STATUSES.has(payment.refundStatus) ? Math.max(0, roundInr(payment.refundAmount || 0)) : 0;
+  return Math.max(0, captured - refunded);
+}
+
+// Captured payment legs (advance, balance, ...) in capture order; duplicates are left out.
+function orderedLegs(payments) {
+  return (payments || [])
+    .filter((p) => p.status !== DUPLICATE_LEG_STATUS)
+    .map((p) => ({
+      paymentId: p.id || null,
+      stage: p.paymentStage || null,
+      gatewayPaymentId: p.gatewayPaymentId || null,
+      amountPaid: refundableAmountOf(p),
+      createdAtMs: millisOf(p.createdAt),
+    }))
+    .filter((leg) => leg.amountPaid > 0)
+    .sort((a, b) => (a.createdAtMs - b.createdAtMs)
+      || ((LEG_STAGE_ORDER[a.stage] ?? 2) - (LEG_STAGE_ORDER[b.stage] ?? 2)));
+}
+
+function allocateRefundAcrossLegs(legs, refundAmount) {
+  const total = legs.reduce((sum, leg) => sum + leg.amountPaid, 0);
+  if (REFUND_LEG_HOLD_ALLOCATION === 'pro_rata' && total > 0) {
+    let remaining = refundAmount;
+    return legs.map((leg, i) => {
+      const share = i === legs.length - 1 ? remaining : Math.min(remaining, roundInr(refundAmount * (leg.amountPaid / total)));
+      remaining -= share;
+      return { ...leg, refundAmount: share, holdAmount: leg.amountPaid - share };
+    });
+  }
+  let remaining = refundAmount;
+  const allocated = [...legs].reverse().map((leg) => {
+    const share = Math.min(remaining, leg.amountPaid);
+    remaining -= share;
+    return { ...leg, refundAmount: share, holdAmount: leg.amountPaid - share };
+  });
+  return allocated.reverse();
+}
+
+function pickTier(tiers, hoursBeforeEvent) {
+  return tiers.find((t) => t.minHoursBefore === null || hoursBeforeEvent >= t.minHoursBefore)
+    || tiers[tiers.length - 1];
+}
+
+/**
+ * Single source for refund figures, used by the cancellation/refund callables and the dry-run quote.
+ * `payments` are the booking's captured payment docs (`{ id, ...data }`); the refund is split across
+ * them per REFUND_LEG_HOLD_ALLOCATION and returned as `legs`, one Cashfree refund per leg.
+ * `amountPaid` counts what each leg still holds: refunds already sent from a leg are subtracted, and
+ * paid_duplicate legs are not part of the booking's price, so no tier applies to them.
+ * - mode 'policy': tiered schedule (paid-full bookings use PAID_FULL_CANCELLATION_TIERS)
+ * - mode 'full_refund': everything paid goes back (admin refund, provider dropped out)
+ * Returns null when the policy cannot be applied (no event date).
+ */
+function quoteCancellation({ booking = {}, payments = [], mode = 'policy', nowMillis = Date.now() }) {
+  const legs = orderedLegs(payments);
+  const amountPaid = legs.reduce((sum, leg) => sum + leg.amountPaid, 0);
+  const gstCollected = gstCollectedFor(booking, payments[0] || {});
+
+  let rule = 'full_refund';
+  let refundRate = 1;
+  let hoursBeforeEvent = null;
+  if (mode !== 'full_refund') {
+    const startMillis = eventStartMillis(booking?.eventDate);
+    if (startMillis === null) return null;
+    const hours = (startMillis - nowMillis) / (60 * 60 * 1000);
+    const tier = pickTier(booking?.paidFull === true ? PAID_FULL_CANCELLATION_TIERS : CANCELLATION_TIERS, hours);
+    rule = tier.rule;
+    refundRate = tier.refundRate;
+    hoursBeforeEvent = Math.floor(hours);
+  }
+
+  const refundAmount = Math.min(amountPaid, Math.max(0, roundInr(amountPaid * refundRate)));
+  return {
+    policyVersion: CANCELLATION_POLICY_VERSION,
+    rule,
+    refundRate,
+    hoursBeforeEvent,
+    amountPaid,
+    refundAmount,
+    holdAmount: amountPaid - refundAmount,
+    gst: splitGst(gstCollected, amountPaid, refundAmount),
+    holdAllocation: REFUND_LEG_HOLD_ALLOCATION,
+    legs: allocateRefundAcrossLegs(legs, refundAmount).map(({ createdAtMs, ...leg }) => leg),
+  };
+}
+
+/**
+ * Whether a quote saved by an earlier cancellation attempt still covers the booking's captured legs,
+ * i.e. no leg was captured since. A retry keeps refunding from such a quote instead of requoting.
+ */
+function quoteCoversPayments(quote, payments = []) {
+  const quoted = new Set((quote?.legs || []).map((leg) => leg.paymentId));
+  return payments
+    .filter((p) => p.status !== DUPLICATE_LEG_STATUS && Number(p.amountPaid || 0) > 0)
+    .every((p) => quoted.has(p.id));
+}
+
+module.exports = {
+  CANCELLATION_POLICY_VERSION,
+  DEFAULT_CANCELLATION_TIERS,
+  CANCELLATION_TIERS,
+  PAID_FULL_CANCELLATION_TIERS,
+  REFUND_LEG_HOLD_ALLOCATION,
+  quoteCancellation,
+  quoteCoversPayments,
+};
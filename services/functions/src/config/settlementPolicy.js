@@ -5,6 +5,14 @@ const PAYOUT_STAGE1_DELAY_HOURS = 0;
 const PAYOUT_STAGE2_DELAY_HOURS = 12;
 const DISPUTE_WINDOW_HOURS = 12;
 
+// Advance-stage bookings left in pending_payment longer than this are cancelled (payment_timeout).
+const PENDING_PAYMENT_TTL_HOURS = Number(process.env.PENDING_PAYMENT_TTL_HOURS || '24');
+
+// Gateway orders (checkout sessions) expire after this; Cashfree accepts 15 minutes to 30 days.
+const PAYMENT_ORDER_EXPIRY_MINUTES = Math.max(15, Number(process.env.PAYMENT_ORDER_EXPIRY_MINUTES || '60'));
+// createOrder hands back the existing unpaid order while it has at least this long left.
+const PAYMENT_ORDER_REUSE_MIN_REMAINING_MINUTES = Number(process.env.PAYMENT_ORDER_REUSE_MIN_REMAINING_MINUTES || '10');
+
 const REQUIRE_PAN_FOR_PAYOUT = true;
 const TDS_RATE_WITH_PAN = 0.001; // 0.1%
 const TDS_RATE_NO_PAN = 0.05; // 5%
@@ -77,6 +85,9 @@ module.exports = {
   PAYOUT_STAGE1_DELAY_HOURS,
   PAYOUT_STAGE2_DELAY_HOURS,
   DISPUTE_WINDOW_HOURS,
+  PENDING_PAYMENT_TTL_HOURS,
+  PAYMENT_ORDER_EXPIRY_MINUTES,
+  PAYMENT_ORDER_REUSE_MIN_REMAINING_MINUTES,
   REQUIRE_PAN_FOR_PAYOUT,
   TDS_RATE_WITH_PAN,
   TDS_RATE_NO_PAN,
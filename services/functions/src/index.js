@@ -95,6 +95,22 @@ const CASHFREE_SECRETS = [
     'CASHFREE_PAYOUT_CLIENT_SECRET',
     'CASHFREE_WEBHOOK_SECRET',
 ];
+// Webhook secret rotation (resolveWebhookSecrets in payments/cashfreeGateway.js): per-endpoint and
+// *_PREVIOUS secrets are bound only when listed in CASHFREE_WEBHOOK_ROTATION_SECRETS, since a
+// secret that does not exist in Secret Manager fails the deploy.
+const CASHFREE_ROTATION_SECRETS = String(process.env.CASHFREE_WEBHOOK_ROTATION_SECRETS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => /^CASHFREE_[A-Z_]*WEBHOOK_SECRET[A-Z_]*$/.test(name));
+// Bound only once Razorpay is switched on; a secret that does not exist in Secret Manager fails the deploy.
+const RAZORPAY_SECRETS = [
+    'RAZORPAY_KEY_ID',
+    'RAZORPAY_KEY_SECRET',
+    'RAZORPAY_WEBHOOK_SECRET',
+];
+const PAYMENT_SECRETS = process.env.RAZORPAY_ENABLED === 'true'
+    ? [...CASHFREE_SECRETS, ...CASHFREE_ROTATION_SECRETS, ...RAZORPAY_SECRETS]
+    : [...CASHFREE_SECRETS, ...CASHFREE_ROTATION_SECRETS];
 
 /**
  * Helper to export all functions from a safely required module.
@@ -244,7 +260,7 @@ if (cashfreeBuilder) {
             notifyAdmin: comms.notifyAdmin.bind(comms),
             KPIS,
         });
-        const paymentsRegion = regional().runWith({ secrets: CASHFREE_SECRETS });
+        const paymentsRegion = regional().runWith({ secrets: PAYMENT_SECRETS });
         if (cashfree && cashfree.createOrder) {
             exports.createOrder = paymentsRegion.https.onCall(cashfree.createOrder);
         }
@@ -256,6 +272,24 @@ if (cashfreeBuilder) {
         if (cashfree && cashfree.handlePayoutWebhook) {
             exports.cashfreePayoutWebhook = paymentsRegion.https.onRequest(cashfree.handlePayoutWebhook);
         }
+        if (cashfree && cashfree.handleRefundWebhook) {
+            exports.cashfreeRefundWebhook = paymentsRegion.https.onRequest(cashfree.handleRefundWebhook);
+        }
+        // Admin dead-letter view and replay for webhookLogs that failed or got stuck in processing.
+        if (cashfree && cashfree.listWebhookDeadLetters) {
+            exports.listWebhookDeadLetters = paymentsRegion.https.onCall(cashfree.listWebhookDeadLetters);
+        }
+        if (cashfree && cashfree.replayWebhook) {
+            exports.replayWebhook = paymentsRegion.https.onCall(cashfree.replayWebhook);
+        }
+        // Admin accept/reject for payments held in the payment_review queue (flagged or short captures).
+        if (cashfree && cashfree.resolvePaymentReview) {
+            exports.resolvePaymentReview = paymentsRegion.https.onCall(cashfree.resolvePaymentReview);
+        }
+        // Razorpay posts payment, refund and payout events to this single endpoint.
+        if (cashfree && cashfree.handleRazorpayWebhook && process.env.RAZORPAY_ENABLED === 'true') {
+            exports.razorpayWebhook = paymentsRegion.https.onRequest(cashfree.handleRazorpayWebhook);
+        }
         // Optional: releasePayout trigger (depends on computeDistribution). Enable when ready.
         if (cashfree && cashfree.releasePayout) {
             exports.releasePayout = paymentsRegion.firestore
@@ -269,6 +303,20 @@ if (cashfreeBuilder) {
                 .pubsub.schedule('every 5 minutes')
                 .onRun(cashfree.payoutScheduler);
         }
+        // Cancels advance-stage bookings whose checkout was abandoned (PENDING_PAYMENT_TTL_HOURS) and voids their open orders.
+        if (cashfree && cashfree.pendingPaymentExpiryScheduler) {
+            exports.pendingPaymentExpiryScheduler = paymentsRegion
+                .pubsub.schedule('every 30 minutes')
+                .timeZone('Asia/Kolkata')
+                .onRun(cashfree.pendingPaymentExpiryScheduler);
+        }
+        // Polls the payment gateways for refunds stuck in initiated* (missed refund webhooks).
+        if (cashfree && cashfree.refundReconciler) {
+            exports.refundReconciler = paymentsRegion
+                .pubsub.schedule('every 30 minutes')
+                .timeZone('Asia/Kolkata')
+                .onRun(cashfree.refundReconciler);
+        }
         // Payout worker (Pub/Sub subscriber) to process enqueued payouts
         if (cashfree && cashfree.payoutWorker) {
             const topicName = 'kalaqaar-payouts';
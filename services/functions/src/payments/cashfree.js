@@ -1,11 +1,10 @@
 'use strict';
 
-const crypto = require('crypto');
 const { z } = require('zod');
 const {
-    PAYOUT_STAGE1_DELAY_HOURS,
-    PAYOUT_STAGE2_DELAY_HOURS,
-    DISPUTE_WINDOW_HOURS,
+    PENDING_PAYMENT_TTL_HOURS,
+    PAYMENT_ORDER_EXPIRY_MINUTES,
+    PAYMENT_ORDER_REUSE_MIN_REMAINING_MINUTES,
     REQUIRE_PAN_FOR_PAYOUT,
     ECO_TCS_RATE,
     ECO_TCS_BORNE_BY_PLATFORM,
@@ -14,6 +13,18 @@ const {
     deriveFyTurnover,
     computeTdsForPayout,
 } = require('../config/settlementPolicy');
+const { quoteCancellation } = require('../config/cancellationPolicy');
+const { InvalidTransitionError, ConcurrentTransitionError } = require('../booking/stateMachine');
+const buildBookingTransitions = require('../booking/transitionService');
+const { toTransitionHttpsError } = require('../booking/transitionService');
+const buildTransitionEffects = require('../booking/sideEffects');
+const buildRefundLedger = require('./refundLedger');
+const buildPaymentLegs = require('./paymentLegs');
+const { legStageOf, isCaptured, isOpenOrder, isUnderReview, outcomeAdvancesPayment } = require('./paymentLegs');
+const { buildPaymentGateways, LEGACY_GATEWAY } = require('./gateways');
+const { signatureHeaderOf } = require('./gateways/cashfree');
+const { toHttpsError, webhookEventKey } = require('./gateways/http');
+const { RefundInProgressError, isRefundRetryable } = require('./refundLedger');
 
 const BOOKINGS_COLLECTION = 'bookings';
 const PAYMENTS_COLLECTION = 'payments';
@@ -21,62 +32,29 @@ const WEBHOOK_LOGS_COLLECTION = 'webhookLogs';
 const DISPUTES_COLLECTION = 'disputes';
 const PLATFORM_LEDGER_COLLECTION = 'platformLedger';
 const PAYOUT_TRANSFERS_COLLECTION = 'payout_transfers';
-
-const CASHFREE_ORDER_PREFIX = 'kalaqaar';
-
-const PAYMENT_SUCCESS_STATUSES = new Set(['success', 'successful', 'success_webhook', 'payment_success', 'payment_success_webhook', 'payment_success_webhook_v2']);
-const PAYMENT_FAILURE_STATUSES = new Set(['failed', 'failure', 'payment_failed', 'payment_failure_webhook', 'cancelled']);
+const ADMIN_TASKS_COLLECTION = 'adminTasks';
+
+const ORDER_ID_PREFIX = 'kalaqaar';
+
+const REFUND_SUCCESS_STATUSES = new Set(['success', 'processed']);
+const REFUND_FAILURE_STATUSES = new Set(['failed', 'failure', 'cancelled', 'rejected']);
+// Refunds still `initiated*` after this long are polled from the gateway by refundReconciler.
+const REFUND_RECONCILE_AFTER_MINUTES = Number(process.env.REFUND_RECONCILE_AFTER_MINUTES || '60');
+// webhookLogs left in `processing` this long are treated as dead (the handler crashed or timed out).
+const WEBHOOK_STUCK_AFTER_MINUTES = Number(process.env.WEBHOOK_STUCK_AFTER_MINUTES || '15');
+const AUDIT_LOGS_COLLECTION = 'auditLogs';
+// Runs of pendingPaymentExpiryScheduler that may fail to close an order before the leg is voided anyway.
+const ORDER_CLOSE_MAX_ATTEMPTS = Math.max(1, Number(process.env.ORDER_CLOSE_MAX_ATTEMPTS || '3'));
+// Dashboard test pings live here, never in webhookLogs, so they cannot be replayed into payments.
+const WEBHOOK_TEST_PINGS_COLLECTION = 'webhookTestPings';
+// Set on the synthetic request replayWebhook feeds to a handler. A Symbol cannot arrive over HTTP,
+// so only server code can skip signature verification.
+const WEBHOOK_REPLAY = Symbol('webhookReplay');
+// Capture amounts (amountMismatchOf) that hold the payment for ops review instead of paying the booking.
+const REVIEW_MISMATCHES = new Set(['underpaid', 'amount_missing']);
 
 // V1 (locked): payout/dispute timings are sourced from config/settlementPolicy.js.
 
-function parseBoolean(value, fallback = false) {
-    if (value === undefined || value === null) return fallback;
-    if (typeof value === 'boolean') return value;
-    const normalized = String(value).trim().toLowerCase();
-    if (['true', '1', 'yes', 'y', 'on'].includes(normalized)) return true;
-    if (['false', '0', 'no', 'n', 'off'].includes(normalized)) return false;
-    return fallback;
-}
-
-function buildConfig() {
-    const environmentRaw = process.env.CASHFREE_ENVIRONMENT || process.env.CASHFREE_ENV || '';
-    const sandboxFlag = process.env.CASHFREE_SANDBOX;
-    const mockFlag = process.env.CASHFREE_MOCK;
-
-    const isSandbox = parseBoolean(sandboxFlag, true);
-    const environment = environmentRaw
-        ? String(environmentRaw).toUpperCase()
-        : (isSandbox ? 'SANDBOX' : 'PRODUCTION');
-
-    const clientId = process.env.CASHFREE_CLIENT_ID || '';
-    const clientSecret = process.env.CASHFREE_CLIENT_SECRET || '';
-    const payoutClientId = process.env.CASHFREE_PAYOUT_CLIENT_ID || clientId;
-    const payoutClientSecret = process.env.CASHFREE_PAYOUT_CLIENT_SECRET || clientSecret;
-    const webhookSecret = process.env.CASHFREE_WEBHOOK_SECRET || '';
-    const apiVersion = process.env.CASHFREE_API_VERSION || '2022-09-01';
-
-    const pgBaseUrl = environment === 'PRODUCTION' || environment === 'LIVE' || environment === 'PROD'
-        ? 'https://api.cashfree.com'
-        : 'https://sandbox.cashfree.com';
-    const payoutBaseUrl = environment === 'PRODUCTION' || environment === 'LIVE' || environment === 'PROD'
-        ? 'https://payout-api.cashfree.com'
-        : 'https://payout-gamma.cashfree.com';
-
-    return {
-        environment,
-        isSandbox,
-        mock: parseBoolean(mockFlag, false),
-        clientId,
-        clientSecret,
-        payoutClientId,
-        payoutClientSecret,
-        webhookSecret,
-        apiVersion,
-        pgBaseUrl,
-        payoutBaseUrl,
-    };
-}
-
 function toCompactJson(payload) {
     try {
         return JSON.stringify(payload);
@@ -227,9 +205,27 @@ module.exports = function buildCashfreeIntegration({
     notifyAdmin,
     KPIS,
     payoutTopicName = 'kalaqaar-payouts',
+    // Prebuilt registry (buildPaymentGateways); the offline E2E runner injects the fake Cashfree here.
+    paymentGateways = null,
 }) {
     const FieldValue = admin.firestore.FieldValue;
-    const config = buildConfig();
+    // Payment gateways (payments/gateways): Cashfree is the default, Razorpay the failover.
+    const gateways = paymentGateways || buildPaymentGateways({ fetch });
+    const cashfreeGateway = gateways.get('cashfree');
+    const config = cashfreeGateway.config;
+    const { transitionBooking, assertCanTransition } = buildBookingTransitions({ admin, db });
+    const { schedulePayoutPlan } = buildTransitionEffects({ admin, db, sendNotification });
+    const { runRefundLeg, markRefundLeg } = buildRefundLedger({ admin, db });
+    const { loadPaymentLegs, loadBookingPayments, syncBookingPaymentTotals } = buildPaymentLegs({ admin, db });
+
+    // booking.paymentLegs / paymentTotals are a mirror; failing to refresh them must not fail the caller.
+    async function syncPaymentTotals(bookingId) {
+        try {
+            await syncBookingPaymentTotals(bookingId);
+        } catch (error) {
+            console.warn('Failed to sync booking payment totals', bookingId, error?.message || error);
+        }
+    }
 
     function asDate(value) {
         if (!value) return null;
@@ -351,191 +347,104 @@ module.exports = function buildCashfreeIntegration({
         }, { merge: true });
     }
 
-    function ensurePgCredentials() {
-        if (!config.clientId || !config.clientSecret) {
-            throw new functions.https.HttpsError('failed-precondition', 'Cashfree client credentials are not configured');
-        }
-    }
-
-    function ensurePayoutCredentials() {
-        if (!config.payoutClientId || !config.payoutClientSecret) {
-            throw new functions.https.HttpsError('failed-precondition', 'Cashfree payout credentials are not configured');
-        }
-    }
-
-    async function callPg(path, { method = 'POST', body = undefined, idempotencyKey, headers = {} } = {}) {
-        ensurePgCredentials();
-        const requestHeaders = {
-            'Content-Type': 'application/json',
-            'x-client-id': config.clientId,
-            'x-client-secret': config.clientSecret,
-            'x-api-version': config.apiVersion,
-            ...headers,
-        };
-        if (idempotencyKey) {
-            requestHeaders['x-idempotency-key'] = idempotencyKey;
-        }
-        const response = await fetch(`${config.pgBaseUrl}${path}`, {
-            method,
-            headers: requestHeaders,
-            body: body ? JSON.stringify(body) : undefined,
-        });
-        const text = await response.text();
-        let data;
-        try {
-            data = text ? JSON.parse(text) : {};
-        } catch (_error) {
-            data = { raw: text };
-        }
-        if (!response.ok) {
-            const error = new Error(`Cashfree PG error ${response.status}`);
-            error.response = data;
-            error.status = response.status;
-            throw error;
-        }
-        return data;
+    // Cashfree dashboard "test webhook": an explicit test/ping event type or test header.
+    function isTestPing(req, evt) {
+        const evtFlag = String(evt?.event || evt?.type || '').toLowerCase();
+        const testHeader = (req.headers['x-cf-test'] || req.headers['x-cashfree-test'] || '').toString().toLowerCase();
+        return evtFlag === 'test' || evtFlag === 'ping' || testHeader === 'true';
     }
 
-    async function callPayout(path, { method = 'POST', body = undefined } = {}) {
-        ensurePayoutCredentials();
-        const response = await fetch(`${config.payoutBaseUrl}${path}`, {
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'x-client-id': config.payoutClientId,
-                'x-client-secret': config.payoutClientSecret,
-            },
-            body: body ? JSON.stringify(body) : undefined,
-        });
-        const text = await response.text();
-        let data;
-        try {
-            data = text ? JSON.parse(text) : {};
-        } catch (_error) {
-            data = { raw: text };
-        }
-        if (!response.ok) {
-            const error = new Error(`Cashfree payout error ${response.status}`);
-            error.response = data;
-            error.status = response.status;
-            throw error;
-        }
-        return data;
+    /**
+     * An unsigned request counts as a dashboard ping only where config.allowUnsignedTestPings is on
+     * (sandbox or emulator, opted in), and then it is only answered. It never reaches a handler.
+     */
+    function isUnsignedTestPing(req, evt) {
+        if (!config.allowUnsignedTestPings || signatureHeaderOf(req)) return false;
+        return String(req.headers['user-agent'] || '').toLowerCase().includes('cashfree') || isTestPing(req, evt);
     }
 
-    function verifyWebhookSignature(req) {
-        // We'll attempt verification against multiple possible secrets because
-        // Cashfree variants may sign with: a dedicated webhook secret, PG client secret,
-        // or Payout client secret depending on product/version.
-        const candidateSecrets = [
-            config.webhookSecret,
-            config.clientSecret,
-            config.payoutClientSecret,
-        ].filter((s) => typeof s === 'string' && s.length > 0);
-        if (!candidateSecrets.length) {
-            console.warn('Cashfree webhook: no candidate secrets configured');
-            return false;
-        }
-
-        const signatureHeader =
-            req.headers['x-webhook-signature'] ||
-            req.headers['x-cashfree-signature'] ||
-            req.headers['x-cf-signature'] ||
-            req.headers['x-client-signature'];
-        if (!signatureHeader) {
-            console.warn('Cashfree webhook missing signature header');
-            return false;
-        }
-
-        const rawBody = req.rawBody ? Buffer.from(req.rawBody) : Buffer.from(JSON.stringify(req.body || {}));
-        const expectedFor = (secret) => crypto.createHmac('sha256', secret).update(rawBody).digest();
-
-        const trimmed = String(signatureHeader).trim();
-        const digestLength = expectedFor(candidateSecrets[0]).length;
-        let provided = null;
+    async function recordTestPing(req, { endpoint, signed, keyVersion = null }) {
         try {
-            provided = Buffer.from(trimmed, 'base64');
-        } catch (_) {
-            provided = null;
-        }
-        if (!provided || provided.length !== digestLength) {
-            try {
-                provided = Buffer.from(trimmed, 'hex');
-            } catch (_) {
-                provided = null;
-            }
-        }
-        if (!provided || provided.length !== digestLength) {
-            console.warn('Cashfree webhook signature length mismatch');
-            return false;
-        }
-        for (const secret of candidateSecrets) {
-            try {
-                const expected = expectedFor(secret);
-                if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
-                    return true;
-                }
-            } catch (_e) {
-                // continue to next secret
-            }
+            await db.collection(WEBHOOK_TEST_PINGS_COLLECTION).add({
+                endpoint,
+                signed,
+                signatureKeyVersion: keyVersion,
+                environment: config.environment,
+                userAgent: String(req.headers['user-agent'] || '') || null,
+                headers: Object.keys(req.headers || {}),
+                rawBody: (req.rawBody ? req.rawBody.toString('utf8') : toCompactJson(req.body)).slice(0, 10000),
+                receivedAt: FieldValue.serverTimestamp(),
+            });
+        } catch (error) {
+            console.warn('Failed to record webhook test ping', error?.message || error);
         }
-        console.warn('Cashfree webhook signature did not match any candidate secret');
-        return false;
     }
 
-    function isDashboardTest(req, evt) {
-        const flag = String(process.env.ALLOW_CASHFREE_DASHBOARD_TESTS || '').toLowerCase();
-        if (flag === 'true' || flag === '1') return true;
-        const ua = String(req.headers['user-agent'] || '').toLowerCase();
-        const signatureHeader =
-            req.headers['x-webhook-signature'] ||
-            req.headers['x-cashfree-signature'] ||
-            req.headers['x-cf-signature'] ||
-            req.headers['x-client-signature'];
-        const evtFlag = String(evt?.event || evt?.type || '').toLowerCase();
-        const testHeader = (req.headers['x-cf-test'] || req.headers['x-cashfree-test'] || '').toString().toLowerCase();
-        return (!signatureHeader && (ua.includes('cashfree') || evtFlag === 'test' || evtFlag === 'ping' || testHeader === 'true'));
-    }
-
-    async function recordWebhook(eventId, payload, req, source) {
-        const safeEventId = eventId || `fallback:${Date.now()}`;
+    /**
+     * Dedupes an incoming event on webhookLogs/{eventId} and stores what replayWebhook needs to run it
+     * again: raw body, headers and the `endpoint` (handler) it arrived on. A replay reuses its own log.
+     */
+    async function recordWebhook(eventId, payload, req, source, endpoint, extra = {}) {
+        const replay = req[WEBHOOK_REPLAY];
+        // No id from the parser: key on the raw body so a redelivery still lands on the same log.
+        const safeEventId = replay?.logId || eventId || webhookEventKey(`${source || 'webhook'}:fallback`, [], req);
         const logRef = db.collection(WEBHOOK_LOGS_COLLECTION).doc(safeEventId);
         const existing = await logRef.get();
         if (existing.exists && existing.data()?.status === 'processed') {
             return { duplicate: true, logRef };
         }
+        if (replay) {
+            await logRef.set({
+                status: 'processing',
+                attempts: FieldValue.increment(1),
+                replayCount: FieldValue.increment(1),
+                lastReplayedAt: FieldValue.serverTimestamp(),
+                lastReplayedBy: replay.by,
+                lastReplayReason: replay.reason,
+            }, { merge: true });
+            return { duplicate: false, logRef };
+        }
         await logRef.set({
             eventId: safeEventId,
             status: 'processing',
             source,
+            endpoint,
             receivedAt: FieldValue.serverTimestamp(),
             rawBody: req.rawBody ? req.rawBody.toString('utf8') : toCompactJson(payload),
             headers: req.headers,
             attempts: FieldValue.increment ? FieldValue.increment(1) : 1,
+            ...extra,
         }, { merge: true });
         return { duplicate: false, logRef };
     }
 
+    // Handler threw: leave the log where the dead-letter view finds it instead of stuck in `processing`.
+    async function failWebhookLog(logRef, error) {
+        await markWebhookLog(logRef, 'failed', {
+            error: String(error?.message || error).slice(0, 500),
+            failedAt: FieldValue.serverTimestamp(),
+        });
+    }
+
+    // `status` is the log's own state (processed/failed), which dedupe and the dead-letter view read;
+    // a gateway status passed in `extra.status` is kept as eventStatus instead of overwriting it.
     async function markWebhookLog(logRef, status, extra = {}) {
         if (!logRef) return;
+        const { status: eventStatus, ...rest } = extra;
         try {
             await logRef.set({
+                ...rest,
+                ...(eventStatus !== undefined ? { eventStatus } : {}),
                 status,
                 processedAt: FieldValue.serverTimestamp(),
-                ...extra,
             }, { merge: true });
         } catch (error) {
             console.warn('Failed to update webhook log', error);
         }
     }
 
-    function normalizeStatus(statusRaw) {
-        if (!statusRaw) return null;
-        return String(statusRaw).trim().toLowerCase();
-    }
-
     function buildOrderId(bookingId) {
-        return `${CASHFREE_ORDER_PREFIX}_${bookingId}_${Date.now()}`;
+        return `${ORDER_ID_PREFIX}_${bookingId}_${Date.now()}`;
     }
 
     const createOrderSchema = z.object({
@@ -567,10 +476,6 @@ module.exports = function buildCashfreeIntegration({
         if (!allowAdminBypass && booking.clientId !== uid) {
             throw new functions.https.HttpsError('permission-denied', 'Only booking creator can initiate payment');
         }
-        if (booking.status !== 'pending_payment') {
-            throw new functions.https.HttpsError('failed-precondition', 'Booking is not awaiting payment');
-        }
-
         const bookingType = String(booking.type || booking.bookingType || 'gig').toLowerCase();
         if (bookingType === 'project') {
             if (!booking.proposal || booking.proposal.accepted !== true) {
@@ -586,6 +491,25 @@ module.exports = function buildCashfreeIntegration({
             }
         }
 
+        // A retry after a failed attempt reopens the booking for payment.
+        if (booking.status === 'payment_failed') {
+            try {
+                await transitionBooking({
+                    bookingId,
+                    from: booking.status,
+                    to: 'pending_payment',
+                    actor: uid,
+                    reason: 'payment_retry',
+                });
+            } catch (error) {
+                throw toTransitionHttpsError(error);
+            }
+            booking.status = 'pending_payment';
+        }
+        if (booking.status !== 'pending_payment') {
+            throw new functions.https.HttpsError('failed-precondition', 'Booking is not awaiting payment');
+        }
+
         // Phase-1: Use client total payable from Phase-1 pricing
         let amount;
         if (booking.clientTotalPayable && booking.pricingModel === 'CLIENT_ONLY_PLATFORM_FEES') {
@@ -600,48 +524,64 @@ module.exports = function buildCashfreeIntegration({
             throw new functions.https.HttpsError('failed-precondition', 'Booking amount not available');
         }
 
-        const orderId = buildOrderId(bookingId);
-        const orderPayload = {
-            order_id: orderId,
-            order_amount: Number(amount),
-            order_currency: 'INR',
-            customer_details: {
-                customer_id: uid,
-                customer_email: booking.clientEmail || '',
-                customer_phone: booking.clientPhone || '',
-            },
-            order_meta: {
-                return_url: booking.returnUrl || undefined,
-            },
-        };
+        // Booking's gateway first; an outage (network / 5xx after retries) fails over to the next one.
+        const candidates = gateways.candidatesForBooking(booking);
+        if (!candidates.length) {
+            throw new functions.https.HttpsError('unavailable', 'No payment gateway is available');
+        }
 
-        let gatewayOrderId = orderId;
-        let paymentLink = null;
-        let gatewayResponse = null;
+        // Hand back the open order for this leg while it is still good; retire the rest so an old
+        // checkout tab cannot pay the same leg twice.
+        const legStage = legStageOf(booking.paymentStage);
+        const legs = await loadPaymentLegs(bookingId);
+        if (legs.some((leg) => isUnderReview(leg.data))) {
+            throw new functions.https.HttpsError('failed-precondition', 'A payment for this booking is under review');
+        }
+        const openOrders = legs.filter((leg) => isOpenOrder(leg.data));
+        const reusable = openOrders.find((leg) => isReusableOrder(leg, { stage: legStage, amount, candidates }));
+        if (reusable) {
+            return orderResponse(reusable.id, reusable.data, { reused: true });
+        }
+        const superseded = [];
+        for (const leg of openOrders) {
+            if (!(await expireOpenOrder(leg, 'superseded'))) {
+                throw new functions.https.HttpsError('failed-precondition', 'A payment for this booking is already being confirmed', {
+                    paymentRefId: leg.id,
+                });
+            }
+            superseded.push(leg);
+        }
 
-        if (config.mock) {
-            gatewayResponse = {
-                order_id: orderId,
-                orderId,
-                payment_session_id: `mock_session_${orderId}`,
-                payment_link: `https://mock.cashfree.test/pay/${orderId}`,
-                status: 'MOCK_SUCCESS',
-            };
-            paymentLink = gatewayResponse.payment_link;
-        } else {
+        const orderId = buildOrderId(bookingId);
+        const expiresAt = new Date(Date.now() + PAYMENT_ORDER_EXPIRY_MINUTES * 60 * 1000);
+        let gatewayName = null;
+        let order = null;
+        let lastError = null;
+        for (const name of candidates) {
             try {
-                gatewayResponse = await callPg('/pg/orders', {
-                    method: 'POST',
-                    body: orderPayload,
-                    idempotencyKey: orderId,
+                order = await gateways.get(name).createOrder({
+                    orderId,
+                    amount,
+                    currency: 'INR',
+                    customer: { id: uid, email: booking.clientEmail || '', phone: booking.clientPhone || '' },
+                    returnUrl: booking.returnUrl || null,
+                    expiresAt,
                 });
+                gatewayName = name;
+                break;
             } catch (error) {
-                console.error('Cashfree order creation failed', error.response || error);
-                throw new functions.https.HttpsError('internal', 'Cashfree order creation failed');
+                lastError = error;
+                console.error(`${name} order creation failed`, error.response || error);
+                // A rejected order would be rejected by the next gateway too; only outages fail over.
+                if (!error.isUnavailable) break;
             }
-            gatewayOrderId = gatewayResponse?.order_id || gatewayResponse?.orderId || orderId;
-            paymentLink = gatewayResponse?.payment_link || gatewayResponse?.paymentLink || null;
         }
+        if (!order) {
+            throw toHttpsError(lastError, 'Payment order creation failed');
+        }
+        const { gatewayOrderId, paymentLink, checkout, raw: gatewayResponse } = order;
+        const environment = gateways.get(gatewayName).config.environment || null;
+        const orderExpiresAt = admin.firestore.Timestamp.fromDate(order.expiresAt || expiresAt);
 
         const paymentRef = db.collection(PAYMENTS_COLLECTION).doc();
 
@@ -654,15 +594,23 @@ module.exports = function buildCashfreeIntegration({
             if (latest.status !== 'pending_payment') {
                 throw new functions.https.HttpsError('failed-precondition', 'Booking state changed while creating order');
             }
+            if (legStageOf(latest.paymentStage) !== legStage) {
+                throw new functions.https.HttpsError('failed-precondition', 'Booking payment stage changed while creating order');
+            }
 
             tx.set(paymentRef, {
                 bookingId,
                 createdBy: uid,
-                gateway: 'cashfree',
+                gateway: gatewayName,
                 gatewayOrderId,
                 gatewayResponse,
+                paymentLink: paymentLink || null,
+                checkout: checkout || null,
+                orderExpiresAt,
+                paymentStage: legStage,
                 amountExpected: amount,
-                environment: config.environment,
+                environment,
+                status: 'pending',
                 escrowHeld: false,
                 releaseStatus: 'held_pending',
                 createdAt: FieldValue.serverTimestamp(),
@@ -670,24 +618,118 @@ module.exports = function buildCashfreeIntegration({
             });
 
             tx.update(bookingRef, {
+                // Latest leg; every leg is listed under paymentLegs (payments/paymentLegs.js).
                 paymentRef: paymentRef.id,
+                [`paymentLegs.${paymentRef.id}`]: {
+                    stage: legStage,
+                    status: 'pending',
+                    gateway: gatewayName,
+                    amountExpected: amount,
+                    amountPaid: 0,
+                    refundAmount: 0,
+                    refundStatus: null,
+                },
                 gatewayOrderId,
+                // Later orders for this booking (balance, retries) stay on the same gateway.
+                paymentGateway: gatewayName,
                 bookingType,
                 paymentInitiatedAt: FieldValue.serverTimestamp(),
                 updatedAt: FieldValue.serverTimestamp(),
             });
+            for (const leg of superseded) {
+                tx.update(leg.ref, { supersededBy: paymentRef.id });
+                tx.update(bookingRef, { [`paymentLegs.${leg.id}.status`]: 'expired' });
+            }
         });
 
-        return {
-            paymentRefId: paymentRef.id,
+        return orderResponse(paymentRef.id, {
+            gateway: gatewayName,
             gatewayOrderId,
-            paymentUrl: paymentLink,
-            amount,
-            raw: gatewayResponse,
-            environment: config.environment,
+            paymentLink,
+            checkout,
+            amountExpected: amount,
+            orderExpiresAt,
+            gatewayResponse,
+            environment,
+        }, { reused: false });
+    }
+
+    function orderResponse(paymentRefId, payment, { reused }) {
+        return {
+            paymentRefId,
+            gateway: payment.gateway || LEGACY_GATEWAY,
+            gatewayOrderId: payment.gatewayOrderId,
+            paymentUrl: payment.paymentLink || null,
+            checkout: payment.checkout || null,
+            amount: payment.amountExpected,
+            expiresAt: payment.orderExpiresAt ? payment.orderExpiresAt.toDate().toISOString() : null,
+            reused,
+            raw: payment.gatewayResponse || null,
+            environment: payment.environment || null,
         };
     }
 
+    // Same leg, same amount, on a gateway still in rotation, with a stored session and time left to pay.
+    function isReusableOrder(leg, { stage, amount, candidates }) {
+        const data = leg.data;
+        if (leg.stage !== stage || data.status !== 'pending') return false;
+        if (Number(data.amountExpected) !== Number(amount)) return false;
+        if (!candidates.includes(data.gateway || LEGACY_GATEWAY)) return false;
+        if (!data.checkout && !data.paymentLink) return false;
+        const expiresAtMs = data.orderExpiresAt?.toMillis ? data.orderExpiresAt.toMillis() : 0;
+        return expiresAtMs - Date.now() >= PAYMENT_ORDER_REUSE_MIN_REMAINING_MINUTES * 60 * 1000;
+    }
+
+    /**
+     * Closes an unpaid order at its gateway and marks the leg `expired`. Returns false (leg untouched)
+     * when the gateway reports the order paid: its webhook is on the way and will settle the leg.
+     * A failed close still expires the leg (and raises an order_close_failed task); a capture on it
+     * later is handled as a late webhook.
+     */
+    async function expireOpenOrder(leg, reason) {
+        let outcome = null;
+        try {
+            outcome = await gateways.forPayment(leg.data).closeOrder(leg.data.gatewayOrderId);
+        } catch (error) {
+            console.warn('Closing superseded order failed', leg.data.bookingId, leg.data.gatewayOrderId, error?.message || error);
+            await raiseOrderCloseFailed(leg, reason, error);
+        }
+        if (outcome === 'paid') return false;
+        await leg.ref.update({
+            status: 'expired',
+            releaseStatus: 'expired',
+            expiryReason: reason,
+            gatewayCloseOutcome: outcome || 'close_failed',
+            expiredAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+        return true;
+    }
+
+    /**
+     * We stopped trying to close `leg`'s order but the gateway may still accept payment on it, so ops
+     * terminate it by hand (one adminTasks doc per leg). A capture that lands anyway arrives as a
+     * webhook on a closed leg and is reconciled like any late payment.
+     */
+    async function raiseOrderCloseFailed(leg, reason, error) {
+        const bookingId = leg.data.bookingId || null;
+        await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId || 'unknown'}_order_close_failed_${leg.ref.id}`).set({
+            type: 'order_close_failed',
+            reason,
+            bookingId,
+            paymentId: leg.ref.id,
+            gateway: leg.data.gateway || LEGACY_GATEWAY,
+            gatewayOrderId: leg.data.gatewayOrderId || null,
+            error: String(error?.message || error).slice(0, 500),
+            priority: 'high',
+            status: 'pending',
+            createdAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        try {
+            await notifyAdmin('order_close_failed', { bookingId, orderId: leg.data.gatewayOrderId, reason });
+        } catch (_) {}
+    }
+
     // Admin-only HTTP wrapper to create an order and return a payment link
     // Useful for end-to-end manual testing from tools like Postman.
     async function createOrderHttp(req, res) {
@@ -745,6 +787,7 @@ module.exports = function buildCashfreeIntegration({
 
             const bypass = String(req.headers['x-test-bypass'] || '').trim();
             const allowBypass = (process.env.TEST_BYPASS_TOKEN && bypass === process.env.TEST_BYPASS_TOKEN);
+            let actor = 'system_test_bypass';
             if (!allowBypass) {
                 const authHeader = req.headers.authorization || '';
                 const idToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
@@ -755,6 +798,7 @@ module.exports = function buildCashfreeIntegration({
                     const role = await adminApi.checkUserRole(decoded.uid, decoded.phone_number || null, decoded.email || null);
                     if (!role || role.role !== 'admin') return res.status(403).json({ ok: false, error: 'forbidden' });
                 } catch (_) { return res.status(403).json({ ok: false, error: 'forbidden' }); }
+                actor = decoded.uid;
             }
 
             const body = req.body && typeof req.body === 'object' ? req.body : (() => { try { return JSON.parse(req.body || '{}'); } catch { return {}; } })();
@@ -764,9 +808,21 @@ module.exports = function buildCashfreeIntegration({
             const ref = db.collection(BOOKINGS_COLLECTION).doc(bookingId);
             const snap = await ref.get();
             if (!snap.exists) return res.status(404).json({ ok: false, error: 'booking_not_found' });
-            await ref.set({ status: 'completed', updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+            await transitionBooking({
+                bookingId,
+                from: snap.data()?.status,
+                to: 'completed',
+                actor,
+                reason: 'admin_http_complete',
+            });
             return res.status(200).json({ ok: true });
         } catch (error) {
+            if (error instanceof InvalidTransitionError) {
+                return res.status(409).json({ ok: false, error: 'invalid_transition', from: error.from, to: error.to });
+            }
+            if (error instanceof ConcurrentTransitionError) {
+                return res.status(409).json({ ok: false, error: 'concurrent_transition', expected: error.expected, actual: error.actual });
+            }
             console.error('adminCompleteBookingHttp error', error);
             return res.status(500).json({ ok: false, error: error?.message || 'internal_error' });
         }
@@ -799,11 +855,17 @@ module.exports = function buildCashfreeIntegration({
             const bookingId = String(req.query.bookingId || '').trim();
             if (!bookingId) return res.status(400).json({ ok: false, error: 'bookingId required' });
 
-            const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).limit(1).get();
-            if (paymentsSnap.empty) return res.status(404).json({ ok: false, error: 'payment_not_found' });
-            const payment = paymentsSnap.docs[0].data();
-            const paymentId = paymentsSnap.docs[0].id;
-            return res.status(200).json({ ok: true, paymentId, payment });
+            const { legs, settlement, totals } = await loadBookingPayments(bookingId);
+            if (!legs.length) return res.status(404).json({ ok: false, error: 'payment_not_found' });
+            // `payment` is the settlement leg (release plan + payouts); `legs` lists every payment doc.
+            const primary = settlement || legs[legs.length - 1];
+            return res.status(200).json({
+                ok: true,
+                paymentId: primary.id,
+                payment: primary.data,
+                legs: legs.map((leg) => ({ paymentId: leg.id, stage: leg.stage, ...leg.data })),
+                totals,
+            });
         } catch (error) {
             console.error('getPayoutStatusHttp error', error);
             return res.status(500).json({ ok: false, error: error?.message || 'internal_error' });
@@ -927,7 +989,7 @@ module.exports = function buildCashfreeIntegration({
             // Seed booking pending payment
             await bookingRef.set({ id: bookingId, artistId, clientId, amount, status: 'pending_payment', createdAt: admin.firestore.FieldValue.serverTimestamp(), updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
 
-            // Create order via internal function (will call Cashfree unless CASHFREE_MOCK=true)
+            // Create order via internal function (will call the gateway unless CASHFREE_MOCK=true)
             const order = await createOrder(
                 { bookingId },
                 { auth: { uid: 'admin_bypass' } },
@@ -1004,10 +1066,10 @@ module.exports = function buildCashfreeIntegration({
             });
 
             // Mark booking paid
-            await bookingRef.set({ status: 'paid', updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+            await transitionBooking({ bookingId, from: 'pending_payment', to: 'paid', actor: 'system_payments_self_test', reason: 'self_test' });
 
             // Complete booking (this would normally trigger releasePayout)
-            await bookingRef.set({ status: 'completed', updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+            await transitionBooking({ bookingId, from: 'paid', to: 'completed', actor: 'system_payments_self_test', reason: 'self_test' });
 
             // Simulate payout success update (as if from payout webhook)
             await paymentRef.set({
@@ -1023,486 +1085,812 @@ module.exports = function buildCashfreeIntegration({
         }
     }
 
-    async function handlePaymentWebhook(req, res) {
-        try {
-            if (req.method === 'GET' || req.method === 'HEAD') {
-                return res.status(200).send('ok');
-            }
-            if (req.method !== 'POST') {
-                return res.status(405).send('method not allowed');
-            }
-            const evt = (req.body || {});
-            const isTest = isDashboardTest(req, evt);
-            if (!isTest && !verifyWebhookSignature(req)) {
-                console.warn('Cashfree PG webhook invalid signature', { headers: Object.keys(req.headers || {}) });
-                return res.status(400).send('invalid signature');
-            }
+    /**
+     * HTTP shell shared by every gateway webhook endpoint: verifies the signature, normalizes the
+     * event with the gateway's parseWebhook, dedupes it in webhookLogs and dispatches on its type.
+     * Cashfree posts each product to its own endpoint (`kind`); Razorpay posts everything to one.
+     */
+    function buildWebhookHandler(gatewayName, kind = null) {
+        const label = kind ? `${gatewayName}:${kind}` : gatewayName;
+        return async function handleGatewayWebhook(req, res) {
+            let logRef = null;
+            try {
+                if (req.method === 'GET' || req.method === 'HEAD') {
+                    return res.status(200).send('ok');
+                }
+                if (req.method !== 'POST') {
+                    return res.status(405).send('method not allowed');
+                }
+                const provider = gateways.get(gatewayName);
+                const evt = (req.body || {});
+                const verification = req[WEBHOOK_REPLAY] ? null : provider.verifyWebhook(req, { kind });
+                if (verification && !verification.valid) {
+                    if (gatewayName === 'cashfree' && isUnsignedTestPing(req, evt)) {
+                        await recordTestPing(req, { endpoint: label, signed: false });
+                        return res.status(200).send('ok');
+                    }
+                    console.warn(`${label} webhook invalid signature`, { reason: verification.reason, headers: Object.keys(req.headers || {}) });
+                    return res.status(400).send('invalid signature');
+                }
+                if (verification && gatewayName === 'cashfree' && isTestPing(req, evt)) {
+                    await recordTestPing(req, { endpoint: label, signed: true, keyVersion: verification.keyVersion });
+                    return res.status(200).send('ok');
+                }
 
-            const event = evt;
-            const eventId = event.eventId || event.id || event.cf_event_id || event.data?.payment?.cf_payment_id || `payment:${Date.now()}`;
-            const { duplicate, logRef } = await recordWebhook(eventId, event, req, 'cashfree:payment');
-            if (duplicate) {
-                return res.status(200).send('duplicate');
+                const parsed = provider.parseWebhook(req, { kind });
+                const recorded = await recordWebhook(parsed.eventId, evt, req, `${gatewayName}:${parsed.type}`, label, {
+                    // Which rotation key signed it (null on replays). Shows when the previous key can go.
+                    signatureKeyVersion: verification?.keyVersion || null,
+                });
+                const duplicate = recorded.duplicate;
+                logRef = recorded.logRef;
+                if (duplicate) {
+                    return res.status(200).send('duplicate');
+                }
+
+                const apply = WEBHOOK_EVENT_HANDLERS[parsed.type];
+                if (!apply) {
+                    await markWebhookLog(logRef, 'processed', { note: 'ignored_event', event: parsed.name || null });
+                    return res.status(200).send('ignored');
+                }
+                const [code, text] = await apply({ gateway: gatewayName, parsed, event: evt, logRef });
+                return res.status(code).send(text);
+            } catch (error) {
+                console.error(`${label} webhook error`, error);
+                await failWebhookLog(logRef, error);
+                return res.status(500).send('server error');
             }
+        };
+    }
 
-            const orderObj = event.order || event.data?.order || event.data?.orderDetails || {};
-            const paymentObj = event.payment || event.data?.payment || event.data?.paymentDetails || {};
+    /**
+     * Webhook for an order createOrder replaced (status `expired`). Failures and pending states are
+     * recorded and dropped. A capture is either a duplicate (another leg of the same stage is already
+     * paid: held for refund, ops task raised) or the client's real payment, in which case the leg is
+     * reinstated, its open replacements are closed and null is returned so the normal success path runs.
+     */
+    async function applySupersededOrderEvent({ paymentRef, paymentData, parsed, event, logRef }) {
+        const { orderId, outcome, gatewayPaymentId: paymentId, amount: orderAmount } = parsed;
+        const bookingId = paymentData.bookingId;
 
-            const orderId = orderObj.order_id || orderObj.orderId || event.orderId;
-            const txStatusRaw = paymentObj.payment_status || paymentObj.paymentStatus || paymentObj.txStatus || event.txStatus || event.status;
-            const status = normalizeStatus(txStatusRaw);
-            const paymentId = paymentObj.cf_payment_id || paymentObj.payment_id || paymentObj.referenceId || event.referenceId;
-            const orderAmount = Number(paymentObj.payment_amount || paymentObj.amount || orderObj.order_amount || event.orderAmount || 0);
+        if (outcome !== 'success') {
+            await paymentRef.update({ lastWebhook: event, updatedAt: FieldValue.serverTimestamp() });
+            await markWebhookLog(logRef, 'processed', { status: outcome || null, note: 'superseded_order' });
+            return [200, 'superseded'];
+        }
 
-            if (!orderId) {
-                if (isTest) {
-                    await markWebhookLog(logRef, 'processed', { note: 'dashboard_test', headers: Object.keys(req.headers || {}) });
-                    return res.status(200).send('ok');
-                }
-                await markWebhookLog(logRef, 'failed', { error: 'missing_orderId' });
-                return res.status(400).send('missing orderId');
-            }
+        const stage = legStageOf(paymentData.paymentStage);
+        const siblings = bookingId
+            ? (await loadPaymentLegs(bookingId)).filter((leg) => leg.id !== paymentRef.id && leg.stage === stage)
+            : [];
 
-            const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('gatewayOrderId', '==', orderId).limit(1).get();
-            if (paymentsSnap.empty) {
-                console.warn('Cashfree webhook with unknown orderId', orderId);
-                await markWebhookLog(logRef, 'processed', { note: 'no payment record' });
-                return res.status(200).send('no payment record');
+        if (siblings.some((leg) => isCaptured(leg.data))) {
+            await paymentRef.update({
+                gatewayPaymentId: paymentId || null,
+                amountPaid: orderAmount || 0,
+                status: 'paid_duplicate',
+                escrowHeld: false,
+                releaseStatus: 'duplicate_refund_pending',
+                duplicateCapturedAt: FieldValue.serverTimestamp(),
+                lastWebhook: event,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            await syncPaymentTotals(bookingId);
+            await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId}_duplicate_payment_${paymentRef.id}`).set({
+                type: 'duplicate_payment',
+                bookingId,
+                paymentId: paymentRef.id,
+                gatewayOrderId: orderId,
+                gatewayPaymentId: paymentId || null,
+                amount: orderAmount || 0,
+                priority: 'high',
+                status: 'pending',
+                createdAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+            try {
+                await notifyAdmin('duplicate_payment', { bookingId, orderId, amount: orderAmount });
+            } catch (_) {}
+            await markWebhookLog(logRef, 'processed', { status: 'success', note: 'duplicate_payment' });
+            return [200, 'duplicate payment'];
+        }
+
+        // The client paid the old checkout after a new order was created: keep this payment, retire the new order.
+        for (const leg of siblings.filter((l) => isOpenOrder(l.data))) {
+            if (await expireOpenOrder(leg, 'superseded_by_late_payment')) {
+                await leg.ref.update({ supersededBy: paymentRef.id });
             }
+        }
+        await paymentRef.update({
+            supersededBy: FieldValue.delete(),
+            reinstatedAt: FieldValue.serverTimestamp(),
+        });
+        if (bookingId) {
+            await db.collection(BOOKINGS_COLLECTION).doc(bookingId).update({
+                paymentRef: paymentRef.id,
+                gatewayOrderId: orderId,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+        }
+        return null;
+    }
 
-            const paymentRef = paymentsSnap.docs[0].ref;
-            const paymentData = paymentsSnap.docs[0].data();
+    // Paise-rounded comparison of what the gateway captured with what the order was created for.
+    // A capture that reports no positive amount is never trusted as a full payment.
+    function amountMismatchOf(expected, received) {
+        const expectedPaise = Math.round(Number(expected || 0) * 100);
+        const receivedPaise = Math.round(Number(received || 0) * 100);
+        if (!(receivedPaise > 0)) return 'amount_missing';
+        if (!expectedPaise || expectedPaise === receivedPaise) return null;
+        return receivedPaise < expectedPaise ? 'underpaid' : 'overpaid';
+    }
 
-            if (status && PAYMENT_SUCCESS_STATUSES.has(status)) {
-                await paymentRef.update({
-                    gatewayPaymentId: paymentId || paymentData.gatewayPaymentId || null,
-                    amountPaid: orderAmount || paymentData.amountPaid || 0,
+    // Payment doc fields for a webhook outcome; null when the outcome is not one we act on.
+    function paymentOutcomeUpdate({ outcome, mismatch, status, paymentId, orderAmount, paymentData }) {
+        const gatewayPaymentId = paymentId || paymentData.gatewayPaymentId || null;
+        switch (outcome) {
+            case 'success':
+                if (mismatch === 'underpaid') {
+                    // Captured, so held, but short: kept out of `paid` until reviewed.
+                    return {
+                        gatewayPaymentId,
+                        amountPaid: orderAmount,
+                        escrowHeld: true,
+                        releaseStatus: 'review_hold',
+                        status: 'review',
+                        reviewReason: 'underpaid',
+                    };
+                }
+                if (mismatch === 'amount_missing') {
+                    // Captured for an amount we do not know: nothing is recorded as paid until reviewed.
+                    return {
+                        gatewayPaymentId,
+                        escrowHeld: true,
+                        releaseStatus: 'review_hold',
+                        status: 'review',
+                        reviewReason: 'amount_missing',
+                    };
+                }
+                return {
+                    gatewayPaymentId,
+                    amountPaid: orderAmount,
                     escrowHeld: true,
                     releaseStatus: 'held',
                     status: 'paid',
-                    lastWebhook: event,
-                    updatedAt: FieldValue.serverTimestamp(),
-                });
+                    ...(mismatch === 'overpaid' ? { amountOverpaid: orderAmount - Number(paymentData.amountExpected || 0) } : {}),
+                };
+            case 'failure':
+                return { status: 'failed', releaseStatus: 'failed' };
+            case 'flagged':
+                return { gatewayPaymentId, status: 'review', reviewReason: 'flagged', gatewayStatus: status };
+            case 'pending':
+                return { gatewayPaymentId, gatewayStatus: status, gatewayPendingAt: FieldValue.serverTimestamp() };
+            case 'dropped':
+                return { gatewayStatus: status, userDroppedAt: FieldValue.serverTimestamp() };
+            default:
+                return null;
+        }
+    }
 
-                const bookingId = paymentData.bookingId;
-                if (bookingId) {
-                    const bookingRef = db.collection(BOOKINGS_COLLECTION).doc(bookingId);
-                    const bookingSnap = await bookingRef.get();
-                    if (bookingSnap.exists) {
-                        const booking = bookingSnap.data();
-                        const now = FieldValue.serverTimestamp();
-                        const stage = String(booking?.paymentStage || '').toLowerCase();
-                        const dueLater = Number(booking?.amountDueLater || 0);
-                        const bookingUpdate = {
-                            status: 'paid',
-                            paymentCapturedAt: now,
-                            updatedAt: now,
-                        };
-
-                        // Phase-1: payment staging (advance → balance → paid_full)
-                        if (stage === 'balance') {
-                            bookingUpdate.paidFull = true;
-                            bookingUpdate.paidFullAt = now;
-                            bookingUpdate.paymentStage = 'paid_full';
-                        } else {
-                            bookingUpdate.advancePaid = true;
-                            bookingUpdate.advancePaidAt = now;
-                            // If there is no remaining balance, treat this as fully paid.
-                            if (dueLater <= 0) {
-                                bookingUpdate.paidFull = true;
-                                bookingUpdate.paidFullAt = now;
-                                bookingUpdate.paymentStage = 'paid_full';
-                            }
-                        }
+    /**
+     * Puts a payment on the ops review queue (adminTasks, type payment_review; one task per payment)
+     * and marks the booking so clients and admin screens can show it.
+     * reason: flagged (gateway risk hold) | underpaid | amount_missing | overpaid.
+     */
+    async function raisePaymentReview({ paymentRef, paymentData, parsed, reason }) {
+        const bookingId = paymentData.bookingId || null;
+        await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId || 'unknown'}_payment_review_${paymentRef.id}`).set({
+            type: 'payment_review',
+            reason,
+            bookingId,
+            paymentId: paymentRef.id,
+            gateway: paymentData.gateway || LEGACY_GATEWAY,
+            gatewayOrderId: parsed.orderId,
+            gatewayPaymentId: parsed.gatewayPaymentId || null,
+            gatewayStatus: parsed.status || null,
+            amountExpected: Number(paymentData.amountExpected || 0),
+            amountReceived: Number(parsed.amount || 0),
+            priority: 'high',
+            status: 'pending',
+            createdAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        if (bookingId) {
+            await db.collection(BOOKINGS_COLLECTION).doc(bookingId).set({
+                paymentReview: { paymentId: paymentRef.id, reason, raisedAt: FieldValue.serverTimestamp() },
+                updatedAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+            await syncPaymentTotals(bookingId);
+        }
+        try {
+            await notifyAdmin('payment_review', { bookingId, orderId: parsed.orderId, reason, amount: parsed.amount });
+        } catch (_) {}
+    }
 
-                        await bookingRef.update(bookingUpdate);
+    // The gateway settled a flagged payment itself; its review task no longer needs ops.
+    async function closePaymentReview({ paymentRef, bookingId, resolution }) {
+        await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId || 'unknown'}_payment_review_${paymentRef.id}`).set({
+            status: 'resolved',
+            resolution,
+            resolvedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        await paymentRef.update({ reviewReason: FieldValue.delete() });
+        if (bookingId) {
+            await db.collection(BOOKINGS_COLLECTION).doc(bookingId).update({ paymentReview: FieldValue.delete() });
+        }
+    }
 
-                        // V1: Create calendar blocks only after advance is paid.
-                        try {
-                            if (bookingUpdate.advancePaid === true) {
-                                const startDate = String(booking?.eventDate || '').trim();
-                                const endDate = String(booking?.eventEndDate || booking?.eventDate || '').trim();
-
-                                const primaryUids = [booking?.artistId, booking?.vendorId].map((x) => String(x || '').trim()).filter(Boolean);
-                                const fallbackUids = [
-                                    ...(Array.isArray(booking?.assignedArtistIds) ? booking.assignedArtistIds : []),
-                                    ...(Array.isArray(booking?.assignedVendorIds) ? booking.assignedVendorIds : []),
-                                ].map((x) => String(x || '').trim()).filter(Boolean);
-
-                                const uids = Array.from(new Set((primaryUids.length ? primaryUids : fallbackUids).slice(0, 10)));
-
-                                const parseYmd = (ymd) => {
-                                    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(ymd || '').trim());
-                                    if (!m) return null;
-                                    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 0, 0, 0));
-                                    return Number.isNaN(d.getTime()) ? null : d;
-                                };
-
-                                const s = parseYmd(startDate);
-                                const e = parseYmd(endDate);
-                                if (s && e && uids.length) {
-                                    const from = s.getTime() <= e.getTime() ? s : e;
-                                    const to = s.getTime() <= e.getTime() ? e : s;
-                                    const batch = db.batch();
-                                    const ts = FieldValue.serverTimestamp();
-                                    const blockIds = [];
-
-                                    for (let cur = new Date(from.getTime()); cur.getTime() <= to.getTime(); cur = new Date(cur.getTime() + 24 * 60 * 60 * 1000)) {
-                                        const y = cur.getUTCFullYear();
-                                        const mth = String(cur.getUTCMonth() + 1).padStart(2, '0');
-                                        const dayNum = String(cur.getUTCDate()).padStart(2, '0');
-                                        const day = `${y}-${mth}-${dayNum}`;
-
-                                        uids.forEach((uid) => {
-                                            const blockId = `${uid}_${day}`;
-                                            blockIds.push(blockId);
-                                            const ref = db.collection('calendar_blocks').doc(blockId);
-                                            batch.set(ref, {
-                                                schemaVersion: 1,
-                                                blockId,
-                                                bookingId,
-                                                uid,
-                                                date: day,
-                                                status: 'blocked',
-                                                createdAt: ts,
-                                                updatedAt: ts,
-                                            }, { merge: true });
-                                        });
-                                    }
-
-                                    await batch.commit();
-                                    await bookingRef.set({
-                                        calendarLocked: true,
-                                        calendarBlockIds: blockIds,
-                                        calendarBlockStartDate: startDate || null,
-                                        calendarBlockEndDate: endDate || null,
-                                        updatedAt: ts,
-                                    }, { merge: true });
-                                }
-                            }
-                        } catch (e) {
-                            console.warn('Failed to create calendar blocks for booking', bookingId, e?.message || e);
-                        }
+    /**
+     * Writes a webhook outcome onto the payment only if it advances the status (see
+     * outcomeAdvancesPayment); the read and the write share a transaction so concurrent deliveries
+     * of SUCCESS and FAILED cannot interleave.
+     */
+    async function claimPaymentOutcome(paymentRef, outcome, update) {
+        return db.runTransaction(async (tx) => {
+            const snap = await tx.get(paymentRef);
+            const current = snap.data() || {};
+            if (!outcomeAdvancesPayment(current, outcome)) return { applied: false, current };
+            tx.update(paymentRef, update);
+            return { applied: true, current };
+        });
+    }
 
-                        await sendNotification(booking.clientId, 'payment_success', {
-                            amount: orderAmount,
+    /**
+     * Moves a booking to `paid` for a captured leg, setting the advance/balance/topup flags of the
+     * leg's stage. Throws InvalidTransitionError when the booking can no longer become paid.
+     */
+    async function markBookingPaid({ bookingId, booking, paymentData, amount, actor, reason = null }) {
+        const now = FieldValue.serverTimestamp();
+        // The leg records what it was created for; legacy docs fall back to the booking.
+        const stage = legStageOf(paymentData.paymentStage || booking?.paymentStage);
+        const dueLater = Number(booking?.amountDueLater || 0);
+        const bookingUpdate = {
+            paymentCapturedAt: now,
+        };
+
+        // Phase-1: payment staging (advance → balance → paid_full)
+        if (stage === 'balance') {
+            bookingUpdate.paidFull = true;
+            bookingUpdate.paidFullAt = now;
+            bookingUpdate.paymentStage = 'paid_full';
+        } else if (stage === 'topup') {
+            // Extra charge on a booking that is already paid; the advance/balance flags stand.
+            bookingUpdate.topupPaidAt = now;
+            bookingUpdate.paymentStage = booking.paidFull === true ? 'paid_full' : 'advance';
+        } else {
+            bookingUpdate.advancePaid = true;
+            bookingUpdate.advancePaidAt = now;
+            // If there is no remaining balance, treat this as fully paid.
+            if (dueLater <= 0) {
+                bookingUpdate.paidFull = true;
+                bookingUpdate.paidFullAt = now;
+                bookingUpdate.paymentStage = 'paid_full';
+            }
+        }
+
+        return transitionBooking({
+            bookingId,
+            from: booking.status,
+            to: 'paid',
+            actor,
+            reason: reason || (stage === 'balance' ? 'balance_captured' : 'advance_captured'),
+            update: bookingUpdate,
+            // Calendar blocks, payment_success notifications and the gig follow-up task
+            // are declared on pending_payment->paid and payment_failed->paid
+            // (booking/stateMachine.js); the last two only fire for the advance stage.
+            effectContext: { amount, stage },
+        });
+    }
+
+    // Returns [httpStatus, body] for the webhook response.
+    async function applyPaymentEvent({ gateway, parsed, event, logRef }) {
+        const { orderId, status, outcome, gatewayPaymentId: paymentId, amount: orderAmount } = parsed;
+        const actor = `system_${gateway}_webhook`;
+
+        if (!orderId) {
+            await markWebhookLog(logRef, 'failed', { error: 'missing_orderId' });
+            return [400, 'missing orderId'];
+        }
+
+        const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('gatewayOrderId', '==', orderId).limit(1).get();
+        if (paymentsSnap.empty) {
+            console.warn(`${gateway} webhook with unknown orderId`, orderId);
+            await markWebhookLog(logRef, 'processed', { note: 'no payment record' });
+            return [200, 'no payment record'];
+        }
+
+        const paymentRef = paymentsSnap.docs[0].ref;
+        const paymentData = paymentsSnap.docs[0].data();
+
+        if (paymentData.status === 'expired') {
+            const handled = await applySupersededOrderEvent({ paymentRef, paymentData, parsed, event, logRef });
+            if (handled) return handled;
+        }
+
+        const mismatch = outcome === 'success' ? amountMismatchOf(paymentData.amountExpected, orderAmount) : null;
+        const update = paymentOutcomeUpdate({ outcome, mismatch, status, paymentId, orderAmount, paymentData });
+        if (update) {
+            const claimed = await claimPaymentOutcome(paymentRef, outcome, {
+                ...update,
+                lastWebhook: event,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            if (!claimed.applied) {
+                // Redelivered capture, or a FAILED/PENDING that arrived after it: record it, change nothing.
+                await paymentRef.update({ lastIgnoredWebhook: event, updatedAt: FieldValue.serverTimestamp() });
+                const note = outcome === 'success' ? 'already_captured' : 'stale_status';
+                await markWebhookLog(logRef, 'processed', { status, note, paymentStatus: claimed.current.status || null });
+                return [200, note];
+            }
+            if (isUnderReview(claimed.current) && !isUnderReview(update)) {
+                await closePaymentReview({ paymentRef, bookingId: paymentData.bookingId, resolution: `gateway_${outcome}` });
+            }
+        }
+
+        if (outcome === 'pending' || outcome === 'dropped') {
+            // Nothing to do for the booking: the order is still payable and the expiry scheduler owns abandonment.
+            await syncPaymentTotals(paymentData.bookingId);
+            await markWebhookLog(logRef, 'processed', { status, note: outcome === 'pending' ? 'payment_pending' : 'user_dropped' });
+            return [200, outcome === 'pending' ? 'pending' : 'user dropped'];
+        }
+
+        if (outcome === 'flagged' || REVIEW_MISMATCHES.has(mismatch)) {
+            // Not paid until ops decide: the booking stays in pending_payment.
+            const reason = outcome === 'flagged' ? 'flagged' : mismatch;
+            await raisePaymentReview({ paymentRef, paymentData, parsed, reason });
+            await markWebhookLog(logRef, 'processed', { status, note: 'payment_review', reason });
+            return [200, 'under review'];
+        }
+
+        if (outcome === 'success') {
+            if (mismatch === 'overpaid') {
+                // Booking is paid; the excess is for ops to refund.
+                await raisePaymentReview({ paymentRef, paymentData, parsed, reason: 'overpaid' });
+            }
+            const bookingId = paymentData.bookingId;
+            if (bookingId) {
+                await syncPaymentTotals(bookingId);
+                const bookingSnap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+                if (bookingSnap.exists) {
+                    try {
+                        await markBookingPaid({ bookingId, booking: bookingSnap.data(), paymentData, amount: orderAmount, actor });
+                    } catch (error) {
+                        if (!(error instanceof InvalidTransitionError)) throw error;
+                        // Money was captured against a booking that can no longer become `paid`
+                        // (e.g. cancelled while the client was on the checkout page). Escrow is held
+                        // on the payment doc; ops must refund or reinstate manually.
+                        console.error(JSON.stringify({
+                            message: 'Payment captured for booking in non-payable state.',
+                            severity: 'ERROR',
+                            context: 'payment_webhook',
+                            orderId,
                             bookingId,
-                        });
-                        // Notify artist that client payment has been received (funds held)
+                            bookingStatus: error.from,
+                        }));
                         try {
-                            if (booking.artistId) {
-                                await sendNotification(booking.artistId, 'payment_success', {
-                                    amount: orderAmount,
-                                    bookingId,
-                                });
-                            }
-                            if (booking.vendorId) {
-                                await sendNotification(booking.vendorId, 'payment_success', {
-                                    amount: orderAmount,
-                                    bookingId,
-                                });
-                            }
-                        } catch (error) {
-                            console.warn('Artist notification on payment_success failed', error?.message || error);
-                        }
-
-                        const bookingType = String(booking.type || booking.bookingType || 'gig').toLowerCase();
-                        if (bookingType === 'gig') {
-                            try {
-                                await db.collection('adminTasks').add({
-                                    type: 'gig_followup_call',
-                                    bookingId,
-                                    clientId: booking.clientId || null,
-                                    artistId: booking.artistId || null,
-                                    priority: 'low',
-                                    status: 'pending',
-                                    createdAt: FieldValue.serverTimestamp(),
-                                });
-                            } catch (error) {
-                                console.warn('Failed to create follow-up admin task', bookingId, error);
-                            }
-                        }
+                            await notifyAdmin('payment_on_inactive_booking', { orderId, bookingId, bookingStatus: error.from });
+                        } catch (_) {}
+                        await markWebhookLog(logRef, 'processed', { status: 'success', note: 'booking_transition_rejected' });
+                        return [200, 'booking not payable'];
                     }
                 }
-
-                try {
-                    await KPIS.funnels.bookingPaid(orderAmount || 0);
-                } catch (error) {
-                    console.warn('Failed to record KPI.bookingPaid', error?.message || error);
-                }
-
-                await markWebhookLog(logRef, 'processed', { status: 'success' });
-                return res.status(200).send('ok');
             }
 
-            if (status && PAYMENT_FAILURE_STATUSES.has(status)) {
-                await paymentRef.update({
-                    status: 'failed',
-                    releaseStatus: 'failed',
-                    lastWebhook: event,
-                    updatedAt: FieldValue.serverTimestamp(),
-                });
+            try {
+                await KPIS.funnels.bookingPaid(orderAmount || 0);
+            } catch (error) {
+                console.warn('Failed to record KPI.bookingPaid', error?.message || error);
+            }
 
-                const bookingId = paymentData.bookingId;
-                if (bookingId) {
-                    const bookingRef = db.collection(BOOKINGS_COLLECTION).doc(bookingId);
-                    await bookingRef.update({
-                        status: 'payment_failed',
-                        updatedAt: FieldValue.serverTimestamp(),
-                    });
+            await markWebhookLog(logRef, 'processed', { status: 'success' });
+            return [200, 'ok'];
+        }
 
-                    const bookingSnap = await bookingRef.get();
-                    if (bookingSnap.exists) {
-                        const booking = bookingSnap.data();
+        if (outcome === 'failure') {
+            const bookingId = paymentData.bookingId;
+            if (bookingId) {
+                await syncPaymentTotals(bookingId);
+                const bookingRef = db.collection(BOOKINGS_COLLECTION).doc(bookingId);
+                const bookingSnap = await bookingRef.get();
+                if (bookingSnap.exists) {
+                    const booking = bookingSnap.data();
+                    try {
+                        await transitionBooking({
+                            bookingId,
+                            from: booking.status,
+                            to: 'payment_failed',
+                            actor,
+                            reason: status,
+                            update: {
+                                lastPaymentFailedAt: FieldValue.serverTimestamp(),
+                                lastPaymentFailureStatus: status,
+                            },
+                        });
                         await sendNotification(booking.clientId, 'payment_failed', {
                             amount: orderAmount,
                             bookingId,
                         });
+                    } catch (error) {
+                        if (!(error instanceof InvalidTransitionError)) throw error;
+                        // e.g. a late failure for an attempt superseded by a successful one.
+                        console.warn('Ignoring payment failure for booking in non-pending state', bookingId, error.from);
                     }
                 }
+            }
 
-                // Enhanced Payment Failure Alert
-                console.error(JSON.stringify({
-                    message: 'Cashfree payment failed or was cancelled by user.',
-                    severity: 'WARNING', // Warning because it might be a user cancellation, not a system error
-                    context: 'payment_webhook',
-                    orderId,
-                    bookingId: paymentData.bookingId,
-                    paymentStatus: status,
-                }));
+            // Enhanced Payment Failure Alert
+            console.error(JSON.stringify({
+                message: `${gateway} payment failed or was cancelled by user.`,
+                severity: 'WARNING', // Warning because it might be a user cancellation, not a system error
+                context: 'payment_webhook',
+                orderId,
+                bookingId: paymentData.bookingId,
+                paymentStatus: status,
+            }));
+
+            await markWebhookLog(logRef, 'processed', { status: 'failed' });
+            return [200, 'failed'];
+        }
 
-                await markWebhookLog(logRef, 'processed', { status: 'failed' });
-                return res.status(200).send('failed');
+        console.log(`Unhandled ${gateway} payment status`, status, orderId);
+        await paymentRef.update({
+            lastWebhook: event,
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+        await markWebhookLog(logRef, 'processed', { status: status || 'unknown' });
+        return [200, 'unhandled'];
+    }
+
+    /**
+     * Applies a gateway refund status (from a refund webhook or the reconciler) to the payment leg.
+     * `refund` is the gateway's normalized refund (parseWebhook / getRefund).
+     * processed is terminal; client is notified on success, ops get an admin task on failure.
+     * Returns 'processed' | 'failed' | 'pending' | 'already_processed'.
+     */
+    async function applyRefundStatus({ paymentRef, paymentData, refund = {}, status, raw = null }) {
+        const bookingId = paymentData.bookingId || null;
+        const refundId = paymentData.refundId || refund.refundId || null;
+        const refundAmount = Number(refund.amount || paymentData.refundAmount || 0);
+        const refundArn = refund.refundArn || null;
+        const failureReason = refund.failureReason || null;
+        const previous = String(paymentData.refundStatus || '');
+
+        if (previous === 'processed') {
+            // Terminal; a late PENDING/FAILED for the same refund must not regress it.
+            return 'already_processed';
+        }
+
+        if (status && REFUND_SUCCESS_STATUSES.has(status)) {
+            await markRefundLeg(refundId, 'processed', { refundArn });
+            await paymentRef.update({
+                refundStatus: 'processed',
+                refundProcessedAt: FieldValue.serverTimestamp(),
+                refundArn,
+                refundGatewayStatus: status,
+                lastRefundEvent: raw,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            if (bookingId) {
+                await syncPaymentTotals(bookingId);
+                try {
+                    const bookingSnap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+                    const clientId = bookingSnap.exists ? bookingSnap.data()?.clientId : null;
+                    if (clientId) {
+                        await sendNotification(clientId, 'refund_processed', {
+                            bookingId,
+                            amount: refundAmount,
+                            refundArn,
+                        });
+                    }
+                } catch (notifyError) {
+                    console.warn('Failed to notify client of processed refund', bookingId, notifyError?.message || notifyError);
+                }
             }
+            return 'processed';
+        }
 
-            console.log('Unhandled Cashfree payment status', status, orderId);
+        if (status && REFUND_FAILURE_STATUSES.has(status)) {
+            await markRefundLeg(refundId, 'failed', { error: failureReason });
             await paymentRef.update({
-                lastWebhook: event,
+                refundStatus: 'failed',
+                refundFailedAt: FieldValue.serverTimestamp(),
+                refundGatewayStatus: status,
+                refundError: failureReason,
+                lastRefundEvent: raw,
                 updatedAt: FieldValue.serverTimestamp(),
             });
-            await markWebhookLog(logRef, 'processed', { status: status || 'unknown' });
-            return res.status(200).send('unhandled');
-        } catch (error) {
-            console.error('cashfreeWebhook error', error);
-            return res.status(500).send('server error');
+            await syncPaymentTotals(bookingId);
+            if (previous !== 'failed') {
+                // Deterministic id: one ops task per failed refund.
+                await db.collection(ADMIN_TASKS_COLLECTION).doc(`${bookingId || 'unknown'}_refund_failed_${refundId}`).set({
+                    type: 'refund_failed',
+                    bookingId,
+                    paymentId: paymentRef.id,
+                    refundId,
+                    amount: refundAmount,
+                    reason: failureReason,
+                    priority: 'high',
+                    status: 'pending',
+                    createdAt: FieldValue.serverTimestamp(),
+                }, { merge: true });
+                try {
+                    await notifyAdmin('refund_failed', { bookingId, refundId, status });
+                } catch (_) {}
+            }
+            return 'failed';
         }
+
+        // PENDING / ONHOLD: still in flight; keep the initiated status, record what the gateway said.
+        await paymentRef.update({
+            refundGatewayStatus: status || null,
+            refundLastCheckedAt: FieldValue.serverTimestamp(),
+            ...(raw ? { lastRefundEvent: raw } : {}),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+        return 'pending';
     }
 
-    async function handlePayoutWebhook(req, res) {
-        try {
-            if (req.method === 'GET' || req.method === 'HEAD') {
-                return res.status(200).send('ok');
-            }
-            if (req.method !== 'POST') {
-                return res.status(405).send('method not allowed');
+    // Scheduled: polls the payment's gateway for refunds stuck in initiated* (missed or delayed
+    // refund webhook) and settles them through applyRefundStatus. Mock transports report success.
+    async function refundReconciler(_context) {
+        const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - REFUND_RECONCILE_AFTER_MINUTES * 60 * 1000);
+        const snap = await db.collection(PAYMENTS_COLLECTION)
+            .where('refundStatus', 'in', ['initiated', 'initiated_partial'])
+            .where('refundInitiatedAt', '<=', cutoff)
+            .limit(50)
+            .get();
+        if (snap.empty) return null;
+
+        const summary = { checked: 0, processed: 0, failed: 0, pending: 0, errors: 0 };
+        for (const doc of snap.docs) {
+            const payment = doc.data() || {};
+            if (!payment.refundId || !payment.gatewayOrderId) continue;
+            summary.checked += 1;
+
+            let refund;
+            try {
+                refund = await gateways.forPayment(payment).getRefund({
+                    gatewayOrderId: payment.gatewayOrderId,
+                    gatewayPaymentId: payment.gatewayPaymentId,
+                    gatewayRefundId: payment.refundGatewayId || null,
+                    refundId: payment.refundId,
+                });
+            } catch (error) {
+                console.warn('refundReconciler: refund status lookup failed', doc.id, error.response || error.message);
+                summary.errors += 1;
+                continue;
             }
-            const evt = (req.body || {});
-            const isTest = isDashboardTest(req, evt);
-            if (!isTest && !verifyWebhookSignature(req)) {
-                console.warn('Cashfree Payout webhook invalid signature', { headers: Object.keys(req.headers || {}) });
-                return res.status(400).send('invalid signature');
+            if (!refund.found) {
+                // The gateway has no record of the refund: it never went through; hand it to ops.
+                refund = { refundId: payment.refundId, status: 'failed', failureReason: 'refund_not_found_at_gateway' };
             }
 
-            const event = evt;
-            const eventId = event.eventId || event.id || event.transfer?.transferId || `payout:${Date.now()}`;
-            const { duplicate, logRef } = await recordWebhook(eventId, event, req, 'cashfree:payout');
-            if (duplicate) {
-                return res.status(200).send('duplicate');
+            try {
+                const outcome = await applyRefundStatus({ paymentRef: doc.ref, paymentData: payment, refund, status: refund.status, raw: refund.raw || refund });
+                if (summary[outcome] !== undefined) summary[outcome] += 1;
+            } catch (error) {
+                console.warn('refundReconciler: failed to apply refund status', doc.id, error?.message || error);
+                summary.errors += 1;
             }
+        }
+        console.log('refundReconciler summary', JSON.stringify(summary));
+        return null;
+    }
 
-            const transfer = event.transfer || event.data?.transfer || event;
-            const transferId = transfer.transferId || transfer.transfer_id;
-            const statusRaw = transfer.status || transfer.event;
-            const status = normalizeStatus(statusRaw);
-            const referenceId = transfer.referenceId || transfer.cfReferenceId || transfer.reference_id;
+    // Refund lifecycle: initiated/initiated_partial -> processed | failed (REFUND_STATUS_WEBHOOK).
+    async function applyRefundEvent({ gateway, parsed, event, logRef }) {
+        const { refundId, status } = parsed;
+        if (!refundId) {
+            await markWebhookLog(logRef, 'failed', { error: 'missing_refundId' });
+            return [400, 'missing refundId'];
+        }
 
-            if (!transferId) {
-                if (isTest) {
-                    await markWebhookLog(logRef, 'processed', { note: 'dashboard_test', headers: Object.keys(req.headers || {}) });
-                    return res.status(200).send('ok');
-                }
-                await markWebhookLog(logRef, 'failed', { error: 'missing_transferId' });
-                return res.status(400).send('missing transferId');
-            }
+        const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('refundId', '==', refundId).limit(1).get();
+        if (paymentsSnap.empty) {
+            console.warn(`${gateway} refund webhook with unknown refundId`, refundId);
+            await markWebhookLog(logRef, 'processed', { note: 'no payment record' });
+            return [200, 'no payment record'];
+        }
+        const outcome = await applyRefundStatus({
+            paymentRef: paymentsSnap.docs[0].ref,
+            paymentData: paymentsSnap.docs[0].data() || {},
+            refund: parsed,
+            status,
+            raw: event,
+        });
+        await markWebhookLog(logRef, 'processed', { status: outcome, refundId });
+        return [200, outcome === 'failed' ? 'failed' : 'ok'];
+    }
 
-            let payoutType = 'artist';
-            let stageKey = null;
-            let paymentRef = null;
-            let paymentData = null;
+    async function applyPayoutEvent({ gateway, parsed, event, logRef }) {
+        const { transferId, status, referenceId } = parsed;
+        if (!transferId) {
+            await markWebhookLog(logRef, 'failed', { error: 'missing_transferId' });
+            return [400, 'missing transferId'];
+        }
 
-            // Prefer the durable transfer mapping (supports multi-stage payouts).
-            try {
-                const mapSnap = await db.collection(PAYOUT_TRANSFERS_COLLECTION).doc(String(transferId)).get();
-                if (mapSnap.exists) {
-                    const mapped = mapSnap.data() || {};
-                    if (String(mapped.kind || '') === 'partner_payout') {
-                        const partnerPayoutId = String(mapped.partnerPayoutId || transferId);
-                        const payoutRef = db.collection('partner_payouts').doc(partnerPayoutId);
-                        const payoutSnapBefore = await payoutRef.get();
-                        const payoutBefore = payoutSnapBefore.exists ? (payoutSnapBefore.data() || {}) : {};
-                        const previousStatus = String(payoutBefore.status || '').toLowerCase();
-                        const nextStatus = status === 'success' ? 'completed' : status === 'failure' ? 'failed' : status;
-                        await payoutRef.set({
-                            status: nextStatus,
-                            transferId,
-                            cfReferenceId: referenceId || null,
-                            updatedAt: FieldValue.serverTimestamp(),
-                            lastWebhook: event,
-                        }, { merge: true });
+        let payoutType = 'artist';
+        let stageKey = null;
+        let paymentRef = null;
+        let paymentData = null;
 
-                        // Mark commission rows for this payout id.
-                        try {
-                            const qs = await db.collection('partner_commissions')
-                                .where('partnerPayoutId', '==', partnerPayoutId)
-                                .where('status', '==', 'paying')
-                                .limit(250)
-                                .get();
-                            if (!qs.empty) {
-                                const batch = db.batch();
-                                qs.docs.forEach((d) => {
-                                    batch.set(d.ref, {
-                                        status: status === 'success' ? 'paid' : status === 'failure' ? 'failed' : 'paying',
-                                        paidAt: status === 'success' ? FieldValue.serverTimestamp() : null,
-                                        updatedAt: FieldValue.serverTimestamp(),
-                                    }, { merge: true });
-                                });
-                                await batch.commit();
-                            }
-                        } catch (e) {
-                            console.warn('Failed to update partner commissions from payout webhook', partnerPayoutId, e?.message || e);
+        // Prefer the durable transfer mapping (supports multi-stage payouts).
+        try {
+            const mapSnap = await db.collection(PAYOUT_TRANSFERS_COLLECTION).doc(String(transferId)).get();
+            if (mapSnap.exists) {
+                const mapped = mapSnap.data() || {};
+                if (String(mapped.kind || '') === 'partner_payout') {
+                    const partnerPayoutId = String(mapped.partnerPayoutId || transferId);
+                    const payoutRef = db.collection('partner_payouts').doc(partnerPayoutId);
+                    const payoutSnapBefore = await payoutRef.get();
+                    const payoutBefore = payoutSnapBefore.exists ? (payoutSnapBefore.data() || {}) : {};
+                    const previousStatus = String(payoutBefore.status || '').toLowerCase();
+                    const nextStatus = status === 'success' ? 'completed' : status === 'failure' ? 'failed' : status;
+                    await payoutRef.set({
+                        status: nextStatus,
+                        transferId,
+                        cfReferenceId: referenceId || null,
+                        updatedAt: FieldValue.serverTimestamp(),
+                        lastWebhook: event,
+                    }, { merge: true });
+
+                    // Mark commission rows for this payout id.
+                    try {
+                        const qs = await db.collection('partner_commissions')
+                            .where('partnerPayoutId', '==', partnerPayoutId)
+                            .where('status', '==', 'paying')
+                            .limit(250)
+                            .get();
+                        if (!qs.empty) {
+                            const batch = db.batch();
+                            qs.docs.forEach((d) => {
+                                batch.set(d.ref, {
+                                    status: status === 'success' ? 'paid' : status === 'failure' ? 'failed' : 'paying',
+                                    paidAt: status === 'success' ? FieldValue.serverTimestamp() : null,
+                                    updatedAt: FieldValue.serverTimestamp(),
+                                }, { merge: true });
+                            });
+                            await batch.commit();
                         }
+                    } catch (e) {
+                        console.warn('Failed to update partner commissions from payout webhook', partnerPayoutId, e?.message || e);
+                    }
 
-                        await db.collection(PAYOUT_TRANSFERS_COLLECTION).doc(String(transferId)).set({
-                            status: nextStatus,
-                            updatedAt: FieldValue.serverTimestamp(),
-                        }, { merge: true });
-
-                        // Notify partner only on state transition to terminal status.
-                        const partnerId = String(mapped.partnerId || payoutBefore.partnerId || '').trim();
-                        const payoutAmount = Math.round(Number(payoutBefore.amount || transfer.amount || 0));
-                        const transitioned =
-                            (nextStatus === 'completed' || nextStatus === 'failed') &&
-                            previousStatus !== nextStatus;
-                        if (partnerId && transitioned) {
-                            const notificationType = nextStatus === 'completed'
-                                ? 'partner_payout_completed'
-                                : 'partner_payout_failed';
-                            try {
-                                await sendNotification(partnerId, notificationType, {
-                                    amount: payoutAmount,
-                                    transferId,
-                                    reason: transfer.reason || transfer.failureReason || null,
-                                });
-                            } catch (notifyError) {
-                                console.warn('Failed to notify partner payout status', partnerId, notifyError?.message || notifyError);
-                            }
+                    await db.collection(PAYOUT_TRANSFERS_COLLECTION).doc(String(transferId)).set({
+                        status: nextStatus,
+                        updatedAt: FieldValue.serverTimestamp(),
+                    }, { merge: true });
+
+                    // Notify partner only on state transition to terminal status.
+                    const partnerId = String(mapped.partnerId || payoutBefore.partnerId || '').trim();
+                    const payoutAmount = Math.round(Number(payoutBefore.amount || parsed.amount || 0));
+                    const transitioned =
+                        (nextStatus === 'completed' || nextStatus === 'failed') &&
+                        previousStatus !== nextStatus;
+                    if (partnerId && transitioned) {
+                        const notificationType = nextStatus === 'completed'
+                            ? 'partner_payout_completed'
+                            : 'partner_payout_failed';
+                        try {
+                            await sendNotification(partnerId, notificationType, {
+                                amount: payoutAmount,
+                                transferId,
+                                reason: parsed.reason,
+                            });
+                        } catch (notifyError) {
+                            console.warn('Failed to notify partner payout status', partnerId, notifyError?.message || notifyError);
                         }
-
-                        await markWebhookLog(logRef, 'processed', { status: status || 'unknown', kind: 'partner_payout' });
-                        return res.status(200).send('ok');
                     }
-                    payoutType = String(mapped.payoutType || payoutType);
-                    stageKey = String(mapped.stageKey || '').trim() || null;
-                    const paymentId = String(mapped.paymentId || '').trim();
-                    if (paymentId) {
-                        paymentRef = db.collection(PAYMENTS_COLLECTION).doc(paymentId);
-                        const pSnap = await paymentRef.get();
-                        if (pSnap.exists) {
-                            paymentData = pSnap.data() || {};
-                        } else {
-                            paymentRef = null;
-                        }
+
+                    await markWebhookLog(logRef, 'processed', { status: status || 'unknown', kind: 'partner_payout' });
+                    return [200, 'ok'];
+                }
+                payoutType = String(mapped.payoutType || payoutType);
+                stageKey = String(mapped.stageKey || '').trim() || null;
+                const paymentId = String(mapped.paymentId || '').trim();
+                if (paymentId) {
+                    paymentRef = db.collection(PAYMENTS_COLLECTION).doc(paymentId);
+                    const pSnap = await paymentRef.get();
+                    if (pSnap.exists) {
+                        paymentData = pSnap.data() || {};
+                    } else {
+                        paymentRef = null;
                     }
                 }
-            } catch (e) {
-                console.warn('Payout transfer mapping lookup failed', transferId, e?.message || e);
             }
+        } catch (e) {
+            console.warn('Payout transfer mapping lookup failed', transferId, e?.message || e);
+        }
 
-            // Fallback: best-effort query by latest payoutId (legacy behavior).
-            if (!paymentRef) {
-                let paymentsSnap = await db.collection(PAYMENTS_COLLECTION)
-                    .where('payouts.artist.payoutId', '==', transferId)
+        // Fallback: best-effort query by latest payoutId (legacy behavior).
+        if (!paymentRef) {
+            let paymentsSnap = await db.collection(PAYMENTS_COLLECTION)
+                .where('payouts.artist.payoutId', '==', transferId)
+                .limit(1)
+                .get();
+            if (paymentsSnap.empty) {
+                payoutType = 'vendor';
+                paymentsSnap = await db.collection(PAYMENTS_COLLECTION)
+                    .where('payouts.vendor.payoutId', '==', transferId)
                     .limit(1)
                     .get();
-                if (paymentsSnap.empty) {
-                    payoutType = 'vendor';
-                    paymentsSnap = await db.collection(PAYMENTS_COLLECTION)
-                        .where('payouts.vendor.payoutId', '==', transferId)
-                        .limit(1)
-                        .get();
-                }
-                if (paymentsSnap.empty) {
-                    console.warn('Cashfree payout webhook with unknown transferId', transferId);
-                    await markWebhookLog(logRef, 'processed', { note: 'no payment record' });
-                    return res.status(200).send('no payment record');
-                }
-                paymentRef = paymentsSnap.docs[0].ref;
-                paymentData = paymentsSnap.docs[0].data();
             }
+            if (paymentsSnap.empty) {
+                console.warn(`${gateway} payout webhook with unknown transferId`, transferId);
+                await markWebhookLog(logRef, 'processed', { note: 'no payment record' });
+                return [200, 'no payment record'];
+            }
+            paymentRef = paymentsSnap.docs[0].ref;
+            paymentData = paymentsSnap.docs[0].data();
+        }
 
-            const payout = paymentData?.payouts?.[payoutType] || {};
-            const amount = payout.amount || transfer.amount || null;
+        const payout = paymentData?.payouts?.[payoutType] || {};
+        const amount = payout.amount || parsed.amount || null;
 
-            const update = {
-                [`payouts.${payoutType}.status`]: status === 'success' ? 'completed' : status === 'failure' ? 'failed' : status,
-                [`payouts.${payoutType}.updatedAt`]: FieldValue.serverTimestamp(),
-                lastWebhook: event,
-                updatedAt: FieldValue.serverTimestamp(),
-            };
-            if (referenceId) {
-                update[`payouts.${payoutType}.cfReferenceId`] = referenceId;
-            }
+        const update = {
+            [`payouts.${payoutType}.status`]: status === 'success' ? 'completed' : status === 'failure' ? 'failed' : status,
+            [`payouts.${payoutType}.updatedAt`]: FieldValue.serverTimestamp(),
+            lastWebhook: event,
+            updatedAt: FieldValue.serverTimestamp(),
+        };
+        if (referenceId) {
+            update[`payouts.${payoutType}.cfReferenceId`] = referenceId;
+        }
 
-            await paymentRef.update(update);
+        await paymentRef.update(update);
 
-            try {
-                await db.collection(PAYOUT_TRANSFERS_COLLECTION).doc(String(transferId)).set({
-                    status: status === 'success' ? 'completed' : status === 'failure' ? 'failed' : status,
-                    updatedAt: FieldValue.serverTimestamp(),
-                    lastWebhookAt: FieldValue.serverTimestamp(),
-                }, { merge: true });
-            } catch (_) {}
+        try {
+            await db.collection(PAYOUT_TRANSFERS_COLLECTION).doc(String(transferId)).set({
+                status: status === 'success' ? 'completed' : status === 'failure' ? 'failed' : status,
+                updatedAt: FieldValue.serverTimestamp(),
+                lastWebhookAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+        } catch (_) {}
 
-            const bookingId = paymentData.bookingId;
-            if (bookingId) {
-                const bookingSnap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
-                const booking = bookingSnap.data();
-                if (status === 'success' && booking) {
-                    const recipient = payoutType === 'vendor' ? booking.vendorId : booking.artistId;
-                    if (recipient) {
-                        const stageNotificationType = stageKey === 'stage1'
-                            ? 'payout_stage1_success'
-                            : stageKey === 'stage2'
-                                ? 'payout_stage2_success'
-                                : 'payout_success';
-                        await sendNotification(recipient, stageNotificationType, {
-                            amount,
-                            bookingId,
-                            stage: stageKey || null,
-                        });
-                    }
-                } else if (status !== 'success') {
-                    await notifyAdmin('payout_failed', { transferId, bookingId, status });
-                    // Enhanced Payout Failure Alert
-                    console.error(JSON.stringify({
-                        message: 'Critical: Cashfree payout failed.',
-                        severity: 'CRITICAL',
-                        context: 'payout_webhook',
-                        transferId,
+        const bookingId = paymentData.bookingId;
+        if (bookingId) {
+            const bookingSnap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+            const booking = bookingSnap.data();
+            if (status === 'success' && booking) {
+                const recipient = payoutType === 'vendor' ? booking.vendorId : booking.artistId;
+                if (recipient) {
+                    const stageNotificationType = stageKey === 'stage1'
+                        ? 'payout_stage1_success'
+                        : stageKey === 'stage2'
+                            ? 'payout_stage2_success'
+                            : 'payout_success';
+                    await sendNotification(recipient, stageNotificationType, {
+                        amount,
                         bookingId,
-                        payoutStatus: status,
-                    }));
+                        stage: stageKey || null,
+                    });
                 }
+            } else if (status !== 'success') {
+                await notifyAdmin('payout_failed', { transferId, bookingId, status });
+                // Enhanced Payout Failure Alert
+                console.error(JSON.stringify({
+                    message: `Critical: ${gateway} payout failed.`,
+                    severity: 'CRITICAL',
+                    context: 'payout_webhook',
+                    transferId,
+                    bookingId,
+                    payoutStatus: status,
+                }));
             }
-
-            await markWebhookLog(logRef, 'processed', { status: status || 'unknown' });
-            return res.status(200).send('ok');
-        } catch (error) {
-            console.error('cashfreePayoutWebhook error', error);
-            return res.status(500).send('server error');
         }
+
+        await markWebhookLog(logRef, 'processed', { status: status || 'unknown' });
+        return [200, 'ok'];
     }
 
+    const WEBHOOK_EVENT_HANDLERS = {
+        payment: applyPaymentEvent,
+        refund: applyRefundEvent,
+        payout: applyPayoutEvent,
+    };
+    const handlePaymentWebhook = buildWebhookHandler('cashfree', 'payment');
+    const handleRefundWebhook = buildWebhookHandler('cashfree', 'refund');
+    const handlePayoutWebhook = buildWebhookHandler('cashfree', 'payout');
+    const handleRazorpayWebhook = buildWebhookHandler('razorpay');
+
     async function enqueuePayoutJob(jobData) {
         const topic = pubsub.topic(payoutTopicName);
         try {
@@ -1549,11 +1937,13 @@ module.exports = function buildCashfreeIntegration({
     async function processPayoutJob(jobData) {
         const { bookingId, payoutType, recipientId, amount, bankDetails, transferId, stageKey } = jobData;
 
-        const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).limit(1).get();
-        if (paymentsSnap.empty) {
-            throw new Error(`No payment found for booking ${bookingId}`);
+        // Payout state is kept on the settlement leg, the one the release plan was written to.
+        const { settlement } = await loadBookingPayments(bookingId);
+        if (!settlement) {
+            throw new Error(`No captured payment found for booking ${bookingId}`);
         }
-        const paymentRef = paymentsSnap.docs[0].ref;
+        const paymentRef = settlement.ref;
+        const payoutGateway = gateways.forPayout(settlement.data);
 
         if (payoutType === 'artist') {
             try {
@@ -1575,14 +1965,13 @@ module.exports = function buildCashfreeIntegration({
             console.log('Processing vendor payout (no deductions)', recipientId, amount);
         }
 
-        const beneId = `${payoutType}_${recipientId}`;
-        const beneficiaryPayload = {
-            beneId,
+        const { beneficiaryId } = await payoutGateway.addBeneficiary({
+            beneficiaryId: `${payoutType}_${recipientId}`,
             name: bankDetails.name || 'Recipient',
             email: bankDetails.email || '',
             phone: bankDetails.phone || '',
             bankDetails: {
-                bankAccount: bankDetails.accountNumber,
+                accountNumber: bankDetails.accountNumber,
                 ifsc: bankDetails.ifsc,
                 bankName: bankDetails.bankName || '',
             },
@@ -1592,9 +1981,7 @@ module.exports = function buildCashfreeIntegration({
                 state: bankDetails.state || '',
                 pincode: bankDetails.pincode || '',
             },
-        };
-
-        await callPayout('/payout/v1/addBeneficiary', beneficiaryPayload);
+        });
 
         // Durable mapping for payout webhooks (handles multi-stage payouts safely).
         try {
@@ -1602,6 +1989,7 @@ module.exports = function buildCashfreeIntegration({
                 transferId: String(transferId),
                 bookingId: String(bookingId),
                 paymentId: paymentRef.id,
+                gateway: payoutGateway.name,
                 payoutType: String(payoutType),
                 recipientId: String(recipientId),
                 stageKey: stageKey ? String(stageKey) : null,
@@ -1614,19 +2002,19 @@ module.exports = function buildCashfreeIntegration({
             console.warn('Failed to write payout transfer mapping', transferId, e?.message || e);
         }
 
-        const transferPayload = {
-            beneId,
-            amount: amount.toString(),
+        const transferResult = await payoutGateway.requestTransfer({
+            beneficiaryId,
             transferId,
+            amount,
             remarks: `${payoutType} payout${stageKey ? ` (${stageKey})` : ''} for booking ${bookingId}`,
-        };
-        const transferResult = await callPayout('/payout/v1/requestTransfer', transferPayload);
+        });
 
         const payoutUpdate = {
             payoutId: transferResult.transferId || transferId,
+            gateway: payoutGateway.name,
             amount,
             status: 'initiated',
-            cfReferenceId: transferResult.referenceId || transferResult.cfReferenceId || null,
+            cfReferenceId: transferResult.referenceId || null,
             initiatedAt: FieldValue.serverTimestamp(),
         };
 
@@ -1661,60 +2049,16 @@ module.exports = function buildCashfreeIntegration({
             return null;
         }
 
-        const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).limit(1).get();
-        if (paymentsSnap.empty) {
-            console.error('No payment found for booking', bookingId);
-            return null;
-        }
-
-        const paymentRef = paymentsSnap.docs[0].ref;
-        const paymentData = paymentsSnap.docs[0].data();
-        if (!paymentData.escrowHeld) {
-            console.warn('Escrow not held for booking', bookingId);
-            return null;
-        }
-
-        // V1 (locked): schedule a 2-stage payout plan:
-        // - Stage 1: 50% at completion (Hour 0)
-        // - Stage 2: remaining 50% at completion + 12 hours (if no dispute)
-        // Admin/EA can hold payouts by setting booking.payoutHold=true (manual override).
-        const completedAt = asDate(after?.completedAt) || new Date();
-        const stage1At = new Date(completedAt.getTime() + PAYOUT_STAGE1_DELAY_HOURS * 60 * 60 * 1000);
-        const stage2At = new Date(completedAt.getTime() + PAYOUT_STAGE2_DELAY_HOURS * 60 * 60 * 1000);
-        const Ts = admin && admin.firestore && admin.firestore.Timestamp;
-        const stage1EligibleAt = (Ts && typeof Ts.fromDate === 'function') ? Ts.fromDate(stage1At) : stage1At;
-        const stage2EligibleAt = (Ts && typeof Ts.fromDate === 'function') ? Ts.fromDate(stage2At) : stage2At;
-
-        // Idempotency: if release plan already exists, do not reschedule.
-        if (paymentData?.releasePlanVersion === 2 || paymentData?.releasePlan?.stage1?.eligibleAt) {
-            return null;
-        }
-
-        await paymentRef.update({
-            releasePlanVersion: 2,
-            releasePlan: {
-                stage1: { key: 'stage1', fraction: 0.5, eligibleAt: stage1EligibleAt, status: 'scheduled' },
-                stage2: { key: 'stage2', fraction: 0.5, eligibleAt: stage2EligibleAt, status: 'scheduled' },
-            },
-            releaseStatus: 'scheduled',
-            releaseScheduledAt: FieldValue.serverTimestamp(),
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-        await db.collection(BOOKINGS_COLLECTION).doc(bookingId).update({
-            payoutHold: (after.payoutHold === true),
-            payoutPlan: {
-                version: 2,
-                stage1EligibleAt,
-                stage2EligibleAt,
-                disputeWindowHours: DISPUTE_WINDOW_HOURS,
-            },
-            updatedAt: FieldValue.serverTimestamp(),
-        });
+        // Backstop for completions written outside the transition service; the
+        // schedule_payouts transition effect calls the same idempotent scheduler.
+        await schedulePayoutPlan(bookingId, after);
         return null;
     }
 
     async function releasePayoutNow({ bookingId, booking, paymentRef, paymentData, stageKey }) {
-        if (!paymentData?.escrowHeld) {
+        // paymentRef/paymentData are the settlement leg; escrow and disputes are checked across all legs.
+        const { legs, totals } = await loadBookingPayments(bookingId);
+        if (!paymentData?.escrowHeld || totals.held <= 0) {
             console.warn('Escrow not held for booking', bookingId);
             return { status: 'blocked', reason: 'escrow_not_held' };
         }
@@ -1727,7 +2071,7 @@ module.exports = function buildCashfreeIntegration({
             });
             return { status: 'hold', reason: 'payout_hold' };
         }
-        if (paymentData?.disputeStatus) {
+        if (legs.some((leg) => leg.data.disputeStatus)) {
             await paymentRef.update({
                 releaseStatus: 'blocked_dispute',
                 releaseError: 'dispute_open',
@@ -1979,7 +2323,7 @@ module.exports = function buildCashfreeIntegration({
         // Write/update a single ledger record per booking (idempotent).
         const grossCollected = Math.max(
             0,
-            Number(booking?.amountTotal || booking?.pricing?.totalCustomerPayable || paymentData?.amountPaid || paymentData?.amountExpected || 0)
+            Number(booking?.amountTotal || booking?.pricing?.totalCustomerPayable || totals.paid || paymentData?.amountExpected || 0)
         );
         const escrowFeeEstimated = Math.max(0, roundInr(grossCollected * ESCROW_FEE_RATE));
         await db.collection(PLATFORM_LEDGER_COLLECTION).doc(bookingId).set({
@@ -2257,6 +2601,117 @@ module.exports = function buildCashfreeIntegration({
         };
     }
 
+    // Bookings whose payment window opened before the cutoff. The window starts at
+    // pendingPaymentSince (booking/transitionService.js); bookings created directly in
+    // pending_payment, or before the field existed, fall back to createdAt.
+    async function loadExpiredPendingPayments(cutoff) {
+        const awaitingPayment = db.collection(BOOKINGS_COLLECTION)
+            .where('status', 'in', ['pending_payment', 'payment_failed']);
+        const [windowSnap, legacySnap] = await Promise.all([
+            awaitingPayment.where('pendingPaymentSince', '<=', cutoff).limit(100).get(),
+            awaitingPayment.where('createdAt', '<=', cutoff).limit(100).get(),
+        ]);
+        const byId = new Map(windowSnap.docs.map((doc) => [doc.id, doc]));
+        for (const doc of legacySnap.docs) {
+            if (!byId.has(doc.id) && !doc.data()?.pendingPaymentSince) byId.set(doc.id, doc);
+        }
+        return Array.from(byId.values());
+    }
+
+    // Scheduled: cancels advance-stage bookings left in pending_payment/payment_failed for longer
+    // than PENDING_PAYMENT_TTL_HOURS. Open orders are voided first; a booking whose order turns
+    // out to be paid is left alone for the webhook to settle. An order the gateway will not close
+    // is retried for ORDER_CLOSE_MAX_ATTEMPTS runs, then voided anyway and handed to ops.
+    async function pendingPaymentExpiryScheduler(_context) {
+        const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - PENDING_PAYMENT_TTL_HOURS * 60 * 60 * 1000);
+        const expired = await loadExpiredPendingPayments(cutoff);
+        if (!expired.length) return null;
+
+        for (const doc of expired) {
+            const bookingId = doc.id;
+            const booking = doc.data() || {};
+            // Balance-stage bookings are owned by balanceEnforcementSchedulerV1.
+            if (booking.advancePaid === true || booking.paymentStage === 'balance') continue;
+
+            const legs = await loadPaymentLegs(bookingId);
+            // Money may be on its way in; ops settle the review (resolvePaymentReview) before the booking can time out.
+            if (legs.some((p) => isUnderReview(p.data))) continue;
+            const openPayments = legs.filter((p) => isOpenOrder(p.data));
+
+            let skip = false;
+            for (const paymentDoc of openPayments) {
+                const { gatewayOrderId } = paymentDoc.data;
+                let outcome;
+                try {
+                    // Void the order so an abandoned checkout link can no longer be paid.
+                    outcome = await gateways.forPayment(paymentDoc.data).closeOrder(gatewayOrderId);
+                } catch (error) {
+                    console.warn('pendingPaymentExpiryScheduler: order termination failed', bookingId, gatewayOrderId, error.response || error.message);
+                    const attempts = Number(paymentDoc.data.closeAttempts || 0) + 1;
+                    if (attempts < ORDER_CLOSE_MAX_ATTEMPTS) {
+                        // Retried on the next run; the booking waits with its order.
+                        await paymentDoc.ref.update({
+                            closeAttempts: attempts,
+                            lastCloseError: String(error?.message || error).slice(0, 500),
+                            updatedAt: FieldValue.serverTimestamp(),
+                        });
+                        skip = true;
+                        break;
+                    }
+                    // Gave up, as expireOpenOrder does: void the leg and hand the gateway order to ops.
+                    await raiseOrderCloseFailed(paymentDoc, 'payment_timeout', error);
+                    outcome = 'close_failed';
+                }
+                if (outcome === 'paid') {
+                    console.warn('pendingPaymentExpiryScheduler: order already paid, awaiting webhook', bookingId, gatewayOrderId);
+                    skip = true;
+                    break;
+                }
+                await paymentDoc.ref.update({
+                    status: 'voided',
+                    releaseStatus: 'voided',
+                    voidReason: 'payment_timeout',
+                    gatewayCloseOutcome: outcome || null,
+                    voidedAt: FieldValue.serverTimestamp(),
+                    updatedAt: FieldValue.serverTimestamp(),
+                });
+            }
+            if (openPayments.length) await syncPaymentTotals(bookingId);
+            if (skip) continue;
+
+            try {
+                await transitionBooking({
+                    bookingId,
+                    from: booking.status,
+                    to: 'cancelled',
+                    actor: 'system_payment_timeout',
+                    reason: 'payment_timeout',
+                    update: {
+                        cancelledAt: FieldValue.serverTimestamp(),
+                        cancelledBy: 'system_payment_timeout',
+                        cancelReason: 'payment_timeout',
+                    },
+                });
+            } catch (error) {
+                if (error instanceof InvalidTransitionError || error instanceof ConcurrentTransitionError) {
+                    console.warn('pendingPaymentExpiryScheduler: expiry transition rejected', bookingId, error.message);
+                    continue;
+                }
+                throw error;
+            }
+
+            if (booking.clientId) {
+                try {
+                    await sendNotification(booking.clientId, 'booking_payment_timeout', {
+                        bookingId,
+                        ttlHours: PENDING_PAYMENT_TTL_HOURS,
+                    });
+                } catch (_) {}
+            }
+        }
+        return null;
+    }
+
     async function refundBooking(data, context) {
         if (!context.auth) {
             throw new functions.https.HttpsError('permission-denied', 'Authentication required');
@@ -2281,61 +2736,117 @@ module.exports = function buildCashfreeIntegration({
         if (!bookingSnap.exists) {
             throw new functions.https.HttpsError('not-found', 'Booking not found');
         }
-        if (bookingSnap.data().status !== 'confirmed') {
+        const bookingStatus = bookingSnap.data().status;
+        if (bookingStatus !== 'confirmed') {
             throw new functions.https.HttpsError('failed-precondition', 'Only confirmed bookings can be refunded');
         }
 
-        const paymentsSnap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).limit(1).get();
-        if (paymentsSnap.empty) {
-            throw new functions.https.HttpsError('not-found', 'Payment not found');
+        // Refunds cannot be taken back: check the move before any money leaves.
+        try {
+            await assertCanTransition({ bookingId, from: bookingStatus, to: 'refunded' });
+        } catch (error) {
+            throw toTransitionHttpsError(error);
         }
 
-        const paymentRef = paymentsSnap.docs[0].ref;
-        const payment = paymentsSnap.docs[0].data();
-        if (payment.refundStatus) {
+        // Every captured leg (advance, balance) is refunded separately against its own gatewayPaymentId;
+        // open or failed orders hold no money and are never refunded.
+        const paymentDocs = (await loadPaymentLegs(bookingId))
+            .filter((p) => isCaptured(p.data) && p.data.gatewayPaymentId);
+        if (!paymentDocs.length) {
+            throw new functions.https.HttpsError('not-found', 'Payment not found');
+        }
+        if (paymentDocs.every((p) => !isRefundRetryable(p.data.refundStatus))) {
             throw new functions.https.HttpsError('already-exists', 'Refund already initiated');
         }
-        if (!payment.gatewayPaymentId) {
-            throw new functions.https.HttpsError('failed-precondition', 'Payment missing gatewayPaymentId');
+
+        const quote = quoteCancellation({
+            booking: bookingSnap.data(),
+            payments: paymentDocs.map((p) => ({ id: p.id, ...p.data })),
+            mode: 'full_refund',
+        });
+        if (quote.refundAmount <= 0) {
+            throw new functions.https.HttpsError('failed-precondition', 'Refund amount is zero; cannot proceed');
+        }
+
+        const refunds = [];
+        const failedPaymentIds = [];
+        for (const leg of quote.legs) {
+            const paymentDoc = paymentDocs.find((p) => p.id === leg.paymentId);
+            if (!paymentDoc || leg.refundAmount <= 0) continue;
+            if (!isRefundRetryable(paymentDoc.data.refundStatus)) continue;
+            let result;
+            try {
+                // refunds/{refundId} lock + deterministic refund_id: a retried call returns the existing refund.
+                result = await runRefundLeg({
+                    bookingId,
+                    paymentId: leg.paymentId,
+                    stage: leg.stage,
+                    amount: leg.refundAmount,
+                    actor: callerUid,
+                    note: reason || 'Admin initiated refund',
+                    send: (refundId) => gateways.forPayment(paymentDoc.data).refund({
+                        gatewayPaymentId: leg.gatewayPaymentId,
+                        gatewayOrderId: paymentDoc.data.gatewayOrderId,
+                        amount: leg.refundAmount,
+                        refundId,
+                        note: reason || 'Admin initiated refund',
+                    }),
+                });
+            } catch (error) {
+                console.error('Gateway refund API failed', leg.paymentId, error.response || error);
+                if (!(error instanceof RefundInProgressError)) {
+                    await paymentDoc.ref.update({
+                        refundStatus: 'failed_to_initiate',
+                        refundError: String(error?.message || error),
+                        updatedAt: FieldValue.serverTimestamp(),
+                    });
+                }
+                failedPaymentIds.push(leg.paymentId);
+                continue;
+            }
+
+            const { refundId, existing, refund } = result;
+            const refundAmount = existing ? refund.amount : leg.refundAmount;
+            await paymentDoc.ref.update({
+                refundStatus: existing ? refund.status : 'initiated',
+                refundId,
+                refundGatewayId: refund.gatewayResponse?.gatewayRefundId || null,
+                refundAmount,
+                refundHoldAmount: 0,
+                refundInitiatedAt: FieldValue.serverTimestamp(),
+                refundReason: reason,
+                refundProcessedBy: callerUid,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            refunds.push({ paymentId: leg.paymentId, stage: leg.stage, refundId, refundAmount, existing });
+        }
+        await syncPaymentTotals(bookingId);
+        if (failedPaymentIds.length) {
+            throw new functions.https.HttpsError('internal', 'Failed to initiate refund with the payment gateway', { failedPaymentIds, refunds });
         }
 
-        let refundResult;
         try {
-            refundResult = await callPg(`/api/v2/payments/${payment.gatewayPaymentId}/refunds`, {
-                method: 'POST',
-                body: {
-                    refund_amount: (payment.amountPaid || payment.amountExpected || 0).toString(),
-                    refund_id: `refund_${bookingId}_${Date.now()}`,
-                    refund_note: reason || 'Admin initiated refund',
+            await transitionBooking({
+                bookingId,
+                from: bookingStatus,
+                to: 'refunded',
+                actor: callerUid,
+                reason: reason || 'Admin initiated refund',
+                update: {
+                    refundedBy: callerUid,
+                    refundedAt: FieldValue.serverTimestamp(),
+                    refundReason: reason || 'Admin initiated refund',
                 },
             });
         } catch (error) {
-            console.error('Cashfree refund API failed', error.response || error);
-            throw new functions.https.HttpsError('internal', 'Failed to initiate refund with Cashfree');
+            throw toTransitionHttpsError(error);
         }
 
-        await paymentRef.update({
-            refundStatus: 'initiated',
-            refundId: refundResult.refund_id,
-            refundAmount: refundResult.refund_amount,
-            refundInitiatedAt: FieldValue.serverTimestamp(),
-            refundReason: reason,
-            refundProcessedBy: callerUid,
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
-        await bookingRef.update({
-            status: 'refunded',
-            refundedBy: callerUid,
-            refundedAt: FieldValue.serverTimestamp(),
-            refundReason: reason || 'Admin initiated refund',
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
-        return { success: true, refundId: refundResult.refund_id };
+        return { success: true, refundId: refunds[0]?.refundId || null, refunds };
     }
 
     async function handleDisputeWebhook(req, res) {
+        let logRef = null;
         try {
             if (req.method === 'GET' || req.method === 'HEAD') {
                 return res.status(200).send('ok');
@@ -2343,20 +2854,38 @@ module.exports = function buildCashfreeIntegration({
             if (req.method !== 'POST') {
                 return res.status(405).send('method not allowed');
             }
-            if (!verifyWebhookSignature(req)) {
+            const event = req.body || {};
+            const verification = req[WEBHOOK_REPLAY] ? null : cashfreeGateway.verifyWebhook(req, { kind: 'dispute' });
+            if (verification && !verification.valid) {
+                if (isUnsignedTestPing(req, event)) {
+                    await recordTestPing(req, { endpoint: 'cashfree:dispute', signed: false });
+                    return res.status(200).send('ok');
+                }
                 return res.status(400).send('invalid signature');
             }
-
-            const event = req.body || {};
-            const eventId = event.eventId || event.id || event.data?.dispute?.dispute_id || `dispute:${Date.now()}`;
-            const { duplicate, logRef } = await recordWebhook(eventId, event, req, 'cashfree:dispute');
-            if (duplicate) {
-                return res.status(200).send('duplicate');
+            if (verification && isTestPing(req, event)) {
+                await recordTestPing(req, { endpoint: 'cashfree:dispute', signed: true, keyVersion: verification.keyVersion });
+                return res.status(200).send('ok');
             }
 
             const dispute = event.data?.dispute || event.dispute || event;
             const type = event.type || dispute.type || 'unknown';
             const orderId = dispute.order_id || dispute.orderId;
+            // One log per dispute state change: a dispute moves through several events (created, updated, closed).
+            // Without a dispute or order id the type/status alone would merge unrelated events, so the body is hashed.
+            const disputeId = dispute.dispute_id || dispute.disputeId;
+            const eventId = event.eventId || event.id || webhookEventKey('dispute', disputeId || orderId
+                ? [disputeId, orderId, type, dispute.dispute_status || dispute.status]
+                : [], req);
+            const recorded = await recordWebhook(eventId, event, req, 'cashfree:dispute', 'cashfree:dispute', {
+                signatureKeyVersion: verification?.keyVersion || null,
+            });
+            const duplicate = recorded.duplicate;
+            logRef = recorded.logRef;
+            if (duplicate) {
+                return res.status(200).send('duplicate');
+            }
+
             if (!orderId) {
                 await markWebhookLog(logRef, 'failed', { error: 'missing_orderId' });
                 return res.status(400).send('missing orderId');
@@ -2406,10 +2935,356 @@ module.exports = function buildCashfreeIntegration({
             return res.status(200).send('ok');
         } catch (error) {
             console.error('cashfreeDisputeWebhook error', error);
+            await failWebhookLog(logRef, error);
             return res.status(500).send('server error');
         }
     }
 
+    const WEBHOOK_ENDPOINTS = {
+        'cashfree:payment': handlePaymentWebhook,
+        'cashfree:refund': handleRefundWebhook,
+        'cashfree:payout': handlePayoutWebhook,
+        'cashfree:dispute': handleDisputeWebhook,
+        razorpay: handleRazorpayWebhook,
+    };
+
+    // Logs written before `endpoint` was recorded only carry `source` (`<gateway>:<event type>`).
+    function webhookEndpointOf(log) {
+        if (log.endpoint) return log.endpoint;
+        const [gatewayName, type] = String(log.source || '').split(':');
+        return gatewayName === 'razorpay' ? 'razorpay' : `${gatewayName}:${type}`;
+    }
+
+    async function assertPaymentsAdmin(context, action) {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('permission-denied', 'Authentication required');
+        }
+        const userRole = await adminApi.checkUserRole(
+            context.auth.uid,
+            context.auth.token?.phone_number || null,
+            context.auth.token?.email || null,
+        );
+        if (userRole.role !== 'admin') {
+            throw new functions.https.HttpsError('permission-denied', `Only admin can ${action}.`);
+        }
+        return context.auth.uid;
+    }
+
+    function deadLetterEntry(doc, reason) {
+        const log = doc.data() || {};
+        return {
+            eventId: doc.id,
+            reason,
+            source: log.source || null,
+            endpoint: webhookEndpointOf(log),
+            status: log.status || null,
+            error: log.error || null,
+            attempts: log.attempts || 0,
+            replayCount: log.replayCount || 0,
+            receivedAt: asDate(log.receivedAt)?.toISOString() || null,
+            failedAt: asDate(log.failedAt)?.toISOString() || null,
+            lastReplayedAt: asDate(log.lastReplayedAt)?.toISOString() || null,
+        };
+    }
+
+    /**
+     * Admin dead-letter view: webhookLogs that failed, plus those stuck in `processing` for longer
+     * than WEBHOOK_STUCK_AFTER_MINUTES. Newest first.
+     */
+    async function listWebhookDeadLetters(data, context) {
+        await assertPaymentsAdmin(context, 'view webhook dead letters');
+        const limit = Math.min(Math.max(Number(data?.limit) || 50, 1), 200);
+        const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - WEBHOOK_STUCK_AFTER_MINUTES * 60 * 1000);
+        const logs = db.collection(WEBHOOK_LOGS_COLLECTION);
+        const [failedSnap, stuckSnap] = await Promise.all([
+            logs.where('status', '==', 'failed').orderBy('receivedAt', 'desc').limit(limit).get(),
+            logs.where('status', '==', 'processing').where('receivedAt', '<=', cutoff).orderBy('receivedAt', 'desc').limit(limit).get(),
+        ]);
+        const entries = [
+            ...failedSnap.docs.map((doc) => deadLetterEntry(doc, 'failed')),
+            ...stuckSnap.docs.map((doc) => deadLetterEntry(doc, 'stuck')),
+        ]
+            .filter((entry) => !data?.source || entry.source === data.source)
+            .sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)))
+            .slice(0, limit);
+        return { entries, stuckAfterMinutes: WEBHOOK_STUCK_AFTER_MINUTES };
+    }
+
+    const replayWebhookSchema = z.object({
+        eventId: z.string({ required_error: 'eventId is required.' }).min(1, 'eventId cannot be empty.'),
+        reason: z.string({ required_error: 'reason is required.' }).trim().min(3, 'reason is required.'),
+    });
+
+    /**
+     * Admin replay of a dead-lettered webhook: feeds the stored raw body and headers to the handler
+     * of the endpoint it arrived on, skipping only signature verification. Every replay is written
+     * to auditLogs with its outcome.
+     */
+    async function replayWebhook(data, context) {
+        const callerUid = await assertPaymentsAdmin(context, 'replay webhooks');
+        const validation = replayWebhookSchema.safeParse(data);
+        if (!validation.success) {
+            const errorDetails = validation.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+            throw new functions.https.HttpsError('invalid-argument', 'Invalid data provided.', { errors: errorDetails });
+        }
+        const { eventId, reason } = validation.data;
+
+        const logRef = db.collection(WEBHOOK_LOGS_COLLECTION).doc(eventId);
+        const logSnap = await logRef.get();
+        if (!logSnap.exists) {
+            throw new functions.https.HttpsError('not-found', 'Webhook log not found');
+        }
+        const log = logSnap.data() || {};
+        const stuck = log.status === 'processing'
+            && (asDate(log.receivedAt)?.getTime() || 0) <= Date.now() - WEBHOOK_STUCK_AFTER_MINUTES * 60 * 1000;
+        if (log.status !== 'failed' && !stuck) {
+            throw new functions.https.HttpsError('failed-precondition', `Webhook log is ${log.status || 'unknown'}; only failed or stuck events can be replayed`);
+        }
+        const endpoint = webhookEndpointOf(log);
+        const handler = WEBHOOK_ENDPOINTS[endpoint];
+        if (!handler || !log.rawBody) {
+            throw new functions.https.HttpsError('failed-precondition', `Webhook log cannot be replayed (endpoint ${endpoint})`);
+        }
+        let body;
+        try {
+            body = JSON.parse(log.rawBody);
+        } catch (_) {
+            throw new functions.https.HttpsError('failed-precondition', 'Stored webhook body is not JSON');
+        }
+
+        const req = {
+            method: 'POST',
+            headers: log.headers || {},
+            body,
+            rawBody: Buffer.from(log.rawBody, 'utf8'),
+            [WEBHOOK_REPLAY]: { logId: eventId, by: callerUid, reason },
+        };
+        const result = { statusCode: 200, body: null };
+        const res = {
+            status(code) {
+                result.statusCode = code;
+                return this;
+            },
+            send(payload) {
+                result.body = payload;
+                return this;
+            },
+            json(payload) {
+                result.body = payload;
+                return this;
+            },
+        };
+        await handler(req, res);
+
+        const after = (await logRef.get()).data() || {};
+        await db.collection(AUDIT_LOGS_COLLECTION).add({
+            action: 'replay_webhook',
+            entityType: 'webhookLog',
+            entityId: eventId,
+            endpoint,
+            note: reason,
+            previousStatus: log.status || null,
+            resultStatus: after.status || null,
+            responseCode: result.statusCode,
+            signatureVerification: 'bypassed',
+            performedBy: callerUid,
+            performedAt: FieldValue.serverTimestamp(),
+        });
+
+        return {
+            success: after.status === 'processed',
+            eventId,
+            endpoint,
+            status: after.status || null,
+            responseCode: result.statusCode,
+            response: typeof result.body === 'string' ? result.body : toCompactJson(result.body),
+            error: after.status === 'failed' ? after.error || null : null,
+        };
+    }
+
+    const resolvePaymentReviewSchema = z.object({
+        paymentId: z.string({ required_error: 'paymentId is required.' }).min(1, 'paymentId cannot be empty.'),
+        decision: z.enum(['accept', 'reject']),
+        // Captured amount as shown on the gateway dashboard; needed when the payment records none.
+        amountReceived: z.number().positive().optional(),
+        note: z.string({ required_error: 'note is required.' }).trim().min(3, 'note is required.'),
+    });
+
+    // Writes the admin's decision onto a payment that is still under review (or, for a reject whose
+    // refund failed to start, still awaiting that refund). The check and the write share a transaction
+    // so a gateway webhook settling the same payment cannot interleave.
+    async function claimReviewedPayment(paymentRef, update, { decision }) {
+        await db.runTransaction(async (tx) => {
+            const snap = await tx.get(paymentRef);
+            const current = snap.data() || {};
+            const refundRetry = decision === 'reject' && current.reviewResolution === 'reject' && isRefundRetryable(current.refundStatus);
+            if (!isUnderReview(current) && !refundRetry) {
+                throw new functions.https.HttpsError('failed-precondition', `Payment is ${current.status || 'unknown'}, not under review`);
+            }
+            tx.update(paymentRef, update);
+        });
+    }
+
+    /**
+     * Admin decision on a payment held for review (flagged, underpaid or amount_missing; see
+     * raisePaymentReview). accept records the capture and moves the booking to paid as the webhook
+     * would have. reject refunds what was captured, or voids the order when nothing was, and leaves
+     * the booking awaiting payment. Either way the review task is closed and auditLogs gets an entry.
+     */
+    async function resolvePaymentReview(data, context) {
+        const callerUid = await assertPaymentsAdmin(context, 'resolve payment reviews');
+        const validation = resolvePaymentReviewSchema.safeParse(data);
+        if (!validation.success) {
+            const errorDetails = validation.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+            throw new functions.https.HttpsError('invalid-argument', 'Invalid data provided.', { errors: errorDetails });
+        }
+        const { paymentId, decision, amountReceived, note } = validation.data;
+
+        const paymentRef = db.collection(PAYMENTS_COLLECTION).doc(paymentId);
+        const paymentSnap = await paymentRef.get();
+        if (!paymentSnap.exists) {
+            throw new functions.https.HttpsError('not-found', 'Payment not found');
+        }
+        const payment = paymentSnap.data() || {};
+        const bookingId = payment.bookingId || null;
+        const amount = amountReceived || Number(payment.amountPaid || 0);
+        const resolution = {
+            reviewResolution: decision,
+            reviewResolvedBy: callerUid,
+            reviewResolvedAt: FieldValue.serverTimestamp(),
+            reviewNote: note,
+            updatedAt: FieldValue.serverTimestamp(),
+        };
+
+        const result = { success: true, paymentId, bookingId, decision, refundId: null, bookingStatus: null };
+        if (decision === 'accept') {
+            if (!(amount > 0)) {
+                throw new functions.https.HttpsError('invalid-argument', 'amountReceived is required: the payment records no captured amount');
+            }
+            await claimReviewedPayment(paymentRef, {
+                ...resolution,
+                amountPaid: amount,
+                escrowHeld: true,
+                releaseStatus: 'held',
+                status: 'paid',
+            }, { decision });
+        } else if (amount > 0) {
+            if (!payment.gatewayPaymentId) {
+                throw new functions.https.HttpsError('failed-precondition', 'Payment has no gateway payment id to refund');
+            }
+            // Claimed before the refund so a late SUCCESS webhook cannot mark the leg paid meanwhile.
+            await claimReviewedPayment(paymentRef, {
+                ...resolution,
+                amountPaid: amount,
+                escrowHeld: false,
+                releaseStatus: 'voided',
+                status: 'voided',
+                voidReason: 'review_rejected',
+            }, { decision });
+            let refundResult;
+            try {
+                refundResult = await runRefundLeg({
+                    bookingId,
+                    paymentId,
+                    stage: legStageOf(payment.paymentStage),
+                    amount,
+                    actor: callerUid,
+                    note,
+                    send: (refundId) => gateways.forPayment(payment).refund({
+                        gatewayPaymentId: payment.gatewayPaymentId,
+                        gatewayOrderId: payment.gatewayOrderId,
+                        amount,
+                        refundId,
+                        note,
+                    }),
+                });
+            } catch (error) {
+                console.error('Gateway refund API failed', paymentId, error.response || error);
+                if (!(error instanceof RefundInProgressError)) {
+                    await paymentRef.update({
+                        refundStatus: 'failed_to_initiate',
+                        refundError: String(error?.message || error),
+                        updatedAt: FieldValue.serverTimestamp(),
+                    });
+                }
+                await syncPaymentTotals(bookingId);
+                throw new functions.https.HttpsError('internal', 'Failed to initiate refund with the payment gateway; reject again to retry', { paymentId });
+            }
+            const { refundId, existing, refund } = refundResult;
+            await paymentRef.update({
+                refundStatus: existing ? refund.status : 'initiated',
+                refundId,
+                refundGatewayId: refund.gatewayResponse?.gatewayRefundId || null,
+                refundAmount: existing ? refund.amount : amount,
+                refundHoldAmount: 0,
+                refundInitiatedAt: FieldValue.serverTimestamp(),
+                refundReason: note,
+                refundProcessedBy: callerUid,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            result.refundId = refundId;
+        } else {
+            let outcome;
+            try {
+                outcome = await gateways.forPayment(payment).closeOrder(payment.gatewayOrderId);
+            } catch (error) {
+                throw toHttpsError(error);
+            }
+            if (outcome === 'paid') {
+                throw new functions.https.HttpsError('failed-precondition', 'The gateway reports this order paid; pass amountReceived to refund it');
+            }
+            await claimReviewedPayment(paymentRef, {
+                ...resolution,
+                releaseStatus: 'voided',
+                status: 'voided',
+                voidReason: 'review_rejected',
+                gatewayCloseOutcome: outcome || null,
+            }, { decision });
+        }
+
+        await closePaymentReview({ paymentRef, bookingId, resolution: `admin_${decision}` });
+        if (bookingId) await syncPaymentTotals(bookingId);
+
+        if (decision === 'accept' && bookingId) {
+            const bookingSnap = await db.collection(BOOKINGS_COLLECTION).doc(bookingId).get();
+            if (bookingSnap.exists) {
+                const booking = bookingSnap.data();
+                try {
+                    await markBookingPaid({ bookingId, booking, paymentData: payment, amount, actor: callerUid, reason: 'payment_review_accepted' });
+                    result.bookingStatus = 'paid';
+                } catch (error) {
+                    if (!(error instanceof InvalidTransitionError)) throw error;
+                    // Same situation as a capture on a cancelled booking: the money is held on the leg for ops.
+                    result.bookingStatus = error.from;
+                    try {
+                        await notifyAdmin('payment_on_inactive_booking', { orderId: payment.gatewayOrderId, bookingId, bookingStatus: error.from });
+                    } catch (_) {}
+                }
+            }
+            try {
+                await KPIS.funnels.bookingPaid(amount);
+            } catch (error) {
+                console.warn('Failed to record KPI.bookingPaid', error?.message || error);
+            }
+        }
+
+        await db.collection(AUDIT_LOGS_COLLECTION).add({
+            action: 'resolve_payment_review',
+            entityType: 'payment',
+            entityId: paymentId,
+            bookingId,
+            decision,
+            reviewReason: payment.reviewReason || null,
+            amount,
+            refundId: result.refundId,
+            note,
+            performedBy: callerUid,
+            performedAt: FieldValue.serverTimestamp(),
+        });
+
+        return result;
+    }
+
     return {
         config,
         createOrder,
@@ -2421,11 +3296,18 @@ module.exports = function buildCashfreeIntegration({
         fullE2ESetupHttp,
         handlePaymentWebhook,
         handlePayoutWebhook,
+        handleRefundWebhook,
+        handleRazorpayWebhook,
         releasePayout,
         payoutScheduler,
         payoutWorker,
+        pendingPaymentExpiryScheduler,
+        refundReconciler,
         testPayoutQueue,
         refundBooking,
         handleDisputeWebhook,
+        listWebhookDeadLetters,
+        replayWebhook,
+        resolvePaymentReview,
     };
 };
@@ -0,0 +1,245 @@
+// services/functions/src/payments/cashfreeGateway.js
+'use strict';
+
+// Single Cashfree client: config resolution, auth headers / payout request signing,
+// retry with backoff, error mapping to HttpsError, and a pluggable transport (fetch or mock).
+
+const crypto = require('crypto');
+const {
+    GatewayApiError,
+    toHttpsError,
+    defaultFetch,
+    createFetchTransport,
+    createRouteTransport,
+    sendWithRetries,
+    parseBoolean,
+    secretVersions,
+} = require('./gateways/http');
+
+const PG_BASE_URLS = { PRODUCTION: 'https://api.cashfree.com', SANDBOX: 'https://sandbox.cashfree.com' };
+const PAYOUT_BASE_URLS = { PRODUCTION: 'https://payout-api.cashfree.com', SANDBOX: 'https://payout-gamma.cashfree.com' };
+const PRODUCTION_ALIASES = new Set(['PRODUCTION', 'LIVE', 'PROD']);
+const WEBHOOK_KINDS = ['payment', 'refund', 'payout', 'dispute'];
+
+/**
+ * Signing secrets for one webhook endpoint. CASHFREE_<KIND>_WEBHOOK_SECRET (+ _PREVIOUS, and
+ * optional _VERSION / _PREVIOUS_VERSION labels) wins. Otherwise the endpoint uses the key Cashfree
+ * signs it with: the shared CASHFREE_WEBHOOK_SECRET or the PG client secret, and for payouts the
+ * payout client secret.
+ */
+function resolveWebhookSecrets(env, kind, fallbackSecret) {
+    const prefix = `CASHFREE_${kind.toUpperCase()}_WEBHOOK_SECRET`;
+    if (env[prefix]) {
+        return secretVersions({
+            active: env[prefix],
+            activeVersion: env[`${prefix}_VERSION`],
+            previous: env[`${prefix}_PREVIOUS`],
+            previousVersion: env[`${prefix}_PREVIOUS_VERSION`],
+        });
+    }
+    return secretVersions({
+        active: fallbackSecret,
+        activeVersion: env.CASHFREE_WEBHOOK_SECRET_VERSION,
+        previous: env.CASHFREE_WEBHOOK_SECRET_PREVIOUS,
+        previousVersion: env.CASHFREE_WEBHOOK_SECRET_PREVIOUS_VERSION,
+    });
+}
+
+/**
+ * The one place Cashfree env vars are read.
+ * CASHFREE_ENVIRONMENT (or CASHFREE_ENV) wins; otherwise CASHFREE_SANDBOX decides, defaulting to sandbox.
+ */
+function resolveCashfreeConfig(env = process.env) {
+    const environmentRaw = env.CASHFREE_ENVIRONMENT || env.CASHFREE_ENV || '';
+    const isSandbox = environmentRaw
+        ? !PRODUCTION_ALIASES.has(String(environmentRaw).toUpperCase())
+        : parseBoolean(env.CASHFREE_SANDBOX, true);
+    const environment = environmentRaw
+        ? String(environmentRaw).toUpperCase()
+        : (isSandbox ? 'SANDBOX' : 'PRODUCTION');
+    const tier = PRODUCTION_ALIASES.has(environment) ? 'PRODUCTION' : 'SANDBOX';
+
+    const clientId = env.CASHFREE_CLIENT_ID || '';
+    const clientSecret = env.CASHFREE_CLIENT_SECRET || '';
+    const payoutClientSecret = env.CASHFREE_PAYOUT_CLIENT_SECRET || clientSecret;
+    const emulator = parseBoolean(env.FUNCTIONS_EMULATOR, false);
+    const webhookSecret = env.CASHFREE_WEBHOOK_SECRET || '';
+    const webhookSecrets = {};
+    for (const kind of WEBHOOK_KINDS) {
+        webhookSecrets[kind] = resolveWebhookSecrets(env, kind, kind === 'payout' ? payoutClientSecret : (webhookSecret || clientSecret));
+    }
+    return {
+        environment,
+        isSandbox: tier === 'SANDBOX',
+        mock: parseBoolean(env.CASHFREE_MOCK, false),
+        clientId,
+        clientSecret,
+        payoutClientId: env.CASHFREE_PAYOUT_CLIENT_ID || clientId,
+        payoutClientSecret,
+        // PEM public key from the Payouts dashboard; enables X-Cf-Signature instead of IP whitelisting.
+        payoutPublicKey: (env.CASHFREE_PAYOUT_PUBLIC_KEY || '').replace(/\\n/g, '\n'),
+        webhookSecret,
+        // { payment | refund | payout | dispute: [{ version, secret }] }, newest first.
+        webhookSecrets,
+        // Signed x-webhook-timestamp older (or further ahead) than this is rejected as a replay.
+        webhookToleranceSeconds: Math.max(30, Number(env.CASHFREE_WEBHOOK_TOLERANCE_SECONDS || 300)),
+        emulator,
+        // Unsigned dashboard test pings are answered (never processed) only when opted in off production.
+        allowUnsignedTestPings: parseBoolean(env.ALLOW_CASHFREE_DASHBOARD_TESTS, false) && (tier === 'SANDBOX' || emulator),
+        apiVersion: env.CASHFREE_API_VERSION || '2022-09-01',
+        pgBaseUrl: PG_BASE_URLS[tier],
+        payoutBaseUrl: PAYOUT_BASE_URLS[tier],
+        maxRetries: Math.max(0, Number(env.CASHFREE_MAX_RETRIES || 2)),
+        retryBaseDelayMs: Math.max(0, Number(env.CASHFREE_RETRY_BASE_MS || 300)),
+    };
+}
+
+class CashfreeApiError extends GatewayApiError {
+    constructor({ product, path, status = null, response = null, code = null, cause = null }) {
+        const label = product === 'payout' ? 'payout' : 'PG';
+        super({
+            gateway: 'cashfree',
+            product,
+            path,
+            status,
+            response,
+            code,
+            cause,
+            message: status ? `Cashfree ${label} error ${status}` : `Cashfree ${label} request failed${code ? ` (${code})` : ''}`,
+        });
+        this.name = 'CashfreeApiError';
+    }
+}
+
+function mockId(prefix) {
+    return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Canned happy-path responses for every endpoint this codebase calls.
+const MOCK_ROUTES = [
+    ['POST', /^\/pg\/orders$/, ({ body }) => ({
+        order_id: body?.order_id,
+        cf_order_id: mockId('mock_cf_order'),
+        order_status: 'ACTIVE',
+        order_amount: body?.order_amount,
+        order_expiry_time: body?.order_expiry_time || null,
+        payment_session_id: `mock_session_${body?.order_id}`,
+        payment_link: `https://mock.cashfree.test/pay/${body?.order_id}`,
+        status: 'MOCK_SUCCESS',
+    })],
+    ['GET', /^\/pg\/orders\/([^/]+)$/, ({ match }) => ({ order_id: decodeURIComponent(match[1]), order_status: 'ACTIVE' })],
+    ['PATCH', /^\/pg\/orders\/([^/]+)$/, ({ match, body }) => ({ order_id: decodeURIComponent(match[1]), order_status: body?.order_status || 'ACTIVE' })],
+    ['GET', /^\/pg\/orders\/([^/]+)\/refunds\/([^/]+)$/, ({ match }) => ({
+        order_id: decodeURIComponent(match[1]),
+        refund_id: decodeURIComponent(match[2]),
+        refund_status: 'SUCCESS',
+    })],
+    ['POST', /^\/(?:api\/v2\/payments|pg\/orders)\/([^/]+)\/refunds$/, ({ body }) => ({
+        refund_id: body?.refund_id,
+        cf_refund_id: mockId('mock_cf_refund'),
+        refund_amount: Number(body?.refund_amount || 0),
+        refund_status: 'PENDING',
+    })],
+    ['POST', /^\/payout\/v1\/addBeneficiary$/, () => ({ status: 'SUCCESS', subCode: '200', message: 'Beneficiary added' })],
+    ['POST', /^\/payout\/v1\/requestTransfer$/, ({ body }) => {
+        const referenceId = mockId('mock_ref');
+        return { status: 'SUCCESS', subCode: '200', transferId: body?.transferId, referenceId, data: { referenceId } };
+    }],
+];
+
+/**
+ * Offline transport (CASHFREE_MOCK=true, tests). `handler(request)` may return `{ status, data }`
+ * to override a route; returning undefined falls through to the canned responses.
+ */
+function createMockTransport({ handler = null } = {}) {
+    return createRouteTransport(MOCK_ROUTES, { handler });
+}
+
+/**
+ * Cashfree Payouts 2FA signature: RSA-OAEP(publicKey, "<clientId>.<epochSeconds>"), base64.
+ * Returns null when no public key is configured (IP whitelisting is used instead).
+ */
+function signPayoutRequest(config, nowSeconds = Math.floor(Date.now() / 1000)) {
+    if (!config.payoutPublicKey) return null;
+    const encrypted = crypto.publicEncrypt(
+        { key: config.payoutPublicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING },
+        Buffer.from(`${config.payoutClientId}.${nowSeconds}`),
+    );
+    return encrypted.toString('base64');
+}
+
+/**
+ * @param {object} [options]
+ * @param {Function} [options.fetch] fetch implementation for the real transport.
+ * @param {object} [options.config] Defaults to resolveCashfreeConfig().
+ * @param {Function} [options.transport] Overrides the transport (mock is picked automatically when config.mock).
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ */
+function createCashfreeGateway({ fetch = undefined, config = resolveCashfreeConfig(), transport = null, sleep = null } = {}) {
+    const activeTransport = transport || (config.mock ? createMockTransport() : createFetchTransport(fetch || defaultFetch()));
+
+    function authHeaders(product) {
+        if (product === 'payout') {
+            if (!config.mock && (!config.payoutClientId || !config.payoutClientSecret)) {
+                throw new CashfreeApiError({ product, code: 'credentials_missing' });
+            }
+            const headers = {
+                'x-client-id': config.payoutClientId,
+                'x-client-secret': config.payoutClientSecret,
+            };
+            const signature = config.mock ? null : signPayoutRequest(config);
+            if (signature) headers['X-Cf-Signature'] = signature;
+            return headers;
+        }
+        if (!config.mock && (!config.clientId || !config.clientSecret)) {
+            throw new CashfreeApiError({ product, code: 'credentials_missing' });
+        }
+        return {
+            'x-client-id': config.clientId,
+            'x-client-secret': config.clientSecret,
+            'x-api-version': config.apiVersion,
+        };
+    }
+
+    /**
+     * Sends one request. Retries (exponential backoff + jitter) on network errors and 408/429/5xx,
+     * but only when the request is safe to repeat: GET, or carrying an idempotency key, or `retry: true`.
+     */
+    async function send(product, path, { method = 'POST', body = undefined, headers = {}, idempotencyKey = null, retry = undefined } = {}) {
+        const requestHeaders = {
+            'Content-Type': 'application/json',
+            ...authHeaders(product),
+            ...headers,
+        };
+        if (idempotencyKey) requestHeaders['x-idempotency-key'] = idempotencyKey;
+        const baseUrl = product === 'payout' ? config.payoutBaseUrl : config.pgBaseUrl;
+        return sendWithRetries({
+            gateway: 'cashfree',
+            product,
+            transport: activeTransport,
+            request: { product, baseUrl, path, method, headers: requestHeaders, body },
+            retryable: retry !== undefined ? retry : (method === 'GET' || !!idempotencyKey),
+            maxRetries: config.maxRetries,
+            retryBaseDelayMs: config.retryBaseDelayMs,
+            sleep: sleep || undefined,
+            toError: (fields) => new CashfreeApiError({ product, ...fields }),
+        });
+    }
+
+    return {
+        config,
+        pg: (path, options) => send('pg', path, options),
+        payout: (path, options) => send('payout', path, options),
+    };
+}
+
+module.exports = {
+    resolveCashfreeConfig,
+    createCashfreeGateway,
+    createFetchTransport,
+    createMockTransport,
+    signPayoutRequest,
+    toHttpsError,
+    parseBoolean,
+    CashfreeApiError,
+};
@@ -0,0 +1,317 @@
+// services/functions/src/payments/gateways/cashfree.js
+'use strict';
+
+const { createCashfreeGateway } = require('../cashfreeGateway');
+const { rawBodyOf, webhookEventKey, matchSignature } = require('./http');
+
+const PAYMENT_SUCCESS_STATUSES = new Set(['success', 'successful', 'success_webhook', 'payment_success', 'payment_success_webhook', 'payment_success_webhook_v2']);
+const PAYMENT_FAILURE_STATUSES = new Set(['failed', 'failure', 'payment_failed', 'payment_failure_webhook', 'cancelled']);
+// Client closed the checkout; the order stays payable, so this is not a failure.
+const PAYMENT_DROPPED_STATUSES = new Set(['user_dropped', 'payment_user_dropped_webhook']);
+const PAYMENT_PENDING_STATUSES = new Set(['pending', 'not_attempted']);
+// Held by Cashfree risk checks; a SUCCESS or FAILED follows once they decide.
+const PAYMENT_FLAGGED_STATUSES = new Set(['flagged']);
+// Payouts v1 webhooks carry the outcome in `event` rather than a status field.
+const PAYOUT_EVENT_STATUSES = {
+    transfer_success: 'success',
+    transfer_failed: 'failure',
+    transfer_reversed: 'failure',
+    transfer_rejected: 'failure',
+};
+// Endpoints whose webhooks always carry x-webhook-timestamp. Payouts v1 deliveries may not; those are
+// signed over the raw body alone and get no replay window.
+const TIMESTAMPED_WEBHOOK_KINDS = new Set(['payment', 'refund', 'dispute']);
+const SHA256_BYTES = 32;
+// Order termination (PATCH /pg/orders/{id}) is only available from this API version onwards.
+const ORDER_TERMINATE_API_VERSION = '2023-08-01';
+const REFUNDS_PATH = '/api/v2/payments';
+
+function normalizeStatus(statusRaw) {
+    if (!statusRaw) return null;
+    return String(statusRaw).trim().toLowerCase();
+}
+
+function paymentOutcomeOf(status) {
+    if (!status) return null;
+    if (PAYMENT_SUCCESS_STATUSES.has(status)) return 'success';
+    if (PAYMENT_FAILURE_STATUSES.has(status)) return 'failure';
+    if (PAYMENT_DROPPED_STATUSES.has(status)) return 'dropped';
+    if (PAYMENT_PENDING_STATUSES.has(status)) return 'pending';
+    if (PAYMENT_FLAGGED_STATUSES.has(status)) return 'flagged';
+    return null;
+}
+
+// Cashfree sends base64; older integrations (and some Payouts deliveries) send hex.
+function decodeSignature(raw) {
+    const trimmed = String(raw || '').trim();
+    const base64 = Buffer.from(trimmed, 'base64');
+    if (base64.length === SHA256_BYTES) return base64;
+    if (/^[0-9a-f]+$/i.test(trimmed)) {
+        const hex = Buffer.from(trimmed, 'hex');
+        if (hex.length === SHA256_BYTES) return hex;
+    }
+    return null;
+}
+
+function signatureHeaderOf(req) {
+    return req.headers['x-webhook-signature'] ||
+        req.headers['x-cashfree-signature'] ||
+        req.headers['x-cf-signature'] ||
+        req.headers['x-client-signature'];
+}
+
+/**
+ * Cashfree implementation of the payment gateway interface (see gateways/index.js).
+ * HTTP goes through the cashfreeGateway.js client, so CASHFREE_MOCK swaps in its mock transport.
+ */
+function createCashfreeProvider({ fetch = undefined, config = undefined, transport = null } = {}) {
+    const client = createCashfreeGateway({ fetch, config, transport });
+    const cfg = client.config;
+
+    // Cashfree sends the timestamp in ms; accept seconds too.
+    function timestampMillis(raw) {
+        const n = Number(String(raw || '').trim());
+        if (!Number.isFinite(n) || n <= 0) return null;
+        return n < 1e12 ? n * 1000 : n;
+    }
+
+    /**
+     * Checks `x-webhook-signature` = HMAC-SHA256(x-webhook-timestamp + raw body), base64 or hex, against
+     * the endpoint's secret set (config.webhookSecrets[kind]) and rejects timestamps outside
+     * webhookToleranceSeconds, so a captured delivery cannot be replayed later. The timestamp is
+     * required for TIMESTAMPED_WEBHOOK_KINDS; a payout delivery without one is checked over the raw body.
+     * Returns `{ valid, keyVersion, reason }`; keyVersion names the secret that matched.
+     */
+    function verifyWebhook(req, { kind = 'payment', now = Date.now() } = {}) {
+        const reject = (reason) => {
+            console.warn(`Cashfree ${kind} webhook rejected: ${reason}`);
+            return { valid: false, keyVersion: null, reason };
+        };
+        const secrets = cfg.webhookSecrets?.[kind] || [];
+        if (!secrets.length) return reject('no_secret_configured');
+
+        const signatureHeader = signatureHeaderOf(req);
+        if (!signatureHeader) return reject('missing_signature');
+        const timestampHeader = req.headers['x-webhook-timestamp'];
+        const hasTimestamp = timestampHeader !== undefined && String(timestampHeader).trim() !== '';
+        const sentAt = hasTimestamp ? timestampMillis(timestampHeader) : null;
+        if (hasTimestamp && !sentAt) return reject('malformed_timestamp');
+        if (!hasTimestamp && TIMESTAMPED_WEBHOOK_KINDS.has(kind)) return reject('missing_timestamp');
+        if (sentAt && Math.abs(now - sentAt) > cfg.webhookToleranceSeconds * 1000) return reject('stale_timestamp');
+
+        const provided = decodeSignature(signatureHeader);
+        if (!provided) return reject('malformed_signature');
+        const payload = hasTimestamp
+            ? Buffer.concat([Buffer.from(String(timestampHeader).trim()), rawBodyOf(req)])
+            : rawBodyOf(req);
+        const keyVersion = matchSignature(provided, payload, secrets);
+        if (!keyVersion) return reject('signature_mismatch');
+        return { valid: true, keyVersion, reason: null };
+    }
+
+    // Cashfree posts each product to its own endpoint, so the caller names the kind.
+    function parseWebhook(req, { kind = 'payment' } = {}) {
+        const event = req.body || {};
+        if (kind === 'refund') {
+            const refundObj = event.refund || event.data?.refund || {};
+            const refundId = refundObj.refund_id || refundObj.refundId || null;
+            const status = normalizeStatus(refundObj.refund_status || refundObj.refundStatus || event.status);
+            return {
+                type: 'refund',
+                eventId: webhookEventKey('refund', [refundId || refundObj.cf_refund_id, status || 'unknown'], req),
+                refundId,
+                gatewayRefundId: refundObj.cf_refund_id || null,
+                status,
+                amount: Number(refundObj.refund_amount || 0) || null,
+                refundArn: refundObj.refund_arn || null,
+                failureReason: refundObj.status_description || refundObj.failure_reason || null,
+                raw: event,
+            };
+        }
+        if (kind === 'payout') {
+            const transfer = event.transfer || event.data?.transfer || event;
+            const status = normalizeStatus(transfer.status || transfer.event);
+            const transferId = transfer.transferId || transfer.transfer_id || null;
+            return {
+                type: 'payout',
+                eventId: webhookEventKey('payout', [transferId, status], req),
+                transferId,
+                status: PAYOUT_EVENT_STATUSES[status] || status,
+                referenceId: transfer.referenceId || transfer.cfReferenceId || transfer.reference_id || null,
+                amount: transfer.amount || null,
+                reason: transfer.reason || transfer.failureReason || null,
+                raw: event,
+            };
+        }
+        const orderObj = event.order || event.data?.order || event.data?.orderDetails || {};
+        const paymentObj = event.payment || event.data?.payment || event.data?.paymentDetails || {};
+        const status = normalizeStatus(paymentObj.payment_status || paymentObj.paymentStatus || paymentObj.txStatus || event.txStatus || event.status);
+        const outcome = paymentOutcomeOf(status);
+        const orderId = orderObj.order_id || orderObj.orderId || event.orderId || null;
+        const gatewayPaymentId = paymentObj.cf_payment_id || paymentObj.payment_id || paymentObj.referenceId || event.referenceId || null;
+        return {
+            type: 'payment',
+            // Cashfree PG webhooks carry no event id; order + payment + status identifies a delivery.
+            eventId: webhookEventKey('payment', [orderId, gatewayPaymentId, status], req),
+            orderId,
+            gatewayPaymentId,
+            status,
+            outcome,
+            // What this payment captured; order_amount is what was asked for, so it is not a fallback.
+            amount: Number(paymentObj.payment_amount || paymentObj.amount || event.orderAmount || 0),
+            raw: event,
+        };
+    }
+
+    async function createOrder({ orderId, amount, currency = 'INR', customer = {}, returnUrl = null, expiresAt = null }) {
+        const response = await client.pg('/pg/orders', {
+            method: 'POST',
+            body: {
+                order_id: orderId,
+                order_amount: Number(amount),
+                order_currency: currency,
+                customer_details: {
+                    customer_id: customer.id,
+                    customer_email: customer.email || '',
+                    customer_phone: customer.phone || '',
+                },
+                order_meta: {
+                    return_url: returnUrl || undefined,
+                },
+                // After this Cashfree refuses payment on the order and its session (status EXPIRED).
+                order_expiry_time: expiresAt ? expiresAt.toISOString().replace(/\.\d{3}Z$/, 'Z') : undefined,
+            },
+            idempotencyKey: orderId,
+        });
+        return {
+            gatewayOrderId: response?.order_id || response?.orderId || orderId,
+            paymentLink: response?.payment_link || response?.paymentLink || null,
+            checkout: { paymentSessionId: response?.payment_session_id || null },
+            expiresAt: response?.order_expiry_time ? new Date(response.order_expiry_time) : expiresAt,
+            raw: response,
+        };
+    }
+
+    // Returns 'terminated', 'closed' (already expired/terminated/unknown) or 'paid'.
+    async function closeOrder(gatewayOrderId) {
+        const path = `/pg/orders/${encodeURIComponent(gatewayOrderId)}`;
+        const headers = { 'x-api-version': ORDER_TERMINATE_API_VERSION };
+        let order;
+        try {
+            order = await client.pg(path, { method: 'GET', headers });
+        } catch (error) {
+            if (error.status === 404) return 'closed';
+            throw error;
+        }
+        const orderStatus = String(order?.order_status || '').toUpperCase();
+        if (orderStatus === 'PAID') return 'paid';
+        if (orderStatus !== 'ACTIVE') return 'closed';
+        await client.pg(path, { method: 'PATCH', body: { order_status: 'TERMINATED' }, headers });
+        return 'terminated';
+    }
+
+    async function refund({ gatewayPaymentId, amount, refundId, note = null }) {
+        const response = await client.pg(`${REFUNDS_PATH}/${encodeURIComponent(gatewayPaymentId)}/refunds`, {
+            method: 'POST',
+            body: {
+                refund_amount: String(amount),
+                refund_id: refundId,
+                refund_note: note || 'Refund initiated by Kalaqaar',
+            },
+            idempotencyKey: refundId,
+        });
+        return {
+            refundId: response?.refund_id || refundId,
+            gatewayRefundId: response?.cf_refund_id || null,
+            status: normalizeStatus(response?.refund_status),
+            raw: response,
+        };
+    }
+
+    // Current state of a refund; `found: false` when Cashfree has no record of it.
+    async function getRefund({ gatewayOrderId, refundId }) {
+        let response;
+        try {
+            response = await client.pg(
+                `/pg/orders/${encodeURIComponent(gatewayOrderId)}/refunds/${encodeURIComponent(refundId)}`,
+                { method: 'GET' },
+            );
+        } catch (error) {
+            if (error.status === 404) return { found: false, refundId };
+            throw error;
+        }
+        return {
+            found: true,
+            refundId: response?.refund_id || refundId,
+            status: normalizeStatus(response?.refund_status || response?.refundStatus),
+            amount: Number(response?.refund_amount || 0) || null,
+            refundArn: response?.refund_arn || null,
+            failureReason: response?.status_description || null,
+            raw: response,
+        };
+    }
+
+    async function addBeneficiary({ beneficiaryId, name, email = '', phone = '', bankDetails = {}, address = {} }) {
+        try {
+            await client.payout('/payout/v1/addBeneficiary', {
+                body: {
+                    beneId: beneficiaryId,
+                    name: name || 'Recipient',
+                    email,
+                    phone,
+                    bankDetails: {
+                        bankAccount: bankDetails.accountNumber,
+                        ifsc: bankDetails.ifsc,
+                        bankName: bankDetails.bankName || '',
+                    },
+                    address: {
+                        address1: address.address1 || '',
+                        city: address.city || '',
+                        state: address.state || '',
+                        pincode: address.pincode || '',
+                    },
+                },
+            });
+        } catch (error) {
+            // beneId is deterministic per recipient; a repeat payout finds it already registered.
+            if (error.status !== 409) throw error;
+        }
+        return { beneficiaryId };
+    }
+
+    async function requestTransfer({ beneficiaryId, transferId, amount, remarks = '' }) {
+        const response = await client.payout('/payout/v1/requestTransfer', {
+            body: {
+                beneId: beneficiaryId,
+                amount: String(amount),
+                transferId,
+                remarks,
+            },
+        });
+        return {
+            transferId: response?.transferId || response?.data?.transferId || transferId,
+            referenceId: response?.referenceId || response?.cfReferenceId || response?.data?.referenceId || null,
+            raw: response,
+        };
+    }
+
+    return {
+        name: 'cashfree',
+        config: cfg,
+        client,
+        isConfigured: () => cfg.mock || Boolean(cfg.clientId && cfg.clientSecret),
+        createOrder,
+        closeOrder,
+        verifyWebhook,
+        parseWebhook,
+        refund,
+        getRefund,
+        addBeneficiary,
+        requestTransfer,
+    };
+}
+
+module.exports = {
+    createCashfreeProvider,
+    signatureHeaderOf,
+};
@@ -0,0 +1,366 @@
+// services/functions/src/payments/gateways/fakeCashfree.js
+'use strict';
+
+/**
+ * Stateful in-process stand-in for Cashfree PG + Payouts, for offline end-to-end runs
+ * (tools/payments_e2e_flow.js). Unlike the canned CASHFREE_MOCK transport it remembers orders,
+ * payments, refunds, beneficiaries and transfers, and the test drives what Cashfree would do
+ * asynchronously: `pay`, `settleRefund` and `settleTransfer` update that state and deliver a
+ * signed webhook to the handlers passed to `attach` (handlePaymentWebhook, handleRefundWebhook,
+ * handlePayoutWebhook from payments/cashfree.js).
+ *
+ * Plug it in through the registry:
+ *   const fake = createFakeCashfree();
+ *   buildPaymentGateways({ providers: { cashfree: fake.provider } })
+ */
+
+const crypto = require('crypto');
+const { resolveCashfreeConfig } = require('../cashfreeGateway');
+const { createCashfreeProvider } = require('./cashfree');
+
+const PAYMENT_WEBHOOK_TYPES = {
+    SUCCESS: 'PAYMENT_SUCCESS_WEBHOOK',
+    FAILED: 'PAYMENT_FAILED_WEBHOOK',
+    USER_DROPPED: 'PAYMENT_USER_DROPPED_WEBHOOK',
+};
+const TRANSFER_EVENTS = {
+    SUCCESS: 'TRANSFER_SUCCESS',
+    FAILED: 'TRANSFER_FAILED',
+    REVERSED: 'TRANSFER_REVERSED',
+};
+
+function json(status, data) {
+    return { status, data };
+}
+
+function fakeId(prefix, counter) {
+    return `${prefix}_${String(counter).padStart(6, '0')}`;
+}
+
+// Minimal Express-style response for calling the webhook handlers directly.
+function createResponse() {
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.webhookSecret] The provider's CASHFREE_WEBHOOK_SECRET; signs payment and refund webhooks
+ *   (payout webhooks are signed with the payout client secret, as Cashfree does).
+ * @param {{ payment?: Function, refund?: Function, payout?: Function }} [options.handlers] Webhook handlers; see `attach`.
+ * @param {() => number} [options.now] Clock for event timestamps.
+ */
+function createFakeCashfree({ webhookSecret = 'fake_cashfree_webhook_secret', handlers = {}, now = () => Date.now() } = {}) {
+    const config = resolveCashfreeConfig({
+        CASHFREE_ENVIRONMENT: 'SANDBOX',
+        CASHFREE_CLIENT_ID: 'fake_pg_client_id',
+        CASHFREE_CLIENT_SECRET: 'fake_pg_client_secret',
+        CASHFREE_PAYOUT_CLIENT_ID: 'fake_payout_client_id',
+        CASHFREE_PAYOUT_CLIENT_SECRET: 'fake_payout_client_secret',
+        CASHFREE_WEBHOOK_SECRET: webhookSecret,
+        CASHFREE_MAX_RETRIES: '0',
+    });
+
+    const state = {
+        orders: new Map(),
+        payments: new Map(),
+        refunds: new Map(),
+        beneficiaries: new Map(),
+        transfers: new Map(),
+    };
+    const requests = [];
+    const deliveries = [];
+    const webhookHandlers = { ...handlers };
+    let counter = 0;
+    const nextId = (prefix) => fakeId(prefix, ++counter);
+    const isoNow = () => new Date(now()).toISOString();
+
+    // Cashfree flips an unpaid order to EXPIRED once order_expiry_time passes.
+    function orderFor(orderId) {
+        const order = state.orders.get(orderId);
+        if (order && order.order_status === 'ACTIVE' && order.order_expiry_time && Date.parse(order.order_expiry_time) <= now()) {
+            order.order_status = 'EXPIRED';
+        }
+        return order || null;
+    }
+
+    function refundableAmount(payment) {
+        let refunded = 0;
+        for (const refund of state.refunds.values()) {
+            if (refund.cf_payment_id === payment.cf_payment_id && refund.refund_status !== 'CANCELLED') {
+                refunded += Number(refund.refund_amount || 0);
+            }
+        }
+        return Number(payment.payment_amount || 0) - refunded;
+    }
+
+    function createRefund({ payment, body, idempotencyKey }) {
+        const existing = state.refunds.get(body?.refund_id);
+        if (existing) {
+            return idempotencyKey === existing.refund_id
+                ? json(200, existing)
+                : json(409, { message: 'refund_id already exists', code: 'refund_already_exists' });
+        }
+        const amount = Number(body?.refund_amount || 0);
+        if (!(amount > 0) || amount > refundableAmount(payment)) {
+            return json(400, { message: 'refund_amount exceeds refundable amount', code: 'refund_amount_invalid' });
+        }
+        const refund = {
+            cf_payment_id: payment.cf_payment_id,
+            cf_refund_id: nextId('cf_refund'),
+            order_id: payment.order_id,
+            refund_id: body.refund_id,
+            refund_amount: amount,
+            refund_currency: 'INR',
+            refund_note: body.refund_note || null,
+            refund_status: 'PENDING',
+            refund_arn: null,
+            status_description: 'Refund is pending',
+            created_at: isoNow(),
+        };
+        state.refunds.set(refund.refund_id, refund);
+        return json(200, refund);
+    }
+
+    // [method, pattern, respond(request, match)] -> { status, data }
+    const routes = [
+        ['POST', /^\/pg\/orders$/, ({ body, headers }) => {
+            const existing = state.orders.get(body?.order_id);
+            if (existing) {
+                return headers['x-idempotency-key'] === existing.order_id
+                    ? json(200, existing)
+                    : json(409, { message: 'order_id already exists', code: 'order_already_exists' });
+            }
+            const order = {
+                order_id: body?.order_id,
+                cf_order_id: nextId('cf_order'),
+                order_amount: Number(body?.order_amount || 0),
+                order_currency: body?.order_currency || 'INR',
+                order_status: 'ACTIVE',
+                order_expiry_time: body?.order_expiry_time || null,
+                customer_details: body?.customer_details || {},
+                payment_session_id: nextId('session'),
+                payment_link: `https://fake.cashfree.test/pay/${encodeURIComponent(body?.order_id)}`,
+                created_at: isoNow(),
+            };
+            state.orders.set(order.order_id, order);
+            return json(200, order);
+        }],
+        ['GET', /^\/pg\/orders\/([^/]+)$/, (_request, match) => {
+            const order = orderFor(decodeURIComponent(match[1]));
+            return order ? json(200, order) : json(404, { message: 'order not found', code: 'order_not_found' });
+        }],
+        ['PATCH', /^\/pg\/orders\/([^/]+)$/, ({ body }, match) => {
+            const order = orderFor(decodeURIComponent(match[1]));
+            if (!order) return json(404, { message: 'order not found', code: 'order_not_found' });
+            if (order.order_status !== 'ACTIVE') {
+                return json(400, { message: `order is ${order.order_status}`, code: 'order_not_active' });
+            }
+            order.order_status = body?.order_status || order.order_status;
+            return json(200, order);
+        }],
+        ['GET', /^\/pg\/orders\/([^/]+)\/refunds\/([^/]+)$/, (_request, match) => {
+            const refund = state.refunds.get(decodeURIComponent(match[2]));
+            return refund && refund.order_id === decodeURIComponent(match[1])
+                ? json(200, refund)
+                : json(404, { message: 'refund not found', code: 'refund_not_found' });
+        }],
+        ['POST', /^\/api\/v2\/payments\/([^/]+)\/refunds$/, ({ body, headers }, match) => {
+            const payment = state.payments.get(decodeURIComponent(match[1]));
+            if (!payment || payment.payment_status !== 'SUCCESS') {
+                return json(404, { message: 'payment not found', code: 'payment_not_found' });
+            }
+            return createRefund({ payment, body, idempotencyKey: headers['x-idempotency-key'] });
+        }],
+        ['POST', /^\/payout\/v1\/addBeneficiary$/, ({ body }) => {
+            if (state.beneficiaries.has(body?.beneId)) {
+                return json(409, { status: 'ERROR', subCode: '409', message: 'Beneficiary Id already exists' });
+            }
+            state.beneficiaries.set(body.beneId, { ...body, addedAt: isoNow() });
+            return json(200, { status: 'SUCCESS', subCode: '200', message: 'Beneficiary added successfully' });
+        }],
+        ['POST', /^\/payout\/v1\/requestTransfer$/, ({ body }) => {
+            if (!state.beneficiaries.has(body?.beneId)) {
+                return json(404, { status: 'ERROR', subCode: '404', message: 'Beneficiary does not exist' });
+            }
+            if (state.transfers.has(body?.transferId)) {
+                return json(409, { status: 'ERROR', subCode: '409', message: 'Transfer Id already exists' });
+            }
+            const transfer = {
+                transferId: body.transferId,
+                beneId: body.beneId,
+                amount: Number(body.amount || 0),
+                remarks: body.remarks || '',
+                status: 'PENDING',
+                referenceId: nextId('cf_ref'),
+                utr: null,
+                requestedAt: isoNow(),
+            };
+            state.transfers.set(transfer.transferId, transfer);
+            return json(200, {
+                status: 'PENDING',
+                subCode: '201',
+                message: 'Transfer request pending at the bank',
+                data: { referenceId: transfer.referenceId, utr: '', acknowledged: 0 },
+            });
+        }],
+    ];
+
+    function authorized({ product, headers }) {
+        const [id, secret] = product === 'payout'
+            ? [config.payoutClientId, config.payoutClientSecret]
+            : [config.clientId, config.clientSecret];
+        return headers['x-client-id'] === id && headers['x-client-secret'] === secret;
+    }
+
+    async function transport(request) {
+        requests.push({ method: request.method, path: request.path, body: request.body });
+        if (!authorized(request)) {
+            return json(401, { message: 'authentication Failed', code: 'request_failed' });
+        }
+        for (const [method, pattern, respond] of routes) {
+            if (method !== request.method) continue;
+            const match = pattern.exec(request.path);
+            if (match) return respond(request, match);
+        }
+        return json(404, { message: `fake cashfree: no route for ${request.method} ${request.path}` });
+    }
+
+    // Signed the way provider.verifyWebhook checks it: base64 HMAC-SHA256 of timestamp + raw body,
+    // with the endpoint's active secret (payouts sign with the payout client secret).
+    function signedHeaders(kind, rawBody) {
+        const timestamp = String(now());
+        const [{ secret }] = config.webhookSecrets[kind];
+        return {
+            'content-type': 'application/json',
+            'user-agent': 'FakeCashfree/1.0',
+            'x-webhook-version': config.apiVersion,
+            'x-webhook-timestamp': timestamp,
+            'x-webhook-signature': crypto.createHmac('sha256', secret).update(timestamp).update(rawBody).digest('base64'),
+        };
+    }
+
+    async function deliver(kind, payload) {
+        const handler = webhookHandlers[kind];
+        if (!handler) throw new Error(`fake cashfree: no ${kind} webhook handler attached`);
+        const rawBody = Buffer.from(JSON.stringify(payload));
+        const req = { method: 'POST', headers: signedHeaders(kind, rawBody), body: payload, rawBody };
+        const res = createResponse();
+        await handler(req, res);
+        const delivery = { kind, payload, statusCode: res.statusCode, response: res.body };
+        deliveries.push(delivery);
+        return delivery;
+    }
+
+    /**
+     * Customer completes (or abandons) checkout for `orderId`; delivers the payment webhook.
+     * `inFlight: true` settles a payment that was started before the order was terminated or expired.
+     */
+    async function pay(orderId, { status = 'SUCCESS', amount = null, paymentGroup = 'upi', inFlight = false } = {}) {
+        const order = orderFor(orderId);
+        if (!order) throw new Error(`fake cashfree: unknown order ${orderId}`);
+        if (order.order_status !== 'ACTIVE' && !inFlight) throw new Error(`fake cashfree: order ${orderId} is ${order.order_status}`);
+        const payment = {
+            cf_payment_id: nextId('cf_payment'),
+            order_id: orderId,
+            payment_status: status,
+            payment_amount: amount === null ? order.order_amount : Number(amount),
+            payment_currency: order.order_currency,
+            payment_group: paymentGroup,
+            payment_message: status === 'SUCCESS' ? 'Transaction successful' : `Transaction ${status.toLowerCase()}`,
+            payment_time: isoNow(),
+            bank_reference: nextId('bank_ref'),
+        };
+        state.payments.set(payment.cf_payment_id, payment);
+        if (status === 'SUCCESS') order.order_status = 'PAID';
+
+        const delivery = await deliver('payment', {
+            data: {
+                order: {
+                    order_id: order.order_id,
+                    order_amount: order.order_amount,
+                    order_currency: order.order_currency,
+                    order_tags: null,
+                },
+                payment,
+                customer_details: order.customer_details,
+            },
+            event_time: payment.payment_time,
+            type: PAYMENT_WEBHOOK_TYPES[status] || `PAYMENT_${status}_WEBHOOK`,
+        });
+        return { paymentId: payment.cf_payment_id, delivery };
+    }
+
+    /** Bank settles a refund created through the API; delivers the refund webhook. */
+    async function settleRefund(refundId, status = 'SUCCESS', { reason = null } = {}) {
+        const refund = state.refunds.get(refundId);
+        if (!refund) throw new Error(`fake cashfree: unknown refund ${refundId}`);
+        refund.refund_status = status;
+        refund.refund_arn = status === 'SUCCESS' ? nextId('arn') : null;
+        refund.status_description = reason || (status === 'SUCCESS' ? 'Refund processed successfully' : 'Refund failed');
+        refund.processed_at = isoNow();
+        return deliver('refund', {
+            data: { refund: { ...refund } },
+            event_time: refund.processed_at,
+            type: 'REFUND_STATUS_WEBHOOK',
+        });
+    }
+
+    /** Bank settles a payout transfer; delivers the Payouts v1 webhook. */
+    async function settleTransfer(transferId, status = 'SUCCESS', { reason = null } = {}) {
+        const transfer = state.transfers.get(transferId);
+        if (!transfer) throw new Error(`fake cashfree: unknown transfer ${transferId}`);
+        transfer.status = status;
+        transfer.utr = status === 'SUCCESS' ? nextId('utr') : null;
+        const payload = {
+            event: TRANSFER_EVENTS[status] || `TRANSFER_${status}`,
+            transferId,
+            referenceId: transfer.referenceId,
+            acknowledged: status === 'SUCCESS' ? 1 : 0,
+            eventTime: isoNow(),
+        };
+        if (transfer.utr) payload.utr = transfer.utr;
+        if (status !== 'SUCCESS') payload.reason = reason || 'Beneficiary bank offline';
+        return deliver('payout', payload);
+    }
+
+    function pendingOf(map, statusField) {
+        return [...map.values()].filter((item) => item[statusField] === 'PENDING');
+    }
+
+    return {
+        config,
+        transport,
+        provider: createCashfreeProvider({ config, transport }),
+        state,
+        requests,
+        deliveries,
+        /** Registers webhook handlers by kind: { payment, refund, payout }. */
+        attach(nextHandlers) {
+            Object.assign(webhookHandlers, nextHandlers);
+        },
+        pay,
+        settleRefund,
+        settleTransfer,
+        pendingRefunds: () => pendingOf(state.refunds, 'refund_status').map((r) => r.refund_id),
+        pendingTransfers: () => pendingOf(state.transfers, 'status').map((t) => t.transferId),
+    };
+}
+
+module.exports = {
+    createFakeCashfree,
+};
@@ -0,0 +1,198 @@
+// services/functions/src/payments/gateways/http.js
+'use strict';
+
+const crypto = require('crypto');
+
+// HTTP plumbing shared by the payment gateway clients: fetch transport, retry loop and the
+// error type every gateway throws, plus its mapping to HttpsError for callables.
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Gateway HTTP status -> HttpsError code (callable clients see these).
+const HTTPS_CODE_BY_STATUS = {
+    400: 'invalid-argument',
+    401: 'failed-precondition',
+    403: 'failed-precondition',
+    404: 'not-found',
+    409: 'already-exists',
+    422: 'invalid-argument',
+    429: 'resource-exhausted',
+};
+
+class GatewayApiError extends Error {
+    constructor({ gateway, product = null, path = null, status = null, response = null, code = null, cause = null, message = null }) {
+        super(message || (status ? `${gateway} error ${status}` : `${gateway} request failed${code ? ` (${code})` : ''}`));
+        this.name = 'GatewayApiError';
+        this.gateway = gateway;
+        this.product = product;
+        this.path = path;
+        this.status = status;
+        this.response = response;
+        this.code = code;
+        if (cause) this.cause = cause;
+    }
+
+    // Outage-type failure (network, 5xx, throttling): the request may succeed on another gateway.
+    get isUnavailable() {
+        return this.code === 'network_error' || (this.status !== null && RETRYABLE_STATUSES.has(this.status));
+    }
+}
+
+/** Maps a gateway error to an HttpsError; HttpsErrors pass through untouched. */
+function toHttpsError(error, message = 'Payment gateway request failed') {
+    const functions = require('firebase-functions/v1');
+    if (error instanceof functions.https.HttpsError) return error;
+    if (!(error instanceof GatewayApiError)) {
+        return new functions.https.HttpsError('internal', message);
+    }
+    if (error.code === 'credentials_missing') {
+        return new functions.https.HttpsError('failed-precondition', error.message);
+    }
+    const code = HTTPS_CODE_BY_STATUS[error.status] || (error.status ? 'internal' : 'unavailable');
+    return new functions.https.HttpsError(code, `${message} (${error.status || error.code || 'network'})`, {
+        gateway: error.gateway,
+        gatewayStatus: error.status,
+        gatewayMessage: error.response?.message || error.response?.error?.description || null,
+    });
+}
+
+function defaultFetch() {
+    // eslint-disable-next-line no-undef
+    if (typeof fetch === 'function') return fetch;
+    try {
+        const nodeFetch = require('node-fetch');
+        return nodeFetch.default || nodeFetch;
+    } catch (_) {
+        return null;
+    }
+}
+
+/** Real HTTP transport. Resolves to `{ status, data }`; throws only on network failure. */
+function createFetchTransport(fetchImpl = defaultFetch()) {
+    return async function fetchTransport({ baseUrl, path, method, headers, body }) {
+        if (!fetchImpl) throw new Error('Fetch is not available in this runtime');
+        const response = await fetchImpl(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        let data;
+        try {
+            data = text ? JSON.parse(text) : {};
+        } catch (_error) {
+            data = { raw: text };
+        }
+        return { status: response.status, data };
+    };
+}
+
+function defaultSleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends `request` through `transport`, retrying (exponential backoff + jitter) on network errors and
+ * 408/429/5xx up to `maxRetries` times when `retryable`. Resolves to the response body on 2xx,
+ * otherwise throws a GatewayApiError (or whatever `toError(fields)` builds).
+ */
+async function sendWithRetries({ gateway, product = null, transport, request, retryable, maxRetries, retryBaseDelayMs, sleep = defaultSleep, toError = null }) {
+    const makeError = toError || ((fields) => new GatewayApiError({ gateway, product, ...fields }));
+    const attempts = retryable ? maxRetries + 1 : 1;
+    let lastError = null;
+    for (let attempt = 0; attempt < attempts; attempt += 1) {
+        if (attempt > 0) {
+            const backoff = retryBaseDelayMs * (2 ** (attempt - 1));
+            await sleep(backoff + Math.floor(Math.random() * retryBaseDelayMs));
+        }
+        let result;
+        try {
+            result = await transport(request);
+        } catch (error) {
+            lastError = makeError({ path: request.path, code: 'network_error', cause: error });
+            continue;
+        }
+        if (result.status >= 200 && result.status < 300) return result.data;
+        lastError = makeError({ path: request.path, status: result.status, response: result.data });
+        if (!RETRYABLE_STATUSES.has(result.status)) break;
+    }
+    throw lastError;
+}
+
+/** Looks up a canned `[method, pattern, respond]` route for the offline mock transports. */
+function createRouteTransport(routes, { handler = null } = {}) {
+    return async function routeTransport(request) {
+        if (handler) {
+            const overridden = await handler(request);
+            if (overridden) return overridden;
+        }
+        for (const [method, pattern, respond] of routes) {
+            if (method !== request.method) continue;
+            const match = pattern.exec(request.path);
+            if (match) return { status: 200, data: respond({ ...request, match }) };
+        }
+        return { status: 404, data: { message: `mock: no route for ${request.method} ${request.path}` } };
+    };
+}
+
+function parseBoolean(value, fallback = false) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'y', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'n', 'off'].includes(normalized)) return false;
+    return fallback;
+}
+
+function rawBodyOf(req) {
+    return req.rawBody ? Buffer.from(req.rawBody) : Buffer.from(JSON.stringify(req.body || {}));
+}
+
+/**
+ * Webhook secret set for one endpoint, newest first: `[{ version, secret }]`. The previous key stays
+ * valid while the gateway dashboard is switched over to the new one; unset entries are dropped.
+ */
+function secretVersions({ active, activeVersion = 'active', previous, previousVersion = 'previous' }) {
+    return [
+        { version: activeVersion || 'active', secret: active },
+        { version: previousVersion || 'previous', secret: previous },
+    ].filter((entry) => typeof entry.secret === 'string' && entry.secret.length > 0);
+}
+
+/** Version of the first secret whose HMAC-SHA256 of `payload` equals `provided` (a Buffer), else null. */
+function matchSignature(provided, payload, secrets) {
+    for (const { version, secret } of secrets) {
+        const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+        if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+            return version;
+        }
+    }
+    return null;
+}
+
+/**
+ * Deterministic webhookLogs id (`<kind>:<part>:...`): a redelivered event lands on the same log and
+ * is deduped. With none of the identifying parts present, a hash of the raw body stands in.
+ */
+function webhookEventKey(kind, parts, req) {
+    const values = parts.map((part) => (part === null || part === undefined ? '' : String(part).trim().replace(/\//g, '_')));
+    if (values.some(Boolean)) {
+        return [kind, ...values.map((value) => value || '-')].join(':');
+    }
+    return `${kind}:body:${crypto.createHash('sha256').update(rawBodyOf(req)).digest('hex').slice(0, 40)}`;
+}
+
+module.exports = {
+    GatewayApiError,
+    toHttpsError,
+    defaultFetch,
+    createFetchTransport,
+    createRouteTransport,
+    sendWithRetries,
+    parseBoolean,
+    rawBodyOf,
+    webhookEventKey,
+    secretVersions,
+    matchSignature,
+    RETRYABLE_STATUSES,
+};
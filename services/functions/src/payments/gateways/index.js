@@ -0,0 +1,113 @@
+// services/functions/src/payments/gateways/index.js
+'use strict';
+
+/**
+ * Payment gateway registry.
+ *
+ * Every gateway implements the same interface (amounts in INR, ids are ours unless prefixed `gateway`):
+ * - createOrder({ orderId, amount, currency, customer, returnUrl, expiresAt }) -> { gatewayOrderId, paymentLink, checkout, expiresAt, raw }
+ * - closeOrder(gatewayOrderId) -> 'terminated' | 'closed' | 'paid'
+ * - verifyWebhook(req, { kind }) -> { valid, keyVersion, reason } (keyVersion: which rotation key matched)
+ * - parseWebhook(req, { kind }) -> normalized event `{ type: 'payment' | 'refund' | 'payout' | 'ignored', eventId, ... }`;
+ *   payment events carry `outcome`: 'success' | 'failure' | 'pending' | 'dropped' | 'flagged' | null
+ * - refund({ gatewayPaymentId, gatewayOrderId, amount, refundId, note }) -> { refundId, gatewayRefundId, status, raw }
+ * - getRefund({ gatewayOrderId, gatewayPaymentId, gatewayRefundId, refundId }) -> { found, status, amount, refundArn, failureReason, raw }
+ * - addBeneficiary({ beneficiaryId, name, email, phone, bankDetails, address }) -> { beneficiaryId }
+ * - requestTransfer({ beneficiaryId, transferId, amount, remarks }) -> { transferId, referenceId, raw }
+ *
+ * Payment docs record the gateway that took the money (`gateway`); refunds and payouts for that
+ * payment go back through the same gateway. Docs without `gateway` predate Razorpay and are Cashfree.
+ */
+
+const { createCashfreeProvider } = require('./cashfree');
+const { createRazorpayProvider } = require('./razorpay');
+
+const GATEWAY_FACTORIES = {
+    cashfree: createCashfreeProvider,
+    razorpay: createRazorpayProvider,
+};
+const LEGACY_GATEWAY = 'cashfree';
+
+function parseList(raw) {
+    return String(raw || '')
+        .split(',')
+        .map((s) => s.trim().toLowerCase())
+        .filter((s) => GATEWAY_FACTORIES[s]);
+}
+
+/**
+ * Gateway selection knobs:
+ * - PAYMENT_GATEWAY_ORDER: preference/failover order, default 'cashfree,razorpay'
+ * - PAYMENT_GATEWAYS_DISABLED: gateways taken out of rotation (e.g. 'cashfree' during an outage)
+ * - PAYOUT_GATEWAY: send every payout through one gateway instead of the payment's own
+ */
+function resolveGatewaySelection(env = process.env) {
+    const order = parseList(env.PAYMENT_GATEWAY_ORDER || 'cashfree,razorpay');
+    return {
+        order: order.length ? order : [LEGACY_GATEWAY],
+        disabled: new Set(parseList(env.PAYMENT_GATEWAYS_DISABLED)),
+        payoutGateway: parseList(env.PAYOUT_GATEWAY)[0] || null,
+    };
+}
+
+function buildPaymentGateways({ fetch = undefined, env = process.env, providers = {} } = {}) {
+    const selection = resolveGatewaySelection(env);
+    const instances = {};
+
+    function get(name) {
+        const key = String(name || '').toLowerCase();
+        if (!instances[key]) {
+            if (providers[key]) {
+                instances[key] = providers[key];
+            } else if (GATEWAY_FACTORIES[key]) {
+                instances[key] = GATEWAY_FACTORIES[key]({ fetch });
+            } else {
+                throw new Error(`Unknown payment gateway: ${name}`);
+            }
+        }
+        return instances[key];
+    }
+
+    function isAvailable(name) {
+        if (!GATEWAY_FACTORIES[name] || selection.disabled.has(name)) return false;
+        return get(name).isConfigured();
+    }
+
+    // Gateway that took (or will take) the money for this payment doc.
+    function forPayment(payment) {
+        return get(payment?.gateway || LEGACY_GATEWAY);
+    }
+
+    // Payouts follow the payment's gateway unless PAYOUT_GATEWAY routes them all through one account.
+    function forPayout(payment) {
+        return selection.payoutGateway ? get(selection.payoutGateway) : forPayment(payment);
+    }
+
+    /**
+     * Gateways to try for a new order on this booking, best first. A booking pinned to a gateway
+     * (`paymentGateway`, set by ops or by an earlier failover) keeps it while it is available.
+     */
+    function candidatesForBooking(booking = {}) {
+        const pinned = String(booking?.paymentGateway || '').toLowerCase();
+        const ordered = pinned && GATEWAY_FACTORIES[pinned]
+            ? [pinned, ...selection.order.filter((n) => n !== pinned)]
+            : selection.order;
+        return ordered.filter(isAvailable);
+    }
+
+    return {
+        get,
+        forPayment,
+        forPayout,
+        isAvailable,
+        candidatesForBooking,
+        names: Object.keys(GATEWAY_FACTORIES),
+    };
+}
+
+module.exports = {
+    buildPaymentGateways,
+    resolveGatewaySelection,
+    GATEWAY_NAMES: Object.keys(GATEWAY_FACTORIES),
+    LEGACY_GATEWAY,
+};
@@ -0,0 +1,335 @@
+// services/functions/src/payments/gateways/razorpay.js
+'use strict';
+
+const crypto = require('crypto');
+const {
+    GatewayApiError,
+    defaultFetch,
+    createFetchTransport,
+    createRouteTransport,
+    sendWithRetries,
+    parseBoolean,
+    rawBodyOf,
+    webhookEventKey,
+    secretVersions,
+    matchSignature,
+} = require('./http');
+
+const API_BASE_URL = 'https://api.razorpay.com';
+
+// Razorpay payment/refund/payout statuses -> the outcome vocabulary the webhook handlers use.
+const PAYMENT_EVENT_OUTCOMES = { 'payment.authorized': 'pending', 'payment.captured': 'success', 'payment.failed': 'failure' };
+const REFUND_STATUS_BY_EVENT = { 'refund.processed': 'processed', 'refund.failed': 'failed', 'refund.created': 'pending' };
+const PAYOUT_STATUS_BY_EVENT = {
+    'payout.processed': 'success',
+    'payout.reversed': 'failure',
+    'payout.failed': 'failure',
+    'payout.rejected': 'failure',
+};
+
+function resolveRazorpayConfig(env = process.env) {
+    const keyId = env.RAZORPAY_KEY_ID || '';
+    return {
+        // Razorpay has no separate sandbox host: test keys (rzp_test_...) hit test mode.
+        environment: keyId.startsWith('rzp_live_') ? 'PRODUCTION' : 'SANDBOX',
+        mock: parseBoolean(env.RAZORPAY_MOCK, false),
+        keyId,
+        keySecret: env.RAZORPAY_KEY_SECRET || '',
+        webhookSecret: env.RAZORPAY_WEBHOOK_SECRET || '',
+        webhookSecrets: secretVersions({
+            active: env.RAZORPAY_WEBHOOK_SECRET,
+            activeVersion: env.RAZORPAY_WEBHOOK_SECRET_VERSION,
+            previous: env.RAZORPAY_WEBHOOK_SECRET_PREVIOUS,
+            previousVersion: env.RAZORPAY_WEBHOOK_SECRET_PREVIOUS_VERSION,
+        }),
+        // RazorpayX current account that payouts are debited from.
+        payoutAccountNumber: env.RAZORPAYX_ACCOUNT_NUMBER || '',
+        payoutMode: env.RAZORPAYX_PAYOUT_MODE || 'IMPS',
+        baseUrl: API_BASE_URL,
+        maxRetries: Math.max(0, Number(env.RAZORPAY_MAX_RETRIES || 2)),
+        retryBaseDelayMs: Math.max(0, Number(env.RAZORPAY_RETRY_BASE_MS || 300)),
+    };
+}
+
+const toPaise = (inr) => Math.round(Number(inr || 0) * 100);
+const toInr = (paise) => (paise === undefined || paise === null ? null : Number(paise) / 100);
+
+function mockId(prefix) {
+    return `${prefix}_mock${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Canned happy-path responses for the endpoints the provider calls.
+const MOCK_ROUTES = [
+    ['POST', /^\/v1\/orders$/, ({ body }) => ({ id: mockId('order'), entity: 'order', amount: body?.amount, currency: body?.currency, receipt: body?.receipt, status: 'created' })],
+    ['GET', /^\/v1\/orders\/([^/]+)$/, ({ match }) => ({ id: decodeURIComponent(match[1]), entity: 'order', status: 'created' })],
+    ['POST', /^\/v1\/payments\/([^/]+)\/refund$/, ({ match, body }) => ({
+        id: mockId('rfnd'),
+        entity: 'refund',
+        payment_id: decodeURIComponent(match[1]),
+        amount: body?.amount,
+        receipt: body?.receipt,
+        status: 'pending',
+    })],
+    ['GET', /^\/v1\/payments\/([^/]+)\/refunds\/([^/?]+)$/, ({ match }) => ({
+        id: decodeURIComponent(match[2]),
+        entity: 'refund',
+        payment_id: decodeURIComponent(match[1]),
+        status: 'processed',
+    })],
+    ['GET', /^\/v1\/payments\/([^/]+)\/refunds(?:\?.*)?$/, () => ({ entity: 'collection', count: 0, items: [] })],
+    ['POST', /^\/v1\/contacts$/, ({ body }) => ({ id: mockId('cont'), entity: 'contact', reference_id: body?.reference_id })],
+    ['POST', /^\/v1\/fund_accounts$/, ({ body }) => ({ id: mockId('fa'), entity: 'fund_account', contact_id: body?.contact_id })],
+    ['POST', /^\/v1\/payouts$/, ({ body }) => ({ id: mockId('pout'), entity: 'payout', reference_id: body?.reference_id, status: 'processing' })],
+];
+
+function createMockTransport({ handler = null } = {}) {
+    return createRouteTransport(MOCK_ROUTES, { handler });
+}
+
+/**
+ * Razorpay (payments) + RazorpayX (payouts) implementation of the payment gateway interface.
+ * Amounts cross this boundary in INR and are converted to paise here. Our own ids travel in
+ * `receipt` (orders, refunds) and `reference_id` (payouts) so webhooks map back without lookups.
+ */
+function createRazorpayProvider({ fetch = undefined, config = resolveRazorpayConfig(), transport = null, sleep = undefined } = {}) {
+    const activeTransport = transport || (config.mock ? createMockTransport() : createFetchTransport(fetch || defaultFetch()));
+
+    async function call(path, { method = 'POST', body = undefined, headers = {}, retry = undefined, product = 'pg' } = {}) {
+        if (!config.mock && (!config.keyId || !config.keySecret)) {
+            throw new GatewayApiError({ gateway: 'razorpay', product, path, code: 'credentials_missing', message: 'Razorpay credentials are not configured' });
+        }
+        const auth = Buffer.from(`${config.keyId}:${config.keySecret}`).toString('base64');
+        return sendWithRetries({
+            gateway: 'razorpay',
+            product,
+            transport: activeTransport,
+            request: {
+                baseUrl: config.baseUrl,
+                path,
+                method,
+                headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}`, ...headers },
+                body,
+            },
+            retryable: retry !== undefined ? retry : method === 'GET',
+            maxRetries: config.maxRetries,
+            retryBaseDelayMs: config.retryBaseDelayMs,
+            sleep,
+        });
+    }
+
+    /**
+     * x-razorpay-signature = hex HMAC-SHA256(raw body). Razorpay signs no timestamp and redelivers the
+     * same body for up to a day, so replays are caught by the webhookLogs dedupe, not here.
+     */
+    function verifyWebhook(req) {
+        if (!config.webhookSecrets.length) {
+            console.warn('Razorpay webhook: RAZORPAY_WEBHOOK_SECRET not configured');
+            return { valid: false, keyVersion: null, reason: 'no_secret_configured' };
+        }
+        const signature = String(req.headers['x-razorpay-signature'] || '').trim();
+        if (!signature) {
+            console.warn('Razorpay webhook missing signature header');
+            return { valid: false, keyVersion: null, reason: 'missing_signature' };
+        }
+        const keyVersion = matchSignature(Buffer.from(signature, 'hex'), rawBodyOf(req), config.webhookSecrets);
+        if (!keyVersion) {
+            console.warn('Razorpay webhook signature did not match');
+            return { valid: false, keyVersion: null, reason: 'signature_mismatch' };
+        }
+        return { valid: true, keyVersion, reason: null };
+    }
+
+    // One Razorpay endpoint receives every event; the event name decides the kind.
+    function parseWebhook(req) {
+        const event = req.body || {};
+        const name = String(event.event || '');
+        const eventId = req.headers['x-razorpay-event-id'] || null;
+        const payload = event.payload || {};
+
+        if (PAYMENT_EVENT_OUTCOMES[name]) {
+            const payment = payload.payment?.entity || {};
+            return {
+                type: 'payment',
+                // Same key shape as Cashfree so both gateways dedupe payment deliveries alike.
+                eventId: webhookEventKey('payment', [payment.order_id, payment.id, name], req),
+                orderId: payment.order_id || null,
+                gatewayPaymentId: payment.id || null,
+                status: String(payment.status || name).toLowerCase(),
+                outcome: PAYMENT_EVENT_OUTCOMES[name],
+                amount: toInr(payment.amount) || 0,
+                raw: event,
+            };
+        }
+        if (REFUND_STATUS_BY_EVENT[name]) {
+            const refund = payload.refund?.entity || {};
+            const refundId = refund.receipt || refund.notes?.refund_id || null;
+            return {
+                type: 'refund',
+                eventId: eventId || webhookEventKey('refund', [refundId || refund.id, name], req),
+                refundId,
+                gatewayRefundId: refund.id || null,
+                status: REFUND_STATUS_BY_EVENT[name],
+                amount: toInr(refund.amount),
+                refundArn: refund.acquirer_data?.arn || null,
+                failureReason: refund.error_description || null,
+                raw: event,
+            };
+        }
+        if (name.startsWith('payout.')) {
+            const payout = payload.payout?.entity || {};
+            return {
+                type: 'payout',
+                eventId: eventId || webhookEventKey('payout', [payout.id, name], req),
+                transferId: payout.reference_id || null,
+                status: PAYOUT_STATUS_BY_EVENT[name] || String(payout.status || name).toLowerCase(),
+                referenceId: payout.id || null,
+                amount: toInr(payout.amount),
+                reason: payout.status_details?.description || payout.failure_reason || null,
+                raw: event,
+            };
+        }
+        // order.paid duplicates payment.captured; anything else is not ours to act on.
+        return { type: 'ignored', eventId: eventId || webhookEventKey(`razorpay:${name || 'unknown'}`, [], req), name, raw: event };
+    }
+
+    // Razorpay orders have no expiry; Checkout's `timeout` closes the modal at `expiresAt` instead.
+    async function createOrder({ orderId, amount, currency = 'INR', customer = {}, expiresAt = null }) {
+        const response = await call('/v1/orders', {
+            body: {
+                amount: toPaise(amount),
+                currency,
+                receipt: orderId.slice(0, 40),
+                notes: { order_id: orderId, customer_id: customer.id || '' },
+            },
+        });
+        return {
+            gatewayOrderId: response.id,
+            paymentLink: null,
+            // Razorpay Checkout is opened client-side with these.
+            checkout: {
+                keyId: config.keyId,
+                orderId: response.id,
+                amount: response.amount,
+                currency: response.currency || currency,
+                timeout: expiresAt ? Math.max(60, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) : undefined,
+            },
+            expiresAt,
+            raw: response,
+        };
+    }
+
+    // Razorpay orders cannot be voided; an order that was never paid is simply abandoned.
+    // A late capture reaches the webhook like any other and is handled there.
+    async function closeOrder(gatewayOrderId) {
+        let order;
+        try {
+            order = await call(`/v1/orders/${encodeURIComponent(gatewayOrderId)}`, { method: 'GET' });
+        } catch (error) {
+            if (error.status === 404 || error.status === 400) return 'closed';
+            throw error;
+        }
+        return String(order?.status || '').toLowerCase() === 'paid' ? 'paid' : 'closed';
+    }
+
+    async function refund({ gatewayPaymentId, amount, refundId, note = null }) {
+        const response = await call(`/v1/payments/${encodeURIComponent(gatewayPaymentId)}/refund`, {
+            headers: { 'X-Refund-Idempotency': refundId },
+            retry: true,
+            body: {
+                amount: toPaise(amount),
+                receipt: refundId,
+                notes: { refund_id: refundId, note: note || 'Refund initiated by Kalaqaar' },
+            },
+        });
+        return {
+            refundId,
+            gatewayRefundId: response?.id || null,
+            status: String(response?.status || '').toLowerCase() || null,
+            raw: response,
+        };
+    }
+
+    // Looked up by Razorpay's refund id when we have it, else by our refund id in `receipt`.
+    async function getRefund({ gatewayPaymentId, gatewayRefundId = null, refundId }) {
+        const base = `/v1/payments/${encodeURIComponent(gatewayPaymentId)}/refunds`;
+        let match = null;
+        if (gatewayRefundId) {
+            try {
+                match = await call(`${base}/${encodeURIComponent(gatewayRefundId)}`, { method: 'GET' });
+            } catch (error) {
+                if (error.status !== 404 && error.status !== 400) throw error;
+            }
+        } else {
+            const response = await call(`${base}?count=100`, { method: 'GET' });
+            match = (response?.items || []).find((r) => r.receipt === refundId || r.notes?.refund_id === refundId) || null;
+        }
+        if (!match) return { found: false, refundId };
+        return {
+            found: true,
+            refundId,
+            status: String(match.status || '').toLowerCase() || null,
+            amount: toInr(match.amount),
+            refundArn: match.acquirer_data?.arn || null,
+            failureReason: match.error_description || null,
+            raw: match,
+        };
+    }
+
+    // RazorpayX has no beneficiary object: a contact plus a bank fund account plays that role.
+    // Both calls are deduplicated by Razorpay when the details are unchanged.
+    async function addBeneficiary({ beneficiaryId, name, email = '', phone = '', bankDetails = {} }) {
+        const contact = await call('/v1/contacts', {
+            product: 'payout',
+            body: { name: name || 'Recipient', email: email || undefined, contact: phone || undefined, type: 'vendor', reference_id: beneficiaryId },
+        });
+        const fundAccount = await call('/v1/fund_accounts', {
+            product: 'payout',
+            body: {
+                contact_id: contact.id,
+                account_type: 'bank_account',
+                bank_account: { name: name || 'Recipient', ifsc: bankDetails.ifsc, account_number: bankDetails.accountNumber },
+            },
+        });
+        return { beneficiaryId: fundAccount.id, contactId: contact.id };
+    }
+
+    async function requestTransfer({ beneficiaryId, transferId, amount, remarks = '' }) {
+        const response = await call('/v1/payouts', {
+            product: 'payout',
+            headers: { 'X-Payout-Idempotency': transferId },
+            retry: true,
+            body: {
+                account_number: config.payoutAccountNumber,
+                fund_account_id: beneficiaryId,
+                amount: toPaise(amount),
+                currency: 'INR',
+                mode: config.payoutMode,
+                purpose: 'payout',
+                queue_if_low_balance: true,
+                reference_id: transferId,
+                narration: String(remarks || '').replace(/[^a-zA-Z0-9 ]/g, ' ').slice(0, 30).trim() || undefined,
+            },
+        });
+        return { transferId, referenceId: response?.id || null, raw: response };
+    }
+
+    return {
+        name: 'razorpay',
+        config,
+        isConfigured: () => config.mock || Boolean(config.keyId && config.keySecret),
+        createOrder,
+        closeOrder,
+        verifyWebhook,
+        parseWebhook,
+        refund,
+        getRefund,
+        addBeneficiary,
+        requestTransfer,
+    };
+}
+
+module.exports = {
+    createRazorpayProvider,
+    resolveRazorpayConfig,
+    createMockTransport,
+};
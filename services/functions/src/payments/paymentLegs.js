@@ -0,0 +1,194 @@
+// services/functions/src/payments/paymentLegs.js
+'use strict';
+
+const PAYMENTS_COLLECTION = 'payments';
+const BOOKINGS_COLLECTION = 'bookings';
+
+// A booking is paid in legs, one payments/{id} doc per checkout attempt:
+// - advance: first payment (the whole amount when nothing is due later)
+// - balance: remainder, requested by the balance-due scheduler
+// - topup: extra charge agreed after booking (ops set booking.paymentStage = 'topup')
+const PAYMENT_LEG_STAGES = ['advance', 'balance', 'topup'];
+const LEG_STAGE_ORDER = { advance: 0, balance: 1, topup: 2 };
+const REFUND_PENDING_STATUSES = new Set(['initiated', 'initiated_partial']);
+// A superseded order paid after its replacement was: money in, owed back to the client, never paid out.
+const DUPLICATE_STATUS = 'paid_duplicate';
+// Orders we closed ourselves: voided by the payment timeout, expired when createOrder replaced them.
+const CLOSED_ORDER_STATUSES = new Set(['voided', 'expired']);
+
+/** Leg stage for a booking.paymentStage / payment.paymentStage value; unknown values are the advance. */
+function legStageOf(value) {
+  const stage = String(value || '').trim().toLowerCase();
+  return PAYMENT_LEG_STAGES.includes(stage) ? stage : 'advance';
+}
+
+function millisOf(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const n = new Date(value).getTime();
+  return Number.isFinite(n) ? n : 0;
+}
+
+function amountOf(value) {
+  const n = Number(value || 0);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function isCaptured(data) {
+  return amountOf(data?.amountPaid) > 0;
+}
+
+// Payment status precedence. Webhooks only move a payment up this ladder, so a late or redelivered
+// FAILED can never undo a capture; a capture is final for webhooks (refunds have their own fields).
+// A flagged payment (`review`) sits level with failed: the gateway's SUCCESS or FAILED still settles it.
+const PAYMENT_STATUS_RANK = { pending: 0, failed: 1, review: 1, paid: 2 };
+const OUTCOME_RANK = {
+  pending: PAYMENT_STATUS_RANK.pending,
+  dropped: PAYMENT_STATUS_RANK.pending,
+  failure: PAYMENT_STATUS_RANK.failed,
+  flagged: PAYMENT_STATUS_RANK.review,
+  success: PAYMENT_STATUS_RANK.paid,
+};
+
+function paymentStatusRank(data) {
+  if (isCaptured(data) || data?.status === 'paid' || data?.status === DUPLICATE_STATUS) return PAYMENT_STATUS_RANK.paid;
+  return PAYMENT_STATUS_RANK[data?.status] || PAYMENT_STATUS_RANK.pending;
+}
+
+/** Whether a webhook outcome (gateways/index.js vocabulary) may be written over the payment's current status. */
+function outcomeAdvancesPayment(data, outcome) {
+  const current = paymentStatusRank(data);
+  if (current === PAYMENT_STATUS_RANK.paid) return false;
+  return outcome in OUTCOME_RANK && OUTCOME_RANK[outcome] >= current;
+}
+
+/** Leg held for ops review (flagged by the gateway, or captured short of amountExpected). */
+function isUnderReview(data) {
+  return data?.status === 'review';
+}
+
+/** Unpaid order that may still be payable at the gateway (a failed attempt leaves the order open). */
+function isOpenOrder(data) {
+  return Boolean(data?.gatewayOrderId) && !isCaptured(data) && data?.status !== 'paid'
+    && !isUnderReview(data) && !CLOSED_ORDER_STATUSES.has(data?.status);
+}
+
+/**
+ * Money totals across a booking's legs (INR):
+ * - paid: captured by the gateway
+ * - refunded: refunds the gateway confirmed; refundPending: initiated, not yet settled
+ * - held: captured and not refunded (or being refunded); what payouts are released from
+ * - duplicate: captured on a superseded order and not yet refunded; excluded from held and byStage
+ * - outstanding: amount of orders created but not (yet) paid
+ */
+function summarizePaymentLegs(legs) {
+  const totals = { paid: 0, refunded: 0, refundPending: 0, held: 0, duplicate: 0, outstanding: 0, byStage: {} };
+  for (const leg of legs || []) {
+    const data = leg.data || {};
+    if (!isCaptured(data)) {
+      if (data.status !== 'failed' && !CLOSED_ORDER_STATUSES.has(data.status)) {
+        totals.outstanding += amountOf(data.amountExpected);
+      }
+      continue;
+    }
+    const paid = amountOf(data.amountPaid);
+    const refundAmount = Math.min(paid, amountOf(data.refundAmount));
+    const refunded = data.refundStatus === 'processed' ? refundAmount : 0;
+    const refundPending = REFUND_PENDING_STATUSES.has(data.refundStatus) ? refundAmount : 0;
+    totals.paid += paid;
+    totals.refunded += refunded;
+    totals.refundPending += refundPending;
+    if (data.status === DUPLICATE_STATUS) {
+      totals.duplicate += paid - refunded - refundPending;
+      continue;
+    }
+    totals.held += paid - refunded - refundPending;
+    totals.byStage[leg.stage] = (totals.byStage[leg.stage] || 0) + paid;
+  }
+  return totals;
+}
+
+/** Captured legs, oldest first. Duplicates are included: refunds must reach them too. */
+function capturedLegs(legs) {
+  return (legs || []).filter((leg) => isCaptured(leg.data));
+}
+
+/**
+ * The leg that carries the booking's payout state (releasePlan, payouts.*). The release plan is
+ * written once, onto the first captured leg, and stays there even after later legs are captured.
+ */
+function settlementLegOf(legs) {
+  return (legs || []).find((leg) => leg.data?.releasePlan)
+    || capturedLegs(legs).find((leg) => leg.data.status !== DUPLICATE_STATUS)
+    || null;
+}
+
+/**
+ * Reads and indexes the payment legs of a booking. Every consumer that used to take the first
+ * `payments.where('bookingId', '==', id)` match goes through here instead.
+ */
+function buildPaymentLegs({ admin, db }) {
+  const FieldValue = admin.firestore.FieldValue;
+
+  /** All payment docs of a booking as `{ ref, id, stage, data }`, in payment order. */
+  async function loadPaymentLegs(bookingId) {
+    const snap = await db.collection(PAYMENTS_COLLECTION).where('bookingId', '==', bookingId).get();
+    return snap.docs
+      .map((doc) => {
+        const data = doc.data() || {};
+        return { ref: doc.ref, id: doc.id, stage: legStageOf(data.paymentStage), data };
+      })
+      .sort((a, b) => (LEG_STAGE_ORDER[a.stage] - LEG_STAGE_ORDER[b.stage])
+        || (millisOf(a.data.createdAt) - millisOf(b.data.createdAt)));
+  }
+
+  /** `{ legs, settlement, totals }` for a booking; `settlement` is null until a leg is captured. */
+  async function loadBookingPayments(bookingId) {
+    const legs = await loadPaymentLegs(bookingId);
+    return { legs, settlement: settlementLegOf(legs), totals: summarizePaymentLegs(legs) };
+  }
+
+  /**
+   * Mirrors the legs onto the booking (`paymentLegs.{paymentId}` + `paymentTotals`) so clients and
+   * admin screens can read them without querying payments. Call after a leg's money changes.
+   */
+  async function syncBookingPaymentTotals(bookingId) {
+    if (!bookingId) return null;
+    const legs = await loadPaymentLegs(bookingId);
+    const totals = summarizePaymentLegs(legs);
+    const paymentLegs = {};
+    for (const leg of legs) {
+      paymentLegs[leg.id] = {
+        stage: leg.stage,
+        status: leg.data.status || null,
+        gateway: leg.data.gateway || null,
+        amountExpected: amountOf(leg.data.amountExpected),
+        amountPaid: amountOf(leg.data.amountPaid),
+        refundAmount: amountOf(leg.data.refundAmount),
+        refundStatus: leg.data.refundStatus || null,
+      };
+    }
+    await db.collection(BOOKINGS_COLLECTION).doc(bookingId).set({
+      paymentLegs,
+      paymentTotals: { ...totals, updatedAt: FieldValue.serverTimestamp() },
+    }, { merge: true });
+    return totals;
+  }
+
+  return {
+    loadPaymentLegs,
+    loadBookingPayments,
+    syncBookingPaymentTotals,
+  };
+}
+
+module.exports = buildPaymentLegs;
+module.exports.PAYMENT_LEG_STAGES = PAYMENT_LEG_STAGES;
+module.exports.legStageOf = legStageOf;
+module.exports.summarizePaymentLegs = summarizePaymentLegs;
+module.exports.capturedLegs = capturedLegs;
+module.exports.isCaptured = isCaptured;
+module.exports.isOpenOrder = isOpenOrder;
+module.exports.isUnderReview = isUnderReview;
+module.exports.outcomeAdvancesPayment = outcomeAdvancesPayment;
+module.exports.settlementLegOf = settlementLegOf;
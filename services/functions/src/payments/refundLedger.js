@@ -0,0 +1,170 @@
+// services/functions/src/payments/refundLedger.js
+'use strict';
+
+const crypto = require('crypto');
+
+const REFUNDS_COLLECTION = 'refunds';
+
+// A leg locked for longer than this without an outcome (crashed instance) may be retried.
+const REFUND_LOCK_TTL_MS = 2 * 60 * 1000;
+// Refunds in these states exist at the gateway and have not failed; retries return them instead of
+// refunding again.
+const SETTLED_REFUND_STATUSES = new Set(['initiated', 'initiated_partial', 'processed']);
+// A refund the gateway rejected (or never accepted) may be sent again.
+const RETRYABLE_REFUND_STATUSES = new Set(['failed', 'failed_to_initiate']);
+const LEDGER_REFUND_ID = /^rf_[0-9a-f]{32}$/;
+
+/**
+ * Deterministic Cashfree refund_id for one refund attempt on a booking's payment leg (Cashfree caps
+ * refund_id at 40 chars). The same booking + leg + sequence always maps to the same id, so Cashfree
+ * dedupes even if our lock is lost. Sequence 1 keeps the pre-sequence id of ledger docs already written.
+ */
+function refundIdFor(bookingId, paymentId, sequence = 1) {
+  const key = sequence > 1 ? `${bookingId}:${paymentId}:${sequence}` : `${bookingId}:${paymentId}`;
+  const digest = crypto.createHash('sha256').update(key).digest('hex');
+  return `rf_${digest.slice(0, 32)}`;
+}
+
+/** Whether a refund id was issued by this ledger (older refunds used `refund_<bookingId>_<ms>`). */
+function isLedgerRefundId(refundId) {
+  return LEDGER_REFUND_ID.test(String(refundId || ''));
+}
+
+/** Whether a payment leg's refundStatus leaves the leg free to be refunded (again). */
+function isRefundRetryable(refundStatus) {
+  return !refundStatus || RETRYABLE_REFUND_STATUSES.has(refundStatus);
+}
+
+class RefundInProgressError extends Error {
+  constructor(refundId) {
+    super(`Refund ${refundId} is already being initiated`);
+    this.name = 'RefundInProgressError';
+    this.code = 'refund-in-progress';
+    this.refundId = refundId;
+  }
+}
+
+/**
+ * `refunds/{refundId}` ledger: one doc per refund attempt on a booking payment leg.
+ * A leg's refunds are told apart by amount: a call for the same leg and amount is a retry of the
+ * same tranche, any other amount (e.g. the held part refunded after a partial refund) is a new one.
+ * The attempt is locked in a transaction before the gateway is called; a retry whose refund already
+ * exists returns it without calling the gateway again, and a retry after the gateway failed the
+ * refund sends a new attempt with the next sequence (and so a new refund_id).
+ */
+function buildRefundLedger({ admin, db }) {
+  const FieldValue = admin.firestore.FieldValue;
+
+  // Attempt a call for (leg, amount) should use: the tranche's latest attempt unless the gateway
+  // failed it, otherwise a fresh one after the leg's highest sequence.
+  function attemptFor(attempts, amount) {
+    const sorted = attempts
+      .map((doc) => ({ id: doc.id, data: doc.data() || {} }))
+      .sort((a, b) => Number(a.data.sequence || 1) - Number(b.data.sequence || 1));
+    const lastSequence = sorted.length ? Number(sorted[sorted.length - 1].data.sequence || 1) : 0;
+    const tranche = sorted.filter((a) => Number(a.data.amount) === Number(amount)).pop() || null;
+    if (tranche && tranche.data.status !== 'failed') {
+      return { sequence: Number(tranche.data.sequence || 1), data: tranche.data };
+    }
+    return { sequence: lastSequence + 1, data: null };
+  }
+
+  /**
+   * Refunds one payment leg at most once per amount.
+   * @param {object} params
+   * @param {string} params.bookingId
+   * @param {string} params.paymentId payments/{id} of the leg
+   * @param {string|null} params.stage 'advance' | 'balance' | ...
+   * @param {number} params.amount Refund amount (INR); identifies the tranche
+   * @param {number} [params.holdAmount]
+   * @param {string} params.actor
+   * @param {string|null} [params.note]
+   * @param {(refundId: string) => Promise<object>} params.send Calls the gateway with the given refund_id.
+   * @returns {Promise<{ refundId: string, existing: boolean, refund: object }>}
+   */
+  async function runRefundLeg({ bookingId, paymentId, stage = null, amount, holdAmount = 0, actor, note = null, send }) {
+    const attemptsQuery = db.collection(REFUNDS_COLLECTION)
+      .where('bookingId', '==', bookingId)
+      .where('paymentId', '==', paymentId);
+
+    let refundId = null;
+    let ref = null;
+    let existing = null;
+    await db.runTransaction(async (tx) => {
+      const { sequence, data } = attemptFor((await tx.get(attemptsQuery)).docs, amount);
+      refundId = refundIdFor(bookingId, paymentId, sequence);
+      ref = db.collection(REFUNDS_COLLECTION).doc(refundId);
+      if (data && SETTLED_REFUND_STATUSES.has(data.status)) {
+        existing = data;
+        return;
+      }
+      if (data && data.status === 'in_flight' && Date.now() - Number(data.lockedAtMs || 0) < REFUND_LOCK_TTL_MS) {
+        throw new RefundInProgressError(refundId);
+      }
+      tx.set(ref, {
+        refundId,
+        bookingId,
+        paymentId,
+        sequence,
+        stage,
+        amount,
+        holdAmount,
+        note,
+        requestedBy: actor || null,
+        status: 'in_flight',
+        lockedAtMs: Date.now(),
+        attempts: FieldValue.increment(1),
+        createdAt: data?.createdAt || FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    });
+    if (existing) return { refundId, existing: true, refund: existing };
+
+    let gatewayResponse;
+    try {
+      gatewayResponse = await send(refundId);
+    } catch (error) {
+      await ref.set({
+        status: 'failed_to_initiate',
+        error: String(error?.message || error),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true }).catch(() => {});
+      throw error;
+    }
+
+    const status = holdAmount > 0 ? 'initiated_partial' : 'initiated';
+    await ref.set({
+      status,
+      gatewayResponse: gatewayResponse || null,
+      initiatedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { refundId, existing: false, refund: { refundId, bookingId, paymentId, stage, amount, holdAmount, status, gatewayResponse } };
+  }
+
+  /**
+   * Mirrors a gateway outcome (refund webhook / reconciler) onto the ledger doc.
+   * Refunds issued before the ledger existed have no doc; those are left alone.
+   */
+  async function markRefundLeg(refundId, status, extra = {}) {
+    if (!refundId) return;
+    const ref = db.collection(REFUNDS_COLLECTION).doc(refundId);
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return;
+      tx.update(ref, { status, ...extra, updatedAt: FieldValue.serverTimestamp() });
+    });
+  }
+
+  return {
+    runRefundLeg,
+    markRefundLeg,
+  };
+}
+
+module.exports = buildRefundLedger;
+module.exports.refundIdFor = refundIdFor;
+module.exports.isLedgerRefundId = isLedgerRefundId;
+module.exports.isRefundRetryable = isRefundRetryable;
+module.exports.RefundInProgressError = RefundInProgressError;
+module.exports.REFUNDS_COLLECTION = REFUNDS_COLLECTION;
@@ -0,0 +1,113 @@
+'use strict';
+
+// Wires payments/cashfree.js to the in-memory Firestore and the fake Cashfree gateway, the way
+// tools/payments_e2e_flow.js does against the emulator.
+
+const crypto = require('crypto');
+const functions = require('firebase-functions/v1');
+const buildCashfreeIntegration = require('../../src/payments/cashfree');
+const { buildPaymentGateways } = require('../../src/payments/gateways');
+const { createFakeCashfree } = require('../../src/payments/gateways/fakeCashfree');
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+/** Minimal Express-style response that records what a webhook handler sent. */
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function callWebhook(handler, req) {
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+function createCashfreeHarness({ roles = {} } = {}) {
+  const { admin, db } = createMemoryFirestore();
+  const notifications = [];
+  const sendNotification = async (userId, type, payload) => {
+    notifications.push({ userId, type, payload });
+  };
+  const fake = createFakeCashfree();
+  const payments = buildCashfreeIntegration({
+    admin,
+    functions,
+    fetch: null,
+    db,
+    pubsub: { topic: () => ({ get: async () => {}, publishMessage: async () => 'msg' }) },
+    adminApi: { checkUserRole: async (uid) => ({ role: roles[uid] || 'client' }) },
+    computeDistribution: (amount) => ({ artistGross: amount, artistNet: amount }),
+    applyAutoPromoSpend: async () => ({ applied: false }),
+    sendNotification,
+    notifyAdmin: async (type, payload) => notifications.push({ userId: 'admin', type, payload }),
+    KPIS: { funnels: { bookingPaid: async () => {} } },
+    paymentGateways: buildPaymentGateways({
+      env: { PAYMENT_GATEWAY_ORDER: 'cashfree' },
+      providers: { cashfree: fake.provider },
+    }),
+  });
+  fake.attach({
+    payment: payments.handlePaymentWebhook,
+    refund: payments.handleRefundWebhook,
+    payout: payments.handlePayoutWebhook,
+  });
+  /** Seeds a gig booking awaiting its advance (and the client/artist docs createOrder reads). */
+  async function seedBooking(bookingId, { advance = 3000, balance = 7000, ...fields } = {}) {
+    await db.collection('users').doc('client1').set({ displayName: 'Client' });
+    await db.collection('users').doc('artist1').set({ displayName: 'Artist' });
+    await db.collection('bookings').doc(bookingId).set({
+      type: 'gig',
+      status: 'pending_payment',
+      clientId: 'client1',
+      artistId: 'artist1',
+      amount: advance,
+      amountDueNow: advance,
+      amountDueLater: balance,
+      amountTotal: advance + balance,
+      paymentStage: 'advance',
+      ...fields,
+    });
+  }
+
+  /** Client checkout: creates the order and has the fake deliver its payment webhook. */
+  async function pay(bookingId, options = {}) {
+    const order = await payments.createOrder({ bookingId }, { auth: { uid: 'client1' } });
+    const { paymentId, delivery } = await fake.pay(order.gatewayOrderId, options);
+    return { order, paymentId, delivery };
+  }
+
+  /**
+   * A webhook request signed like Cashfree signs `kind` (base64 HMAC of timestamp + raw body) with the
+   * endpoint's active secret. Pass `timestamp: null` to send no timestamp header.
+   */
+  function webhookRequest(kind, payload, { timestamp = String(Date.now()), secret = null, encoding = 'base64' } = {}) {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    const key = secret || fake.config.webhookSecrets[kind][0].secret;
+    const hmac = crypto.createHmac('sha256', key);
+    if (timestamp !== null) hmac.update(timestamp);
+    const headers = {
+      'content-type': 'application/json',
+      'x-webhook-signature': hmac.update(rawBody).digest(encoding),
+    };
+    if (timestamp !== null) headers['x-webhook-timestamp'] = timestamp;
+    return { method: 'POST', headers, body: payload, rawBody };
+  }
+
+  return { admin, db, fake, payments, notifications, seedBooking, pay, webhookRequest };
+}
+
+module.exports = { createCashfreeHarness, callWebhook };
@@ -0,0 +1,265 @@
+'use strict';
+
+// In-memory stand-in for the slice of the Firestore Admin API the function builders use
+// (docs, collections, simple and collection group queries, transactions, batches and FieldValue sentinels).
+// Transactions run once and apply their writes after the callback resolves.
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+    this.seconds = Math.floor(millis / 1000);
+    this.nanoseconds = (millis % 1000) * 1e6;
+  }
+
+  static now() { return new Timestamp(Date.now()); }
+  static fromMillis(millis) { return new Timestamp(millis); }
+  static fromDate(date) { return new Timestamp(date.getTime()); }
+  toMillis() { return this.millis; }
+  toDate() { return new Date(this.millis); }
+}
+
+class Sentinel {
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel('serverTimestamp'),
+  increment: (n) => new Sentinel('increment', n),
+  delete: () => new Sentinel('delete'),
+  arrayUnion: (...values) => new Sentinel('arrayUnion', values),
+  arrayRemove: (...values) => new Sentinel('arrayRemove', values),
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && value.constructor === Object;
+}
+
+function clone(value) {
+  if (value instanceof Timestamp || value instanceof Sentinel) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+function resolveSentinel(current, value) {
+  if (!(value instanceof Sentinel)) return clone(value);
+  switch (value.kind) {
+    case 'serverTimestamp': return Timestamp.now();
+    case 'increment': return Number(current || 0) + value.value;
+    case 'arrayUnion': {
+      const out = Array.isArray(current) ? [...current] : [];
+      for (const v of value.value) if (!out.includes(v)) out.push(v);
+      return out;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter((v) => !value.value.includes(v));
+    default:
+      throw new Error(`Unsupported sentinel ${value.kind}`);
+  }
+}
+
+function setPath(target, parts, value) {
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  const last = parts[parts.length - 1];
+  if (value instanceof Sentinel && value.kind === 'delete') {
+    delete node[last];
+  } else {
+    node[last] = resolveSentinel(node[last], value);
+  }
+}
+
+function mergeInto(target, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = {};
+      mergeInto(target[key], value);
+    } else {
+      setPath(target, [key], value);
+    }
+  }
+}
+
+function getField(data, field) {
+  return String(field).split('.').reduce((node, part) => (node == null ? undefined : node[part]), data);
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function matches(data, { field, op, value }) {
+  const actual = comparable(getField(data, field));
+  const expected = comparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== undefined && actual !== expected;
+    case 'in': return expected.map(comparable).includes(actual);
+    case 'not-in': return actual !== undefined && !expected.map(comparable).includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+    case '<': return actual !== undefined && actual !== null && actual < expected;
+    case '<=': return actual !== undefined && actual !== null && actual <= expected;
+    case '>': return actual !== undefined && actual !== null && actual > expected;
+    case '>=': return actual !== undefined && actual !== null && actual >= expected;
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+function createMemoryFirestore() {
+  const docs = new Map();
+  let autoId = 0;
+
+  function snapshotOf(ref) {
+    const data = docs.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (field) => (data === undefined ? undefined : clone(getField(data, field))),
+    };
+  }
+
+  function write(ref, kind, data, options = {}) {
+    const existing = docs.get(ref.path);
+    if (kind === 'create' && existing !== undefined) {
+      const error = new Error(`Document already exists: ${ref.path}`);
+      error.code = 6;
+      throw error;
+    }
+    if (kind === 'update' && existing === undefined) {
+      const error = new Error(`No document to update: ${ref.path}`);
+      error.code = 5;
+      throw error;
+    }
+    if (kind === 'delete') {
+      docs.delete(ref.path);
+      return;
+    }
+    if (kind === 'update') {
+      const next = clone(existing);
+      for (const [key, value] of Object.entries(data)) setPath(next, key.split('.'), value);
+      docs.set(ref.path, next);
+      return;
+    }
+    const next = kind === 'set' && options.merge && existing !== undefined ? clone(existing) : {};
+    mergeInto(next, data);
+    docs.set(ref.path, next);
+  }
+
+  function docRef(path) {
+    const parts = path.split('/');
+    const ref = {
+      id: parts[parts.length - 1],
+      path,
+      get parent() { return collectionRef(parts.slice(0, -1).join('/')); },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      set: async (data, options) => write(ref, 'set', data, options),
+      update: async (data) => write(ref, 'update', data),
+      create: async (data) => write(ref, 'create', data),
+      delete: async () => write(ref, 'delete'),
+    };
+    return ref;
+  }
+
+  // `path` is a collection path, or { group } for a collection group query.
+  function query(path, filters = [], order = [], max = null) {
+    const inScope = typeof path === 'string'
+      ? (key) => key.startsWith(`${path}/`) && key.split('/').length === path.split('/').length + 1
+      : (key) => key.split('/').slice(-2, -1)[0] === path.group;
+    return {
+      where: (field, op, value) => query(path, [...filters, { field, op, value }], order, max),
+      orderBy: (field, dir = 'asc') => query(path, filters, [...order, { field, dir }], max),
+      limit: (n) => query(path, filters, order, n),
+      get: async () => {
+        let refs = [...docs.keys()]
+          .filter(inScope)
+          .map(docRef)
+          .filter((ref) => filters.every((filter) => matches(docs.get(ref.path), filter)));
+        for (const { field, dir } of [...order].reverse()) {
+          refs = refs.sort((a, b) => {
+            const x = comparable(getField(docs.get(a.path), field));
+            const y = comparable(getField(docs.get(b.path), field));
+            if (x === y) return 0;
+            return (x < y ? -1 : 1) * (dir === 'desc' ? -1 : 1);
+          });
+        }
+        if (max != null) refs = refs.slice(0, max);
+        const snaps = refs.map(snapshotOf);
+        return { docs: snaps, empty: snaps.length === 0, size: snaps.length, forEach: (fn) => snaps.forEach(fn) };
+      },
+    };
+  }
+
+  function collectionRef(path) {
+    const parts = path.split('/');
+    return {
+      id: parts[parts.length - 1],
+      path,
+      get parent() { return parts.length > 1 ? docRef(parts.slice(0, -1).join('/')) : null; },
+      ...query(path),
+      doc: (id) => {
+        autoId += 1;
+        return docRef(`${path}/${id || `auto${autoId}`}`);
+      },
+      add: async (data) => {
+        autoId += 1;
+        const ref = docRef(`${path}/auto${autoId}`);
+        write(ref, 'set', data);
+        return ref;
+      },
+    };
+  }
+
+  function writeBuffer() {
+    const writes = [];
+    const buffer = {
+      set: (ref, data, options) => { writes.push(() => write(ref, 'set', data, options)); return buffer; },
+      update: (ref, data) => { writes.push(() => write(ref, 'update', data)); return buffer; },
+      create: (ref, data) => { writes.push(() => write(ref, 'create', data)); return buffer; },
+      delete: (ref) => { writes.push(() => write(ref, 'delete')); return buffer; },
+      flush: () => writes.forEach((apply) => apply()),
+    };
+    return buffer;
+  }
+
+  const db = {
+    collection: collectionRef,
+    collectionGroup: (id) => query({ group: id }),
+    doc: docRef,
+    batch: () => {
+      const buffer = writeBuffer();
+      return { ...buffer, commit: async () => buffer.flush() };
+    },
+    runTransaction: async (fn) => {
+      const buffer = writeBuffer();
+      const tx = { ...buffer, get: (ref) => ref.get() };
+      const result = await fn(tx);
+      buffer.flush();
+      return result;
+    },
+    /** Test helper: raw stored data for a path, or undefined. */
+    dump: (path) => clone(docs.get(path)),
+  };
+
+  const admin = {
+    firestore: Object.assign(() => db, { FieldValue, Timestamp }),
+  };
+
+  return { admin, db };
+}
+
+module.exports = { createMemoryFirestore, Timestamp, FieldValue };
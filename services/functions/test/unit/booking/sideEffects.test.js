@@ -0,0 +1,134 @@
+'use strict';
+
+const buildTransitionEffects = require('../../../src/booking/sideEffects');
+const { createMemoryFirestore } = require('../../support/memoryFirestore');
+
+function setup() {
+  const { admin, db } = createMemoryFirestore();
+  const sendNotification = jest.fn().mockResolvedValue(undefined);
+  const { runTransitionEffects, sweepTransitionEffects } = buildTransitionEffects({ admin, db, sendNotification });
+  return { db, sendNotification, runTransitionEffects, sweepTransitionEffects };
+}
+
+async function seedPaidTransition(db, effectContext, { booking = {}, transition: fields = {} } = {}) {
+  await db.collection('bookings').doc('b1').set({
+    status: 'paid',
+    type: 'gig',
+    clientId: 'client1',
+    artistId: 'artist1',
+    advancePaid: true,
+    calendarLocked: true,
+    ...booking,
+  });
+  const transition = { bookingId: 'b1', from: 'pending_payment', to: 'paid', effectContext, ...fields };
+  await db.collection('bookings').doc('b1').collection('transitions').doc('t1').set(transition);
+  return transition;
+}
+
+describe('runTransitionEffects payment stages', () => {
+  it('notifies and opens the follow-up task for the advance capture', async () => {
+    const { db, sendNotification, runTransitionEffects } = setup();
+    const transition = await seedPaidTransition(db, { amount: 500, stage: 'advance' });
+
+    await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+
+    expect(sendNotification).toHaveBeenCalledWith('client1', 'payment_success', expect.objectContaining({ bookingId: 'b1' }));
+    expect(db.dump('adminTasks/b1_gig_followup_call_t1')).toMatchObject({ type: 'gig_followup_call' });
+  });
+
+  it('treats a transition logged without a stage as the advance', async () => {
+    const { db, sendNotification, runTransitionEffects } = setup();
+    const transition = await seedPaidTransition(db, { amount: 500 });
+
+    await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+
+    expect(sendNotification).toHaveBeenCalled();
+    expect(db.dump('adminTasks/b1_gig_followup_call_t1')).toBeDefined();
+  });
+
+  it('skips payment_success and the follow-up task for the balance capture', async () => {
+    const { db, sendNotification, runTransitionEffects } = setup();
+    const transition = await seedPaidTransition(db, { amount: 1500, stage: 'balance' });
+
+    const result = await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+
+    expect(result.ran).toBe(1);
+    expect(sendNotification).not.toHaveBeenCalled();
+    expect(db.dump('adminTasks/b1_gig_followup_call_t1')).toBeUndefined();
+  });
+
+  it('does not repeat finished effects when the trigger is redelivered', async () => {
+    const { db, sendNotification, runTransitionEffects } = setup();
+    const transition = await seedPaidTransition(db, { amount: 500, stage: 'advance' });
+
+    await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+    const again = await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+
+    expect(again.ran).toBe(0);
+    expect(sendNotification).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('sweepTransitionEffects', () => {
+  const EFFECT_CLAIM_TTL_MS = 5 * 60 * 1000;
+  const unlockedCalendar = { booking: { calendarLocked: false, eventDate: '2026-12-01' } };
+  let now;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('retries a failed effect once it has been idle for the claim window', async () => {
+    const { db, sendNotification, runTransitionEffects, sweepTransitionEffects } = setup();
+    const transition = await seedPaidTransition(db, { amount: 500, stage: 'advance' }, unlockedCalendar);
+    jest.spyOn(db, 'batch').mockImplementationOnce(() => { throw new Error('firestore unavailable'); });
+
+    const first = await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+
+    expect(first).toEqual({ ran: 2, effectsStatus: 'failed' });
+    expect(db.dump('bookings/b1/transitions/t1').effects['0_block_calendar']).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(await sweepTransitionEffects()).toMatchObject({ swept: 0 });
+
+    now += EFFECT_CLAIM_TTL_MS;
+    expect(await sweepTransitionEffects()).toMatchObject({ swept: 1, done: 1 });
+
+    expect(db.dump('calendar_blocks/artist1_2026-12-01')).toMatchObject({ bookingId: 'b1', status: 'blocked' });
+    expect(db.dump('bookings/b1/transitions/t1').effectsStatus).toBe('done');
+    expect(sendNotification).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs a transition the trigger never finished', async () => {
+    const { db, sendNotification, sweepTransitionEffects } = setup();
+    await seedPaidTransition(db, { amount: 500, stage: 'advance' }, { transition: { effectsStatus: 'pending', effectsCheckedAtMs: now } });
+
+    now += EFFECT_CLAIM_TTL_MS;
+    await sweepTransitionEffects();
+
+    expect(sendNotification).toHaveBeenCalledWith('client1', 'payment_success', expect.objectContaining({ bookingId: 'b1' }));
+    expect(db.dump('bookings/b1/transitions/t1').effectsStatus).toBe('done');
+  });
+
+  it('gives up on an effect that keeps failing and raises an admin task', async () => {
+    const { db, runTransitionEffects, sweepTransitionEffects } = setup();
+    const transition = await seedPaidTransition(db, { amount: 500, stage: 'advance' }, unlockedCalendar);
+    jest.spyOn(db, 'batch').mockImplementation(() => { throw new Error('firestore unavailable'); });
+
+    await runTransitionEffects({ bookingId: 'b1', transitionId: 't1', transition });
+    for (let run = 0; run < 5; run += 1) {
+      now += EFFECT_CLAIM_TTL_MS;
+      await sweepTransitionEffects();
+    }
+
+    const logged = db.dump('bookings/b1/transitions/t1');
+    expect(logged.effectsStatus).toBe('abandoned');
+    expect(logged.effects['0_block_calendar']).toMatchObject({ status: 'failed', attempts: 5, error: 'firestore unavailable' });
+    expect(db.dump('adminTasks/b1_transition_effect_failed_t1')).toMatchObject({ type: 'transition_effect_failed', transitionId: 't1', priority: 'high' });
+
+    now += EFFECT_CLAIM_TTL_MS;
+    expect(await sweepTransitionEffects()).toMatchObject({ swept: 0 });
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const {
+  GIG_TRANSITIONS,
+  PROJECT_TRANSITIONS,
+  INITIAL_STATUS_BY_BOOKING_TYPE,
+  TRANSITION_EFFECTS,
+  TRANSITION_GUARDS,
+  canTransition,
+  assertTransition,
+  sideEffectsFor,
+  guardsFor,
+  bookingTypeOf,
+  InvalidTransitionError,
+  ConcurrentTransitionError,
+} = require('../../../src/booking/stateMachine');
+const { toTransitionHttpsError } = require('../../../src/booking/transitionService');
+
+describe('booking state machine tables', () => {
+  it('only names known statuses as targets', () => {
+    for (const table of [GIG_TRANSITIONS, PROJECT_TRANSITIONS]) {
+      for (const targets of Object.values(table)) {
+        for (const to of targets) {
+          expect(table).toHaveProperty(to);
+        }
+      }
+    }
+  });
+
+  it('keeps refunded terminal', () => {
+    expect(GIG_TRANSITIONS.refunded.size).toBe(0);
+    expect(canTransition('refunded', 'pending_payment')).toBe(false);
+  });
+
+  it('starts projects in pending_payment and keeps their table to reachable statuses', () => {
+    expect(INITIAL_STATUS_BY_BOOKING_TYPE.project).toBe('pending_payment');
+    expect(Object.keys(PROJECT_TRANSITIONS)).toEqual(Object.keys(GIG_TRANSITIONS));
+    expect(canTransition('pending_payment', 'paid', 'project')).toBe(true);
+  });
+
+  it('treats a same-status write as allowed and a missing status as not', () => {
+    expect(canTransition('paid', 'paid')).toBe(true);
+    expect(canTransition('', 'paid')).toBe(false);
+    expect(canTransition('paid', null)).toBe(false);
+  });
+
+  it('normalises case and whitespace', () => {
+    expect(canTransition(' Pending_Payment ', 'PAID')).toBe(true);
+  });
+
+  it('reads the booking type from type or bookingType', () => {
+    expect(bookingTypeOf({ type: 'project' })).toBe('project');
+    expect(bookingTypeOf({ bookingType: 'Project' })).toBe('project');
+    expect(bookingTypeOf({})).toBe('gig');
+  });
+
+  it('throws InvalidTransitionError with from/to for an illegal move', () => {
+    expect(() => assertTransition('completed', 'pending_payment')).toThrow(InvalidTransitionError);
+    try {
+      assertTransition('completed', 'pending_payment');
+    } catch (error) {
+      expect(error.from).toBe('completed');
+      expect(error.to).toBe('pending_payment');
+      expect(error.bookingType).toBe('gig');
+    }
+  });
+});
+
+describe('booking transition effects and guards', () => {
+  it('only declares effects and guards for edges in the tables', () => {
+    const keys = [...Object.keys(TRANSITION_EFFECTS), ...Object.keys(TRANSITION_GUARDS)];
+    for (const key of keys) {
+      const [from, to] = key.split('->');
+      if (from === '*') {
+        expect(PROJECT_TRANSITIONS).toHaveProperty(to);
+        continue;
+      }
+      expect(canTransition(from, to, 'project')).toBe(true);
+    }
+  });
+
+  it('combines exact and wildcard effects', () => {
+    const types = sideEffectsFor('paid', 'needs_replacement').map((effect) => effect.type);
+    expect(types).toEqual(['release_calendar', 'create_admin_task']);
+    expect(sideEffectsFor('paid', 'paid')).toEqual([]);
+  });
+
+  it('lets a capture after a failed attempt pay the booking', () => {
+    expect(canTransition('payment_failed', 'paid')).toBe(true);
+    expect(guardsFor('payment_failed', 'paid')).toEqual({ roles: ['system'], payment: 'gateway_capture_success' });
+    expect(sideEffectsFor('payment_failed', 'paid')).toEqual(sideEffectsFor('pending_payment', 'paid'));
+  });
+
+  it('prefers the exact guard over the wildcard', () => {
+    expect(guardsFor('pending_payment', 'paid')).toEqual({ roles: ['system'], payment: 'gateway_capture_success' });
+    expect(guardsFor('paid', 'cancelled').roles).toContain('client');
+    expect(guardsFor('paid', 'confirmed')).toBeNull();
+  });
+});
+
+describe('toTransitionHttpsError', () => {
+  it('maps an illegal move to failed-precondition', () => {
+    const mapped = toTransitionHttpsError(new InvalidTransitionError('completed', 'paid'));
+    expect(mapped.code).toBe('failed-precondition');
+    expect(mapped.details).toEqual({ from: 'completed', to: 'paid' });
+  });
+
+  it('maps a concurrent change to aborted', () => {
+    const mapped = toTransitionHttpsError(new ConcurrentTransitionError('b1', 'paid', 'cancelled'));
+    expect(mapped.code).toBe('aborted');
+    expect(mapped.details).toEqual({ expected: 'paid', actual: 'cancelled' });
+  });
+
+  it('returns other errors unchanged', () => {
+    const error = new Error('boom');
+    expect(toTransitionHttpsError(error)).toBe(error);
+  });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const buildBookingTransitions = require('../../../src/booking/transitionService');
+const { InvalidTransitionError, ConcurrentTransitionError } = require('../../../src/booking/stateMachine');
+const { createMemoryFirestore } = require('../../support/memoryFirestore');
+
+function setup(booking) {
+  const { admin, db } = createMemoryFirestore();
+  const service = buildBookingTransitions({ admin, db });
+  return db.collection('bookings').doc('b1').set(booking).then(() => ({ db, ...service }));
+}
+
+describe('transitionBooking', () => {
+  it('writes the status and logs the transition with its effect context', async () => {
+    const { db, transitionBooking, listTransitions } = await setup({ status: 'pending_payment', type: 'gig' });
+
+    await transitionBooking({
+      bookingId: 'b1',
+      from: 'pending_payment',
+      to: 'paid',
+      actor: 'system_cashfree_webhook',
+      reason: 'advance_captured',
+      update: { advancePaid: true },
+      effectContext: { amount: 500, stage: 'advance' },
+    });
+
+    expect(db.dump('bookings/b1')).toMatchObject({ status: 'paid', advancePaid: true });
+    const [entry] = await listTransitions('b1');
+    expect(entry).toMatchObject({
+      from: 'pending_payment',
+      to: 'paid',
+      actorType: 'system',
+      effectContext: { amount: 500, stage: 'advance' },
+      effectsStatus: 'pending',
+    });
+  });
+
+  it('accepts a capture after a failed attempt', async () => {
+    const { db, transitionBooking, listTransitions } = await setup({ status: 'pending_payment', type: 'gig' });
+
+    await transitionBooking({ bookingId: 'b1', from: 'pending_payment', to: 'payment_failed', actor: 'system_cashfree_webhook' });
+    await transitionBooking({ bookingId: 'b1', from: 'payment_failed', to: 'paid', actor: 'system_cashfree_webhook' });
+
+    expect(db.dump('bookings/b1').status).toBe('paid');
+    expect((await listTransitions('b1')).map((t) => t.to)).toEqual(['payment_failed', 'paid']);
+  });
+
+  it('opens the payment window once, not on a retry after a failed attempt', async () => {
+    const { db, transitionBooking } = await setup({ status: 'paid', type: 'gig' });
+
+    await transitionBooking({ bookingId: 'b1', from: 'paid', to: 'pending_payment', actor: 'system_due_scheduler' });
+    const opened = db.dump('bookings/b1').pendingPaymentSince;
+    expect(opened).toBeDefined();
+
+    await transitionBooking({ bookingId: 'b1', from: 'pending_payment', to: 'payment_failed', actor: 'system_cashfree_webhook' });
+    await transitionBooking({ bookingId: 'b1', from: 'payment_failed', to: 'pending_payment', actor: 'client1' });
+    expect(db.dump('bookings/b1').pendingPaymentSince).toBe(opened);
+  });
+
+  it('builds the update from the booking read inside the transaction', async () => {
+    const { db, transitionBooking } = await setup({ status: 'needs_replacement', type: 'gig', assignedArtistIds: ['old', 'other'] });
+
+    await transitionBooking({
+      bookingId: 'b1',
+      from: 'needs_replacement',
+      to: 'paid',
+      actor: 'client1',
+      update: (current) => ({ assignedArtistIds: [...current.assignedArtistIds.filter((id) => id !== 'old'), 'new'] }),
+    });
+
+    expect(db.dump('bookings/b1')).toMatchObject({ status: 'paid', assignedArtistIds: ['other', 'new'] });
+  });
+
+  it('aborts without writing when the precondition throws', async () => {
+    const { db, transitionBooking, listTransitions } = await setup({ status: 'needs_replacement', type: 'gig' });
+    await db.collection('calendar_blocks').doc('new_2026-12-01').set({ bookingId: 'elsewhere' });
+
+    const precondition = async (tx) => {
+      const block = await tx.get(db.collection('calendar_blocks').doc('new_2026-12-01'));
+      if (block.exists) throw new Error('provider busy');
+    };
+    await expect(transitionBooking({ bookingId: 'b1', from: 'needs_replacement', to: 'paid', actor: 'client1', precondition }))
+      .rejects.toThrow('provider busy');
+    expect(db.dump('bookings/b1').status).toBe('needs_replacement');
+    expect(await listTransitions('b1')).toEqual([]);
+  });
+
+  it('rejects a move the booking type does not allow', async () => {
+    const { db, transitionBooking } = await setup({ status: 'completed', type: 'gig' });
+
+    await expect(transitionBooking({ bookingId: 'b1', from: 'completed', to: 'paid', actor: 'u1' }))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+    expect(db.dump('bookings/b1').status).toBe('completed');
+  });
+
+  it('rejects a write based on a stale status', async () => {
+    const { transitionBooking } = await setup({ status: 'cancelled', type: 'gig' });
+
+    await expect(transitionBooking({ bookingId: 'b1', from: 'paid', to: 'confirmed', actor: 'u1' }))
+      .rejects.toBeInstanceOf(ConcurrentTransitionError);
+  });
+});
+
+describe('assertCanTransition', () => {
+  it('passes for an allowed move without writing', async () => {
+    const { db, assertCanTransition, listTransitions } = await setup({ status: 'paid', type: 'gig' });
+
+    await expect(assertCanTransition({ bookingId: 'b1', from: 'paid', to: 'partially_refunded' })).resolves.toBeUndefined();
+    expect(db.dump('bookings/b1').status).toBe('paid');
+    expect(await listTransitions('b1')).toEqual([]);
+  });
+
+  it('rejects a move the booking type does not allow', async () => {
+    const { assertCanTransition } = await setup({ status: 'completed', type: 'gig' });
+
+    await expect(assertCanTransition({ bookingId: 'b1', from: 'completed', to: 'refunded' }))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+  });
+
+  it.each([
+    ['pending_payment', 'partially_refunded'],
+    ['pending_payment', 'refunded'],
+    ['payment_failed', 'partially_refunded'],
+  ])('lets a balance-stage booking in %s be cancelled to %s', async (status, to) => {
+    const { assertCanTransition, transitionBooking, listTransitions } = await setup({
+      status, type: 'gig', advancePaid: true, paymentStage: 'balance',
+    });
+
+    await expect(assertCanTransition({ bookingId: 'b1', from: status, to })).resolves.toBeUndefined();
+    await transitionBooking({ bookingId: 'b1', from: status, to, actor: 'client1', reason: 'client_cancelled' });
+    expect((await listTransitions('b1')).map((t) => [t.from, t.to])).toEqual([[status, to]]);
+  });
+
+  it.each(['in_progress', 'needs_replacement'])('lets %s be cancelled with part of the payment held', async (status) => {
+    const { assertCanTransition } = await setup({ status, type: 'gig', advancePaid: true });
+
+    await expect(assertCanTransition({ bookingId: 'b1', from: status, to: 'partially_refunded' })).resolves.toBeUndefined();
+  });
+
+  it('rejects a stale status', async () => {
+    const { assertCanTransition } = await setup({ status: 'refunded', type: 'gig' });
+
+    await expect(assertCanTransition({ bookingId: 'b1', from: 'paid', to: 'refunded' }))
+      .rejects.toBeInstanceOf(ConcurrentTransitionError);
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { quoteCancellation, quoteCoversPayments, REFUND_LEG_HOLD_ALLOCATION } = require('../../../src/config/cancellationPolicy');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Event day 2026-12-01 starts at IST midnight.
+const EVENT_START = Date.parse('2026-12-01T00:00:00+05:30');
+const booking = { eventDate: '2026-12-01', gstCollectedTotal: 180 };
+const advance = { id: 'p_adv', paymentStage: 'advance', gatewayPaymentId: 'cf_1', amountPaid: 3000, createdAt: '2026-10-01T10:00:00Z' };
+const balance = { id: 'p_bal', paymentStage: 'balance', gatewayPaymentId: 'cf_2', amountPaid: 7000, createdAt: '2026-11-01T10:00:00Z' };
+
+function quoteAt(daysBefore, overrides = {}) {
+  return quoteCancellation({
+    booking,
+    payments: [advance],
+    nowMillis: EVENT_START - daysBefore * DAY,
+    ...overrides,
+  });
+}
+
+describe('quoteCancellation tiers', () => {
+  it.each([
+    [20, 'more_than_14_days', 1, 3000],
+    [14, 'more_than_14_days', 1, 3000],
+    [10, '7_to_14_days', 0.75, 2250],
+    [3, '48_hours_to_7_days', 0.5, 1500],
+    [2, '48_hours_to_7_days', 0.5, 1500],
+    [1, 'under_48_hours', 0, 0],
+    [-1, 'under_48_hours', 0, 0],
+  ])('%s days before the event applies %s', (days, rule, refundRate, refundAmount) => {
+    const quote = quoteAt(days);
+    expect(quote).toMatchObject({ rule, refundRate, refundAmount, amountPaid: 3000, holdAmount: 3000 - refundAmount });
+  });
+
+  it('refunds everything in full_refund mode, even without an event date', () => {
+    const quote = quoteCancellation({ booking: {}, payments: [advance], mode: 'full_refund' });
+    expect(quote).toMatchObject({ rule: 'full_refund', refundAmount: 3000, holdAmount: 0, hoursBeforeEvent: null });
+  });
+
+  it('cannot apply the policy without an event date', () => {
+    expect(quoteCancellation({ booking: {}, payments: [advance] })).toBeNull();
+  });
+
+  it('ignores legs that were never captured', () => {
+    const pending = { id: 'p_open', paymentStage: 'balance', amountExpected: 7000, amountPaid: 0 };
+    const quote = quoteAt(20, { payments: [advance, pending] });
+    expect(quote.amountPaid).toBe(3000);
+    expect(quote.legs.map((leg) => leg.paymentId)).toEqual(['p_adv']);
+  });
+
+  it('leaves duplicate captures out of the tiered refund', () => {
+    const duplicate = { ...advance, id: 'p_dup', gatewayPaymentId: 'cf_dup', status: 'paid_duplicate' };
+    const quote = quoteAt(3, { payments: [advance, duplicate] });
+    expect(quote).toMatchObject({ amountPaid: 3000, refundAmount: 1500 });
+    expect(quote.legs.map((leg) => leg.paymentId)).toEqual(['p_adv']);
+  });
+
+  it('only counts what a leg still holds after earlier refunds', () => {
+    const partlyRefunded = { ...advance, refundStatus: 'processed', refundAmount: 1000 };
+    const failedRefund = { ...balance, refundStatus: 'failed', refundAmount: 7000 };
+    const quote = quoteAt(20, { payments: [partlyRefunded, failedRefund] });
+    expect(quote).toMatchObject({ amountPaid: 9000, refundAmount: 9000 });
+    expect(quote.legs).toEqual([
+      expect.objectContaining({ paymentId: 'p_adv', amountPaid: 2000, refundAmount: 2000 }),
+      expect.objectContaining({ paymentId: 'p_bal', amountPaid: 7000, refundAmount: 7000 }),
+    ]);
+  });
+});
+
+describe('quoteCancellation GST split', () => {
+  it('reverses GST in proportion to the refund', () => {
+    expect(quoteAt(3).gst).toEqual({ treatment: 'proportional', collected: 180, refunded: 90, held: 90 });
+    expect(quoteAt(10).gst).toEqual({ treatment: 'proportional', collected: 180, refunded: 135, held: 45 });
+  });
+
+  it('keeps all GST when nothing is refunded', () => {
+    expect(quoteAt(1).gst).toMatchObject({ refunded: 0, held: 180 });
+  });
+
+  it('prefers the GST recorded on the payment', () => {
+    const quote = quoteAt(20, { payments: [{ ...advance, gstCollected: 54 }] });
+    expect(quote.gst).toMatchObject({ collected: 54, refunded: 54, held: 0 });
+  });
+
+  it('reports no split when GST was not recorded', () => {
+    const quote = quoteAt(20, { booking: { eventDate: booking.eventDate } });
+    expect(quote.gst).toEqual({ treatment: 'proportional', collected: null, refunded: null, held: null });
+  });
+});
+
+describe('quoteCancellation legs', () => {
+  const split = REFUND_LEG_HOLD_ALLOCATION === 'pro_rata' ? it.skip : it;
+
+  split('holds from the advance first and refunds later legs first', () => {
+    const quote = quoteAt(3, { payments: [balance, advance] });
+    expect(quote).toMatchObject({ amountPaid: 10000, refundAmount: 5000, holdAmount: 5000 });
+    expect(quote.legs).toEqual([
+      expect.objectContaining({ paymentId: 'p_adv', refundAmount: 0, holdAmount: 3000 }),
+      expect.objectContaining({ paymentId: 'p_bal', refundAmount: 5000, holdAmount: 2000 }),
+    ]);
+  });
+
+  it('refunds every leg in full for a full refund', () => {
+    const quote = quoteCancellation({ booking, payments: [advance, balance], mode: 'full_refund' });
+    expect(quote.legs.map((leg) => [leg.paymentId, leg.refundAmount, leg.holdAmount])).toEqual([
+      ['p_adv', 3000, 0],
+      ['p_bal', 7000, 0],
+    ]);
+  });
+});
+
+describe('quoteCoversPayments', () => {
+  const saved = quoteAt(10);
+
+  it('keeps a saved quote while the captured legs are unchanged', () => {
+    const refunded = { ...advance, refundStatus: 'initiated', refundAmount: 2250 };
+    expect(quoteCoversPayments(saved, [refunded])).toBe(true);
+    // Requoting now would land in another tier; the saved quote is what a retry must refund.
+    expect(quoteAt(3, { payments: [refunded] }).refundAmount).not.toBe(saved.refundAmount);
+  });
+
+  it('ignores duplicates and uncaptured legs', () => {
+    const duplicate = { ...advance, id: 'p_dup', status: 'paid_duplicate' };
+    const open = { id: 'p_open', amountPaid: 0 };
+    expect(quoteCoversPayments(saved, [advance, duplicate, open])).toBe(true);
+  });
+
+  it('rejects a saved quote once another leg has been captured', () => {
+    expect(quoteCoversPayments(saved, [advance, balance])).toBe(false);
+  });
+});
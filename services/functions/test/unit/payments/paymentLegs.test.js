@@ -0,0 +1,58 @@
+'use strict';
+
+const {
+  legStageOf,
+  isCaptured,
+  isOpenOrder,
+  outcomeAdvancesPayment,
+} = require('../../../src/payments/paymentLegs');
+
+describe('payment status precedence', () => {
+  it('lets a capture land after a failure', () => {
+    expect(outcomeAdvancesPayment({ status: 'failed' }, 'success')).toBe(true);
+  });
+
+  it('never lets a late failure undo a capture', () => {
+    expect(outcomeAdvancesPayment({ status: 'paid', amountPaid: 500 }, 'failure')).toBe(false);
+    expect(outcomeAdvancesPayment({ status: 'pending', amountPaid: 500 }, 'failure')).toBe(false);
+  });
+
+  it('does not re-apply a redelivered capture', () => {
+    expect(outcomeAdvancesPayment({ status: 'paid', amountPaid: 500 }, 'success')).toBe(false);
+  });
+
+  it('keeps a failed payment from going back to pending', () => {
+    expect(outcomeAdvancesPayment({ status: 'failed' }, 'pending')).toBe(false);
+    expect(outcomeAdvancesPayment({ status: 'failed' }, 'dropped')).toBe(false);
+    expect(outcomeAdvancesPayment({ status: 'pending' }, 'failure')).toBe(true);
+  });
+
+  it('settles a flagged payment with the gateway outcome', () => {
+    expect(outcomeAdvancesPayment({ status: 'review' }, 'success')).toBe(true);
+    expect(outcomeAdvancesPayment({ status: 'review' }, 'failure')).toBe(true);
+  });
+
+  it('ignores outcomes outside the ladder', () => {
+    expect(outcomeAdvancesPayment({ status: 'pending' }, 'refund')).toBe(false);
+  });
+});
+
+describe('payment legs', () => {
+  it('defaults unknown stages to the advance', () => {
+    expect(legStageOf('Balance')).toBe('balance');
+    expect(legStageOf('paid_full')).toBe('advance');
+    expect(legStageOf(undefined)).toBe('advance');
+  });
+
+  it('counts only a positive amountPaid as captured', () => {
+    expect(isCaptured({ amountPaid: 1 })).toBe(true);
+    expect(isCaptured({ amountExpected: 500, status: 'pending' })).toBe(false);
+  });
+
+  it('treats failed orders as still open and closed or reviewed ones as not', () => {
+    expect(isOpenOrder({ gatewayOrderId: 'o1', status: 'failed' })).toBe(true);
+    expect(isOpenOrder({ gatewayOrderId: 'o1', status: 'expired' })).toBe(false);
+    expect(isOpenOrder({ gatewayOrderId: 'o1', status: 'review' })).toBe(false);
+    expect(isOpenOrder({ gatewayOrderId: 'o1', amountPaid: 500 })).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { createCashfreeHarness } = require('../../support/cashfreeHarness');
+
+const admin = { auth: { uid: 'admin1', token: {} } };
+const client = { auth: { uid: 'client1', token: {} } };
+
+describe('resolvePaymentReview', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = createCashfreeHarness({ roles: { admin1: 'admin' } });
+    await harness.seedBooking('b1');
+  });
+
+  /** Pays the advance so that the leg lands in review; returns the payment doc id. */
+  async function heldPayment(options) {
+    const { order, delivery } = await harness.pay('b1', options);
+    expect(delivery.response).toBe('under review');
+    return (await harness.db.collection('payments').where('gatewayOrderId', '==', order.gatewayOrderId).get()).docs[0].id;
+  }
+
+  async function audits() {
+    return (await harness.db.collection('auditLogs').where('action', '==', 'resolve_payment_review').get()).docs.map((doc) => doc.data());
+  }
+
+  it('accepts a short capture and pays the booking', async () => {
+    const paymentId = await heldPayment({ amount: 2000 });
+
+    const result = await harness.payments.resolvePaymentReview({ paymentId, decision: 'accept', note: 'client agreed to pay the rest later' }, admin);
+
+    expect(result).toMatchObject({ success: true, decision: 'accept', bookingStatus: 'paid' });
+    expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ status: 'paid', amountPaid: 2000, reviewResolution: 'accept', reviewResolvedBy: 'admin1' });
+    expect(harness.db.dump('bookings/b1')).toMatchObject({ status: 'paid', advancePaid: true });
+    expect(harness.db.dump('bookings/b1').paymentReview).toBeUndefined();
+    expect(harness.db.dump(`adminTasks/b1_payment_review_${paymentId}`)).toMatchObject({ status: 'resolved', resolution: 'admin_accept' });
+    expect(await audits()).toEqual([expect.objectContaining({ entityId: paymentId, decision: 'accept', reviewReason: 'underpaid', performedBy: 'admin1' })]);
+  });
+
+  it('needs the captured amount to accept a capture that reported none', async () => {
+    const paymentId = await heldPayment({ amount: 0 });
+
+    await expect(harness.payments.resolvePaymentReview({ paymentId, decision: 'accept', note: 'checked dashboard' }, admin))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+
+    await harness.payments.resolvePaymentReview({ paymentId, decision: 'accept', amountReceived: 3000, note: 'checked dashboard' }, admin);
+
+    expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ status: 'paid', amountPaid: 3000 });
+    expect(harness.db.dump('bookings/b1').status).toBe('paid');
+  });
+
+  it('refunds a rejected short capture and lets the client pay again', async () => {
+    const paymentId = await heldPayment({ amount: 2000 });
+
+    const result = await harness.payments.resolvePaymentReview({ paymentId, decision: 'reject', note: 'partial capture, refund it' }, admin);
+
+    expect(result.refundId).toBeTruthy();
+    expect([...harness.fake.state.refunds.values()].map((r) => r.refund_amount)).toEqual([2000]);
+    expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ status: 'voided', voidReason: 'review_rejected', refundStatus: 'initiated', refundAmount: 2000 });
+    expect(harness.db.dump('bookings/b1').status).toBe('pending_payment');
+    expect(harness.db.dump('bookings/b1').paymentReview).toBeUndefined();
+
+    const order = await harness.payments.createOrder({ bookingId: 'b1' }, client);
+    expect(order.reused).toBe(false);
+  });
+
+  it('voids a rejected flagged payment that captured nothing', async () => {
+    const paymentId = await heldPayment({ status: 'FLAGGED' });
+
+    await harness.payments.resolvePaymentReview({ paymentId, decision: 'reject', note: 'risk team declined' }, admin);
+
+    expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ status: 'voided', voidReason: 'review_rejected', gatewayCloseOutcome: 'terminated' });
+    expect(harness.fake.state.refunds.size).toBe(0);
+    expect(harness.db.dump('bookings/b1').status).toBe('pending_payment');
+  });
+
+  it('will not void an order the gateway reports paid', async () => {
+    const paymentId = await heldPayment({ amount: 0 });
+
+    await expect(harness.payments.resolvePaymentReview({ paymentId, decision: 'reject', note: 'no amount reported' }, admin))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(harness.db.dump(`payments/${paymentId}`).status).toBe('review');
+  });
+
+  it('rejects payments that are not under review and non-admin callers', async () => {
+    const { order } = await harness.pay('b1');
+    const paymentId = (await harness.db.collection('payments').where('gatewayOrderId', '==', order.gatewayOrderId).get()).docs[0].id;
+
+    await expect(harness.payments.resolvePaymentReview({ paymentId, decision: 'reject', note: 'not needed' }, admin))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    await expect(harness.payments.resolvePaymentReview({ paymentId, decision: 'accept', note: 'not needed' }, client))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
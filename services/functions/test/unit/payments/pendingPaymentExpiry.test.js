@@ -0,0 +1,102 @@
+'use strict';
+
+const { createCashfreeHarness } = require('../../support/cashfreeHarness');
+const { Timestamp } = require('../../support/memoryFirestore');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => Timestamp.fromMillis(Date.now() - hours * HOUR);
+
+describe('pendingPaymentExpiryScheduler', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = createCashfreeHarness();
+    const bookings = harness.db.collection('bookings');
+    await bookings.doc('window_open_long').set({
+      status: 'pending_payment',
+      createdAt: hoursAgo(40),
+      pendingPaymentSince: hoursAgo(30),
+      // Touched recently by an unrelated write; must not keep the booking alive.
+      updatedAt: hoursAgo(1),
+    });
+    await bookings.doc('window_open_recently').set({
+      status: 'payment_failed',
+      createdAt: hoursAgo(40),
+      pendingPaymentSince: hoursAgo(2),
+      updatedAt: hoursAgo(30),
+    });
+    await bookings.doc('legacy').set({
+      status: 'pending_payment',
+      createdAt: hoursAgo(30),
+      updatedAt: hoursAgo(1),
+    });
+    await bookings.doc('advance_paid').set({
+      status: 'pending_payment',
+      advancePaid: true,
+      paymentStage: 'balance',
+      pendingPaymentSince: hoursAgo(30),
+    });
+  });
+
+  it('times out from pendingPaymentSince, not updatedAt', async () => {
+    await harness.payments.pendingPaymentExpiryScheduler({});
+
+    expect(harness.db.dump('bookings/window_open_long')).toMatchObject({ status: 'cancelled', cancelReason: 'payment_timeout' });
+    expect(harness.db.dump('bookings/window_open_recently').status).toBe('payment_failed');
+  });
+
+  it('falls back to createdAt for bookings without pendingPaymentSince', async () => {
+    await harness.payments.pendingPaymentExpiryScheduler({});
+
+    expect(harness.db.dump('bookings/legacy').status).toBe('cancelled');
+  });
+
+  it('leaves balance-stage bookings to the balance scheduler', async () => {
+    await harness.payments.pendingPaymentExpiryScheduler({});
+
+    expect(harness.db.dump('bookings/advance_paid').status).toBe('pending_payment');
+  });
+
+  describe('when the gateway cannot close the order', () => {
+    let paymentId;
+
+    beforeEach(async () => {
+      await harness.seedBooking('open_order');
+      const order = await harness.payments.createOrder({ bookingId: 'open_order' }, { auth: { uid: 'client1' } });
+      paymentId = order.paymentRefId;
+      await harness.db.collection('bookings').doc('open_order').update({ pendingPaymentSince: hoursAgo(30) });
+      jest.spyOn(harness.fake.provider, 'closeOrder').mockRejectedValue(new Error('gateway 401'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('retries on later runs before giving up', async () => {
+      await harness.payments.pendingPaymentExpiryScheduler({});
+
+      expect(harness.db.dump('bookings/open_order').status).toBe('pending_payment');
+      expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ closeAttempts: 1, lastCloseError: 'gateway 401' });
+      expect(harness.db.dump(`adminTasks/open_order_order_close_failed_${paymentId}`)).toBeUndefined();
+    });
+
+    it('voids the leg, cancels the booking and raises an admin task after the last attempt', async () => {
+      for (let run = 0; run < 3; run += 1) {
+        await harness.payments.pendingPaymentExpiryScheduler({});
+      }
+
+      expect(harness.db.dump('bookings/open_order')).toMatchObject({ status: 'cancelled', cancelReason: 'payment_timeout' });
+      expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ status: 'voided', gatewayCloseOutcome: 'close_failed' });
+      expect(harness.db.dump(`adminTasks/open_order_order_close_failed_${paymentId}`))
+        .toMatchObject({ type: 'order_close_failed', reason: 'payment_timeout', status: 'pending' });
+    });
+
+    it('raises the same task when createOrder supersedes an order it cannot close', async () => {
+      await harness.db.collection('bookings').doc('open_order').update({ amountDueNow: 2500 });
+      await harness.payments.createOrder({ bookingId: 'open_order' }, { auth: { uid: 'client1' } });
+
+      expect(harness.db.dump(`payments/${paymentId}`)).toMatchObject({ status: 'expired', gatewayCloseOutcome: 'close_failed' });
+      expect(harness.db.dump(`adminTasks/open_order_order_close_failed_${paymentId}`))
+        .toMatchObject({ type: 'order_close_failed', reason: 'superseded' });
+    });
+  });
+});
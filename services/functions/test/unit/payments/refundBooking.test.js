@@ -0,0 +1,59 @@
+'use strict';
+
+const { createCashfreeHarness } = require('../../support/cashfreeHarness');
+
+const admin = { auth: { uid: 'admin1', token: {} } };
+
+async function confirmedBooking(harness) {
+  await harness.seedBooking('b1');
+  const { delivery } = await harness.pay('b1');
+  expect(delivery.statusCode).toBe(200);
+  await harness.db.collection('bookings').doc('b1').update({ status: 'confirmed' });
+}
+
+describe('refundBooking', () => {
+  let harness;
+
+  beforeEach(() => {
+    harness = createCashfreeHarness({ roles: { admin1: 'admin' } });
+  });
+
+  it('refunds only captured legs', async () => {
+    await confirmedBooking(harness);
+    // A balance checkout that failed: it has a gateway payment id but no money.
+    await harness.db.collection('payments').doc('balance_failed').set({
+      bookingId: 'b1',
+      gateway: 'cashfree',
+      gatewayOrderId: 'order_balance',
+      gatewayPaymentId: 'cf_payment_failed',
+      paymentStage: 'balance',
+      amountExpected: 7000,
+      amountPaid: 0,
+      status: 'failed',
+    });
+
+    const result = await harness.payments.refundBooking({ bookingId: 'b1', reason: 'ops' }, admin);
+
+    expect(result.refunds).toHaveLength(1);
+    expect(result.refunds[0]).toMatchObject({ refundAmount: 3000, existing: false });
+    expect([...harness.fake.state.refunds.values()].map((r) => r.refund_amount)).toEqual([3000]);
+    expect(harness.db.dump('payments/balance_failed').refundStatus).toBeUndefined();
+    expect(harness.db.dump('bookings/b1').status).toBe('refunded');
+  });
+
+  it('only refunds confirmed bookings', async () => {
+    await harness.seedBooking('b1');
+    await harness.pay('b1');
+
+    await expect(harness.payments.refundBooking({ bookingId: 'b1' }, admin))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(harness.fake.state.refunds.size).toBe(0);
+  });
+
+  it('is admin-only', async () => {
+    await confirmedBooking(harness);
+
+    await expect(harness.payments.refundBooking({ bookingId: 'b1' }, { auth: { uid: 'client1', token: {} } }))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
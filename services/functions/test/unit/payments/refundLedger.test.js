@@ -0,0 +1,161 @@
+'use strict';
+
+const buildRefundLedger = require('../../../src/payments/refundLedger');
+const {
+  refundIdFor,
+  isLedgerRefundId,
+  isRefundRetryable,
+  RefundInProgressError,
+} = require('../../../src/payments/refundLedger');
+const { createMemoryFirestore } = require('../../support/memoryFirestore');
+
+function setup() {
+  const { admin, db } = createMemoryFirestore();
+  const ledger = buildRefundLedger({ admin, db });
+  const send = jest.fn(async (refundId) => ({ gatewayRefundId: `cf_${refundId}` }));
+  const refund = (amount, overrides = {}) => ledger.runRefundLeg({
+    bookingId: 'b1',
+    paymentId: 'p1',
+    stage: 'advance',
+    amount,
+    actor: 'admin1',
+    send,
+    ...overrides,
+  });
+  return { db, ledger, send, refund };
+}
+
+describe('refundIdFor', () => {
+  it('is deterministic, fits Cashfree limits and changes per attempt', () => {
+    const first = refundIdFor('b1', 'p1');
+    expect(refundIdFor('b1', 'p1', 1)).toBe(first);
+    expect(first.length).toBeLessThanOrEqual(40);
+    expect(isLedgerRefundId(first)).toBe(true);
+    expect(refundIdFor('b1', 'p1', 2)).not.toBe(first);
+    expect(refundIdFor('b1', 'p2')).not.toBe(first);
+  });
+
+  it('does not mistake pre-ledger refund ids for ledger ones', () => {
+    expect(isLedgerRefundId('refund_b1_1700000000000')).toBe(false);
+    expect(isLedgerRefundId(null)).toBe(false);
+  });
+});
+
+describe('isRefundRetryable', () => {
+  it('allows a refund when none exists or the last one failed', () => {
+    expect(isRefundRetryable(null)).toBe(true);
+    expect(isRefundRetryable('failed')).toBe(true);
+    expect(isRefundRetryable('failed_to_initiate')).toBe(true);
+  });
+
+  it('blocks a refund that is under way or done', () => {
+    expect(isRefundRetryable('initiated')).toBe(false);
+    expect(isRefundRetryable('initiated_partial')).toBe(false);
+    expect(isRefundRetryable('processed')).toBe(false);
+  });
+});
+
+describe('runRefundLeg', () => {
+  it('returns the existing refund on a retry without calling the gateway', async () => {
+    const { send, refund } = setup();
+
+    const first = await refund(500);
+    const retry = await refund(500);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ refundId: refundIdFor('b1', 'p1'), existing: false });
+    expect(retry).toMatchObject({ refundId: first.refundId, existing: true });
+    expect(retry.refund).toMatchObject({ amount: 500, status: 'initiated' });
+  });
+
+  it('records a partial refund as initiated_partial', async () => {
+    const { db, refund } = setup();
+
+    const { refundId } = await refund(300, { holdAmount: 200 });
+
+    expect(db.dump(`refunds/${refundId}`)).toMatchObject({ status: 'initiated_partial', sequence: 1, amount: 300 });
+  });
+
+  it('sends a new attempt with a new refund_id after the gateway failed the refund', async () => {
+    const { ledger, send, refund } = setup();
+
+    const first = await refund(500);
+    await ledger.markRefundLeg(first.refundId, 'failed', { error: 'account closed' });
+    const second = await refund(500);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(second).toMatchObject({ refundId: refundIdFor('b1', 'p1', 2), existing: false });
+    expect(send).toHaveBeenLastCalledWith(refundIdFor('b1', 'p1', 2));
+  });
+
+  it('reuses the refund_id when the gateway call itself failed', async () => {
+    const { db, send, refund } = setup();
+    send.mockRejectedValueOnce(new Error('timeout'));
+
+    await expect(refund(500)).rejects.toThrow('timeout');
+    expect(db.dump(`refunds/${refundIdFor('b1', 'p1')}`).status).toBe('failed_to_initiate');
+    const retry = await refund(500);
+
+    // The first call may have reached Cashfree; the same refund_id lets it dedupe.
+    expect(retry).toMatchObject({ refundId: refundIdFor('b1', 'p1'), existing: false });
+    expect(send.mock.calls.map(([id]) => id)).toEqual([refundIdFor('b1', 'p1'), refundIdFor('b1', 'p1')]);
+  });
+
+  it('treats a different amount on the same leg as a new tranche', async () => {
+    const { send, refund } = setup();
+
+    const partial = await refund(300, { holdAmount: 200 });
+    const held = await refund(200);
+    const heldRetry = await refund(200);
+    const partialRetry = await refund(300);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(held.refundId).toBe(refundIdFor('b1', 'p1', 2));
+    expect(heldRetry).toMatchObject({ refundId: held.refundId, existing: true });
+    expect(partialRetry).toMatchObject({ refundId: partial.refundId, existing: true });
+  });
+
+  it('refuses a second caller while an attempt is in flight', async () => {
+    const { db, refund } = setup();
+    await db.collection('refunds').doc(refundIdFor('b1', 'p1')).set({
+      bookingId: 'b1',
+      paymentId: 'p1',
+      amount: 500,
+      status: 'in_flight',
+      lockedAtMs: Date.now(),
+    });
+
+    await expect(refund(500)).rejects.toBeInstanceOf(RefundInProgressError);
+  });
+
+  it('takes over an attempt whose lock has expired', async () => {
+    const { db, send, refund } = setup();
+    await db.collection('refunds').doc(refundIdFor('b1', 'p1')).set({
+      bookingId: 'b1',
+      paymentId: 'p1',
+      amount: 500,
+      status: 'in_flight',
+      lockedAtMs: Date.now() - 10 * 60 * 1000,
+    });
+
+    const result = await refund(500);
+
+    expect(result).toMatchObject({ refundId: refundIdFor('b1', 'p1'), existing: false });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('continues the sequence of ledger docs written before sequences existed', async () => {
+    const { db, send, refund } = setup();
+    await db.collection('refunds').doc(refundIdFor('b1', 'p1')).set({
+      bookingId: 'b1',
+      paymentId: 'p1',
+      amount: 500,
+      status: 'failed',
+    });
+
+    const result = await refund(500);
+
+    expect(result.refundId).toBe(refundIdFor('b1', 'p1', 2));
+    expect(send).toHaveBeenCalledWith(refundIdFor('b1', 'p1', 2));
+  });
+});
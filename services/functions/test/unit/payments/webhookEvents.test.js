@@ -0,0 +1,99 @@
+'use strict';
+
+const { createCashfreeHarness, callWebhook } = require('../../support/cashfreeHarness');
+
+async function webhookLogs(db) {
+  return (await db.collection('webhookLogs').get()).docs;
+}
+
+describe('payment webhook dedupe and precedence', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = createCashfreeHarness();
+    await harness.seedBooking('b1');
+  });
+
+  it('treats a redelivered capture as a duplicate', async () => {
+    const { delivery } = await harness.pay('b1');
+    const again = await callWebhook(harness.payments.handlePaymentWebhook, harness.webhookRequest('payment', delivery.payload));
+
+    expect(again.statusCode).toBe(200);
+    expect(again.body).toBe('duplicate');
+    expect(await webhookLogs(harness.db)).toHaveLength(1);
+  });
+
+  it('keeps a capture when a failure for the same order arrives late', async () => {
+    const { order, delivery } = await harness.pay('b1');
+    const failed = JSON.parse(JSON.stringify(delivery.payload));
+    failed.type = 'PAYMENT_FAILED_WEBHOOK';
+    failed.data.payment = { ...failed.data.payment, cf_payment_id: 'cf_payment_late', payment_status: 'FAILED' };
+
+    const res = await callWebhook(harness.payments.handlePaymentWebhook, harness.webhookRequest('payment', failed));
+
+    expect(res.statusCode).toBe(200);
+    const payment = (await harness.db.collection('payments').where('gatewayOrderId', '==', order.gatewayOrderId).get()).docs[0].data();
+    expect(payment).toMatchObject({ status: 'paid', amountPaid: 3000 });
+    expect(harness.db.dump('bookings/b1').status).toBe('paid');
+  });
+
+  it('pays the booking when a capture follows a failed attempt', async () => {
+    const { order } = await harness.pay('b1', { status: 'FAILED' });
+    expect(harness.db.dump('bookings/b1').status).toBe('payment_failed');
+
+    const { delivery } = await harness.fake.pay(order.gatewayOrderId);
+
+    expect(delivery.statusCode).toBe(200);
+    expect(harness.db.dump('bookings/b1')).toMatchObject({ status: 'paid', advancePaid: true });
+  });
+
+  it('holds a capture that reports no amount for review instead of paying the booking', async () => {
+    const { order, delivery } = await harness.pay('b1', { amount: 0 });
+
+    expect(delivery.response).toBe('under review');
+    const payment = (await harness.db.collection('payments').where('gatewayOrderId', '==', order.gatewayOrderId).get()).docs[0];
+    expect(payment.data()).toMatchObject({ status: 'review', reviewReason: 'amount_missing' });
+    expect(payment.data().amountPaid || 0).toBe(0);
+    expect(harness.db.dump('bookings/b1')).toMatchObject({ status: 'pending_payment', paymentReview: { reason: 'amount_missing' } });
+    expect(harness.db.dump(`adminTasks/b1_payment_review_${payment.id}`)).toMatchObject({ type: 'payment_review', reason: 'amount_missing' });
+  });
+});
+
+describe('dispute webhook event keys', () => {
+  let harness;
+
+  beforeEach(() => {
+    harness = createCashfreeHarness();
+  });
+
+  const dispute = (status) => ({
+    type: 'DISPUTE_UPDATED',
+    data: { dispute: { dispute_id: 'dsp_1', order_id: 'order_unknown', dispute_status: status } },
+  });
+
+  it('dedupes a redelivered dispute event on its own fields', async () => {
+    const first = await callWebhook(harness.payments.handleDisputeWebhook, harness.webhookRequest('dispute', dispute('OPEN')));
+    const again = await callWebhook(harness.payments.handleDisputeWebhook, harness.webhookRequest('dispute', dispute('OPEN')));
+
+    expect(first.statusCode).toBe(200);
+    expect(again.body).toBe('duplicate');
+    expect((await webhookLogs(harness.db)).map((doc) => doc.id)).toEqual(['dispute:dsp_1:order_unknown:DISPUTE_UPDATED:OPEN']);
+  });
+
+  it('logs each state change of a dispute separately', async () => {
+    await callWebhook(harness.payments.handleDisputeWebhook, harness.webhookRequest('dispute', dispute('OPEN')));
+    await callWebhook(harness.payments.handleDisputeWebhook, harness.webhookRequest('dispute', dispute('CLOSED')));
+
+    expect(await webhookLogs(harness.db)).toHaveLength(2);
+  });
+
+  it('keys an event without identifying fields on its body', async () => {
+    const payload = { type: 'DISPUTE_CREATED', data: {} };
+    await callWebhook(harness.payments.handleDisputeWebhook, harness.webhookRequest('dispute', payload));
+    await callWebhook(harness.payments.handleDisputeWebhook, harness.webhookRequest('dispute', payload));
+
+    const logs = await webhookLogs(harness.db);
+    expect(logs).toHaveLength(1);
+    expect(logs[0].id).toMatch(/^dispute:body:[0-9a-f]{40}$/);
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { createCashfreeHarness } = require('../../support/cashfreeHarness');
+
+const admin = { auth: { uid: 'admin1', token: {} } };
+const client = { auth: { uid: 'client1', token: {} } };
+
+describe('webhook dead letters and replay', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = createCashfreeHarness({ roles: { admin1: 'admin' } });
+    await harness.seedBooking('b1');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  /** Checkout whose capture webhook hits a Firestore outage once and is left `failed`. */
+  async function failedCapture() {
+    const order = await harness.payments.createOrder({ bookingId: 'b1' }, client);
+    jest.spyOn(harness.db, 'runTransaction').mockRejectedValueOnce(new Error('firestore unavailable'));
+    const { delivery } = await harness.fake.pay(order.gatewayOrderId);
+    expect(delivery.statusCode).toBe(500);
+    const { entries } = await harness.payments.listWebhookDeadLetters({}, admin);
+    expect(entries).toHaveLength(1);
+    return entries[0];
+  }
+
+  it('lists a webhook whose handler threw', async () => {
+    const entry = await failedCapture();
+
+    expect(entry).toMatchObject({ reason: 'failed', status: 'failed', error: 'firestore unavailable' });
+    expect(harness.db.dump('bookings/b1').status).toBe('pending_payment');
+  });
+
+  it('replays a failed webhook and audits it', async () => {
+    const { eventId } = await failedCapture();
+
+    const result = await harness.payments.replayWebhook({ eventId, reason: 'firestore outage' }, admin);
+
+    expect(result).toMatchObject({ success: true, eventId, status: 'processed', responseCode: 200 });
+    expect(harness.db.dump('bookings/b1').status).toBe('paid');
+    expect(harness.db.dump(`webhookLogs/${eventId}`)).toMatchObject({ status: 'processed', replayCount: 1, lastReplayedBy: 'admin1' });
+    const audits = (await harness.db.collection('auditLogs').where('action', '==', 'replay_webhook').get()).docs;
+    expect(audits.map((doc) => doc.data())).toEqual([expect.objectContaining({
+      entityId: eventId,
+      previousStatus: 'failed',
+      resultStatus: 'processed',
+      signatureVerification: 'bypassed',
+      performedBy: 'admin1',
+    })]);
+    expect((await harness.payments.listWebhookDeadLetters({}, admin)).entries).toHaveLength(0);
+  });
+
+  it('refuses to replay a processed webhook', async () => {
+    const { eventId } = await failedCapture();
+    await harness.payments.replayWebhook({ eventId, reason: 'firestore outage' }, admin);
+
+    await expect(harness.payments.replayWebhook({ eventId, reason: 'again' }, admin))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+
+  it('is admin only', async () => {
+    const { eventId } = await failedCapture();
+
+    await expect(harness.payments.listWebhookDeadLetters({}, client)).rejects.toMatchObject({ code: 'permission-denied' });
+    await expect(harness.payments.replayWebhook({ eventId, reason: 'firestore outage' }, client))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(harness.db.dump('bookings/b1').status).toBe('pending_payment');
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const crypto = require('crypto');
+const { createCashfreeProvider } = require('../../../src/payments/gateways/cashfree');
+const { resolveCashfreeConfig } = require('../../../src/payments/cashfreeGateway');
+
+const NOW = 1_700_000_000_000;
+const BODY = JSON.stringify({ type: 'PAYMENT_SUCCESS_WEBHOOK', data: { order: { order_id: 'o1' } } });
+
+function provider() {
+  return createCashfreeProvider({
+    config: resolveCashfreeConfig({
+      CASHFREE_ENVIRONMENT: 'SANDBOX',
+      CASHFREE_CLIENT_ID: 'client',
+      CASHFREE_CLIENT_SECRET: 'client_secret',
+      CASHFREE_WEBHOOK_SECRET: 'secret_new',
+      CASHFREE_WEBHOOK_SECRET_VERSION: 'v2',
+      CASHFREE_WEBHOOK_SECRET_PREVIOUS: 'secret_old',
+      CASHFREE_WEBHOOK_SECRET_PREVIOUS_VERSION: 'v1',
+      CASHFREE_PAYOUT_WEBHOOK_SECRET: 'payout_secret',
+    }),
+  });
+}
+
+function signedRequest({ secret = 'secret_new', timestamp = String(NOW), encoding = 'base64', body = BODY } = {}) {
+  const signature = crypto.createHmac('sha256', secret)
+    .update(timestamp === null ? body : `${timestamp}${body}`)
+    .digest(encoding);
+  const headers = { 'x-webhook-signature': signature };
+  if (timestamp !== null) headers['x-webhook-timestamp'] = timestamp;
+  return { headers, rawBody: Buffer.from(body), body: JSON.parse(body) };
+}
+
+describe('cashfree webhook verification', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = provider();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts the active key and reports its version', () => {
+    expect(gateway.verifyWebhook(signedRequest(), { now: NOW }))
+      .toEqual({ valid: true, keyVersion: 'v2', reason: null });
+  });
+
+  it('accepts the previous key during rotation', () => {
+    expect(gateway.verifyWebhook(signedRequest({ secret: 'secret_old' }), { now: NOW }))
+      .toEqual({ valid: true, keyVersion: 'v1', reason: null });
+  });
+
+  it('rejects a signature from an unknown key', () => {
+    expect(gateway.verifyWebhook(signedRequest({ secret: 'other' }), { now: NOW }).reason).toBe('signature_mismatch');
+  });
+
+  it('accepts hex signatures', () => {
+    expect(gateway.verifyWebhook(signedRequest({ encoding: 'hex' }), { now: NOW }).valid).toBe(true);
+  });
+
+  it('rejects a timestamp outside the tolerance window', () => {
+    const stale = String(NOW - 301 * 1000);
+    expect(gateway.verifyWebhook(signedRequest({ timestamp: stale }), { now: NOW }))
+      .toEqual({ valid: false, keyVersion: null, reason: 'stale_timestamp' });
+  });
+
+  it('accepts a timestamp in seconds inside the window', () => {
+    const seconds = String(Math.floor(NOW / 1000) - 60);
+    expect(gateway.verifyWebhook(signedRequest({ timestamp: seconds }), { now: NOW }).valid).toBe(true);
+  });
+
+  it('rejects a malformed timestamp', () => {
+    expect(gateway.verifyWebhook(signedRequest({ timestamp: 'yesterday' }), { now: NOW }).reason).toBe('malformed_timestamp');
+  });
+
+  it.each(['payment', 'refund', 'dispute'])('requires a timestamp on %s webhooks', (kind) => {
+    expect(gateway.verifyWebhook(signedRequest({ timestamp: null }), { kind, now: NOW }).reason).toBe('missing_timestamp');
+  });
+
+  it('verifies a payout webhook without a timestamp over the raw body', () => {
+    const req = signedRequest({ secret: 'payout_secret', timestamp: null });
+    expect(gateway.verifyWebhook(req, { kind: 'payout', now: NOW }).valid).toBe(true);
+  });
+
+  it('still applies the replay window to a timestamped payout webhook', () => {
+    const req = signedRequest({ secret: 'payout_secret', timestamp: String(NOW - 3600 * 1000) });
+    expect(gateway.verifyWebhook(req, { kind: 'payout', now: NOW }).reason).toBe('stale_timestamp');
+  });
+
+  it('rejects a signature that is neither base64 nor hex of a SHA-256 digest', () => {
+    const req = signedRequest();
+    req.headers['x-webhook-signature'] = 'not-a-signature';
+    expect(gateway.verifyWebhook(req, { now: NOW }).reason).toBe('malformed_signature');
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Offline payments E2E: advance -> balance -> completion -> stage1/stage2 payouts.
+ *
+ * Runs the real payments/cashfree.js handlers against the Firestore emulator, with the in-process
+ * fake Cashfree (services/functions/src/payments/gateways/fakeCashfree.js) standing in for the PG
+ * and Payouts APIs and Pub/Sub replaced by an in-memory queue drained into payoutWorker.
+ *
+ *   npm run test:functions:integration
+ *   (= firebase emulators:exec --only firestore "npm --prefix tools run payments-e2e")
+ *
+ * Refuses to run unless FIRESTORE_EMULATOR_HOST is set. Exits non-zero on the first failed check.
+ */
+const path = require('path');
+const admin = require('firebase-admin');
+
+const FUNCTIONS_DIR = path.resolve(__dirname, '../services/functions');
+const SRC = path.join(FUNCTIONS_DIR, 'src');
+// firebase-functions is a dependency of services/functions, not of tools.
+const functions = require(require.resolve('firebase-functions/v1', { paths: [FUNCTIONS_DIR] }));
+const buildCashfreeIntegration = require(path.join(SRC, 'payments/cashfree'));
+const buildBookingTransitions = require(path.join(SRC, 'booking/transitionService'));
+const buildTransitionEffects = require(path.join(SRC, 'booking/sideEffects'));
+const { buildPaymentGateways } = require(path.join(SRC, 'payments/gateways'));
+const { createFakeCashfree } = require(path.join(SRC, 'payments/gateways/fakeCashfree'));
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    console.error('FIRESTORE_EMULATOR_HOST is not set; start the Firestore emulator (see header).');
+    process.exit(1);
+}
+
+admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-kalaqaar' });
+const db = admin.firestore();
+
+const RUN_ID = `e2e_${Date.now()}`;
+const CLIENT_ID = `${RUN_ID}_client`;
+const ARTIST_ID = `${RUN_ID}_artist`;
+const BOOKING_ID = `${RUN_ID}_booking`;
+const ADVANCE = 3000;
+const BALANCE = 7000;
+
+const notifications = [];
+const sendNotification = async (userId, type, payload) => {
+    notifications.push({ userId, type, payload });
+};
+const notifyAdmin = async (type, payload) => {
+    notifications.push({ userId: 'admin', type, payload });
+};
+
+// In-memory stand-in for the 'kalaqaar-payouts' topic; drainPayoutQueue() plays the payoutWorker trigger.
+const publishedJobs = [];
+const pubsub = {
+    topic: () => ({
+        get: async () => {},
+        publishMessage: async ({ data }) => {
+            publishedJobs.push({ data: Buffer.from(data).toString('base64') });
+            return `msg_${publishedJobs.length}`;
+        },
+    }),
+};
+
+// Ledger fields only; fee maths is covered by computeDistribution in index.js, not here.
+const computeDistribution = (amount) => ({
+    artistGross: amount,
+    artistNet: amount,
+    adminAmount: 0,
+    platformRetained: 0,
+    platformFee: 0,
+    commission: 0,
+    gstCollectedTotal: 0,
+    ecoTcsRate: 0,
+    ecoTcsWithheld: 0,
+    ecoTcsPayer: 'platform_borne',
+});
+
+const fake = createFakeCashfree();
+const payments = buildCashfreeIntegration({
+    admin,
+    functions,
+    fetch: null,
+    db,
+    pubsub,
+    adminApi: admin,
+    computeDistribution,
+    applyAutoPromoSpend: async () => ({ applied: false }),
+    sendNotification,
+    notifyAdmin,
+    KPIS: { funnels: { bookingPaid: async () => {} } },
+    paymentGateways: buildPaymentGateways({
+        env: { PAYMENT_GATEWAY_ORDER: 'cashfree' },
+        providers: { cashfree: fake.provider },
+    }),
+});
+fake.attach({
+    payment: payments.handlePaymentWebhook,
+    refund: payments.handleRefundWebhook,
+    payout: payments.handlePayoutWebhook,
+});
+
+const { transitionBooking, listTransitions } = buildBookingTransitions({ admin, db });
+const { runTransitionEffects } = buildTransitionEffects({ admin, db, sendNotification });
+
+function check(condition, message, detail = undefined) {
+    if (!condition) {
+        const error = new Error(`check failed: ${message}`);
+        error.detail = detail;
+        throw error;
+    }
+    console.log(`  ok - ${message}`);
+}
+
+async function getBooking() {
+    return (await db.collection('bookings').doc(BOOKING_ID).get()).data() || {};
+}
+
+async function paymentDocs() {
+    const snap = await db.collection('payments').where('bookingId', '==', BOOKING_ID).get();
+    return snap.docs;
+}
+
+// The emulator run has no Firestore triggers; apply the declared transition effects directly.
+async function runPendingEffects() {
+    for (const transition of await listTransitions(BOOKING_ID)) {
+        await runTransitionEffects({ bookingId: BOOKING_ID, transitionId: transition.id, transition });
+    }
+}
+
+async function drainPayoutQueue() {
+    while (publishedJobs.length) {
+        await payments.payoutWorker(publishedJobs.shift());
+    }
+}
+
+async function seed() {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await db.collection('users').doc(CLIENT_ID).set({ displayName: 'E2E Client', createdAt: now });
+    await db.collection('users').doc(ARTIST_ID).set({
+        displayName: 'E2E Artist',
+        payoutBankDetails: { name: 'E2E Artist', accountNumber: '000111222333', ifsc: 'HDFC0000001', bankName: 'HDFC' },
+        createdAt: now,
+    });
+    await db.collection('artists').doc(ARTIST_ID).set({
+        legalName: 'E2E Artist',
+        kyc: { kycStatus: 'verified', panVerified: true, bankVerified: true, bankAccountHolderName: 'E2E Artist' },
+    });
+    await db.collection('bookings').doc(BOOKING_ID).set({
+        type: 'gig',
+        status: 'pending_payment',
+        clientId: CLIENT_ID,
+        artistId: ARTIST_ID,
+        amount: ADVANCE,
+        amountDueNow: ADVANCE,
+        amountDueLater: BALANCE,
+        amountTotal: ADVANCE + BALANCE,
+        paymentStage: 'advance',
+        serviceItems: [{ type: 'artist', supplierId: ARTIST_ID, amount: ADVANCE + BALANCE }],
+        createdAt: now,
+    });
+}
+
+async function payStage(label) {
+    const order = await payments.createOrder({ bookingId: BOOKING_ID }, { auth: { uid: CLIENT_ID } });
+    check(order.gateway === 'cashfree' && order.gatewayOrderId && order.expiresAt, `${label}: order created on the fake`, order);
+    const again = await payments.createOrder({ bookingId: BOOKING_ID }, { auth: { uid: CLIENT_ID } });
+    check(again.reused === true && again.gatewayOrderId === order.gatewayOrderId, `${label}: open order reused`, again);
+    const { delivery } = await fake.pay(order.gatewayOrderId);
+    check(delivery.statusCode === 200, `${label}: signed payment webhook accepted`, delivery);
+    await runPendingEffects();
+    return order;
+}
+
+async function releaseStage(stageKey) {
+    // Fast-forward the stage instead of waiting out PAYOUT_STAGE*_DELAY_HOURS.
+    for (const doc of await paymentDocs()) {
+        if (doc.data().releasePlan?.[stageKey]?.status === 'scheduled') {
+            await doc.ref.update({ [`releasePlan.${stageKey}.eligibleAt`]: admin.firestore.Timestamp.now() });
+        }
+    }
+    await payments.payoutScheduler();
+    await drainPayoutQueue();
+
+    const transferIds = fake.pendingTransfers();
+    check(transferIds.length === 1, `${stageKey}: one transfer requested at the fake`, transferIds);
+    const delivery = await fake.settleTransfer(transferIds[0]);
+    check(delivery.statusCode === 200, `${stageKey}: signed payout webhook accepted`, delivery);
+
+    const mapping = (await db.collection('payout_transfers').doc(transferIds[0]).get()).data() || {};
+    check(mapping.stageKey === stageKey && mapping.status === 'completed', `${stageKey}: transfer marked completed`, mapping);
+    return mapping;
+}
+
+async function main() {
+    console.log(`payments e2e ${RUN_ID}`);
+    await seed();
+
+    console.log('advance');
+    await payStage('advance');
+    let booking = await getBooking();
+    check(booking.status === 'paid' && booking.advancePaid === true && booking.paidFull !== true, 'booking paid (advance only)', booking);
+
+    console.log('balance');
+    // Same move as the balance-due scheduler in bookingPolicy.js.
+    await transitionBooking({
+        bookingId: BOOKING_ID,
+        from: 'paid',
+        to: 'pending_payment',
+        actor: 'system_due_scheduler',
+        reason: 'balance_due',
+        update: { paymentStage: 'balance', amount: BALANCE, amountDueNow: BALANCE, amountDueLater: 0 },
+    });
+    await payStage('balance');
+    booking = await getBooking();
+    check(booking.status === 'paid' && booking.paidFull === true, 'booking paid in full', booking);
+    check(
+        booking.paymentTotals?.paid === ADVANCE + BALANCE && Object.keys(booking.paymentLegs || {}).length === 2,
+        'advance and balance legs both counted',
+        { paymentTotals: booking.paymentTotals, paymentLegs: booking.paymentLegs },
+    );
+
+    console.log('completion');
+    await transitionBooking({
+        bookingId: BOOKING_ID,
+        from: 'paid',
+        to: 'completed',
+        actor: 'admin_e2e',
+        reason: 'e2e_completed',
+        update: { completedAt: admin.firestore.Timestamp.now() },
+    });
+    await runPendingEffects();
+    booking = await getBooking();
+    check(booking.payoutPlan?.version === 2, 'payout plan scheduled', booking.payoutPlan);
+
+    console.log('payouts');
+    const stage1 = await releaseStage('stage1');
+    const stage2 = await releaseStage('stage2');
+    const planned = (await paymentDocs()).map((doc) => doc.data()).find((p) => p.releasePlan?.stage2?.allocations);
+    const netTotal = planned?.releasePlan.stage2.allocations[ARTIST_ID]?.netTotal;
+    check(
+        stage1.amount + stage2.amount === netTotal,
+        'stage1 + stage2 pay out the full net (after TDS) amount',
+        { stage1: stage1.amount, stage2: stage2.amount, netTotal },
+    );
+    const types = notifications.filter((n) => n.userId === ARTIST_ID).map((n) => n.type);
+    check(types.includes('payout_stage1_success') && types.includes('payout_stage2_success'), 'artist notified for both stages', types);
+
+    console.log(`passed (${fake.requests.length} gateway calls, ${fake.deliveries.length} webhooks)`);
+}
+
+main().then(
+    () => process.exit(0),
+    (error) => {
+        console.error(error.message);
+        if (error.detail !== undefined) console.error(JSON.stringify(error.detail, null, 2));
+        process.exit(1);
+    },
+);